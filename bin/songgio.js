@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * songgio - single entry point for every crawler in crawling_script/
+ *
+ * Usage:
+ *   songgio <site> <command> [options]
+ *   songgio thutuc details --resume --concurrency 3
+ *   songgio vanban list --pages 10 && songgio vanban details --download
+ *   songgio <site> <command> --help
+ *
+ * Exit codes: 0 success, 1 crawl failed, 2 invalid usage
+ */
+
+const path = require('path');
+const { UsageError, runCommand } = require('../crawling_script/lib/cli_args');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'crawling_script');
+
+/**
+ * Command table. Modules are required lazily so that, for example, puppeteer
+ * is only loaded for `mod list`.
+ */
+const COMMANDS = {
+  vanban: {
+    description: 'vanban.chinhphu.vn - Government legal documents',
+    commands: {
+      list: {
+        description: 'Crawl the document list into raw_result.json',
+        module: 'vanban.chinhphu.vn/list_documents.js'
+      },
+      details: {
+        description: 'Fetch detail pages for raw_result.json (and attachments)',
+        module: 'vanban.chinhphu.vn/pageid=27160&docid=216105/fetch_details.js'
+      }
+    }
+  },
+
+  moh: {
+    description: 'emohbackup.moh.gov.vn - Ministry of Health documents',
+    commands: {
+      crawl: {
+        description: 'Crawl the document search API (and attachments)',
+        module: 'emohbackup.moh.gov.vn/publish/home/crawler.js'
+      }
+    }
+  },
+
+  thutuc: {
+    description: 'thutuc.dichvucong.gov.vn - Decisions publishing administrative procedures',
+    commands: {
+      decisions: {
+        description: 'List all publishing decisions into raw_result.json',
+        module: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet/list_all_decisions.js'
+      },
+      details: {
+        description: 'Fetch fields, procedures and attachments for each decision',
+        module: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet/ma_quyet_dinh=115010/decision_details.js',
+        args: '[--test ID...]'
+      }
+    }
+  },
+
+  dvc: {
+    description: 'dichvucong.gov.vn - Online public service procedures',
+    commands: {
+      list: {
+        description: 'List administrative procedures (TTHC)',
+        module: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/list_tthc.js'
+      },
+      details: {
+        description: 'Fetch procedure detail pages (and Word exports)',
+        module: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/fetch_tthc_details.js'
+      },
+      exports: {
+        description: 'Parse the downloaded Word exports and cross-check them with the details',
+        module: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/parse_word_exports.js'
+      }
+    }
+  },
+
+  mod: {
+    description: 'www.mod.gov.vn - Ministry of Defence legal documents',
+    commands: {
+      list: {
+        description: 'Scrape the document lists of every category with a browser',
+        module: 'www.mod.gov.vn/home/cdcs/vanban_huongdan.js'
+      },
+      details: {
+        description: 'Fetch detail pages for raw_result.json (and PDF attachments)',
+        module: 'www.mod.gov.vn/vn/van-ban/fetch_details.js'
+      }
+    }
+  },
+
+  tools: {
+    description: 'Utilities for the result files',
+    commands: {
+      convert: {
+        description: 'Convert a result file between JSON and NDJSON',
+        module: 'tools/convert_results.js',
+        args: '<input> [output]'
+      },
+      verify: {
+        description: 'Re-hash downloaded attachments against their manifest.json',
+        module: 'tools/verify_attachments.js',
+        args: '[folder...]'
+      },
+      'pdf-text': {
+        description: 'Extract the text layer of downloaded PDFs (flags scans)',
+        module: 'tools/extract_pdf_text.js'
+      },
+      dates: {
+        description: 'Add ISO dates to saved results and report unreadable dates',
+        module: 'tools/normalize_dates.js'
+      },
+      codes: {
+        description: 'Split document codes (số ký hiệu) into their parts and report malformed ones',
+        module: 'tools/parse_codes.js'
+      },
+      normalize: {
+        description: 'Merge every site into one documents.ndjson in the canonical schema',
+        module: 'tools/normalize_documents.js'
+      },
+      link: {
+        description: 'Link the same document across sites (clusters and a link table)',
+        module: 'tools/link_documents.js'
+      }
+    }
+  }
+};
+
+/**
+ * Top-level help listing every site and command
+ */
+function formatHelp() {
+  const lines = ['Usage: songgio <site> <command> [options]', '', 'Commands:'];
+
+  for (const [site, group] of Object.entries(COMMANDS)) {
+    lines.push(`  ${group.description}`);
+    for (const [name, command] of Object.entries(group.commands)) {
+      lines.push(`    ${`${site} ${name}`.padEnd(20)}${command.description}`);
+    }
+  }
+
+  lines.push('', 'Run `songgio <site> <command> --help` for the options of a command.');
+  return lines.join('\n');
+}
+
+/**
+ * Resolve argv to a command entry
+ * @returns {{ usage: string, command: Object, argv: string[] }}
+ */
+function resolveCommand(argv) {
+  const [site, name, ...rest] = argv;
+
+  const group = COMMANDS[site];
+  if (!group) {
+    throw new UsageError(`Unknown site "${site}"`);
+  }
+
+  const command = group.commands[name];
+  if (!command) {
+    const known = Object.keys(group.commands).join(', ');
+    throw new UsageError(name ? `Unknown command "${site} ${name}" (expected: ${known})` : `Missing command for "${site}" (expected: ${known})`);
+  }
+
+  const usage = `songgio ${site} ${name} [options]${command.args ? ` ${command.args}` : ''}`;
+  return { usage, command, argv: rest };
+}
+
+async function main(argv) {
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+    console.log(formatHelp());
+    return argv.length === 0 ? 2 : 0;
+  }
+
+  let resolved;
+  try {
+    resolved = resolveCommand(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${formatHelp()}`);
+    return 2;
+  }
+
+  const { usage, command } = resolved;
+
+  let script;
+  try {
+    script = require(path.join(SCRIPTS_DIR, command.module));
+  } catch (err) {
+    console.error(`Cannot load "${argv[0]} ${argv[1]}": ${err.message}`);
+    return 1;
+  }
+
+  return runCommand(script.main, script.COMMAND_SPEC, usage, resolved.argv);
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -2,91 +2,55 @@
  * Fetch TTHC details and download documents from dichvucong.gov.vn
  * 
  * Workflow:
- * 1. Read raw_result.json (list of TTHC with TTHC_MA)
+ * 1. Read raw_result.json or .ndjson (list of TTHC with TTHC_MA)
  * 2. For each TTHC_MA, fetch first detail page to get idTTHC:
  *    https://dichvucong.gov.vn/p/home/dvc-chi-tiet-thu-tuc-hanh-chinh.html?ma_thu_tuc={TTHC_MA}
  * 3. Extract idTTHC from "Xem chi tiết" link
  * 4. Construct export URL: /jsp/tthc/export/export_word_detail_tthc.jsp?maTTHC={TTHC_MA}&idTTHC={idTTHC}
- * 5. Download the detailed procedure Word document
+ * 5. Parse the full procedure page (DETAIL_URL_FULL): steps, submission channels,
+ *    processing time, fees, dossier components, agencies, legal basis
+ * 6. Download the detailed procedure Word document
  * 
  * Usage:
  *   node fetch_tthc_details.js                          // Fetch details for công dân file
  *   node fetch_tthc_details.js --doanhnghiep            // Fetch details for doanh nghiệp file
  *   node fetch_tthc_details.js --limit 10               // Process only first 10 records
  *   node fetch_tthc_details.js --download               // Download Word documents after fetching details
+ *   node fetch_tthc_details.js --skip-full              // Only resolve idTTHC and the export URL
+ *   node fetch_tthc_details.js --db dvc.sqlite --db-only // Read the list from and write the details to SQLite
+ *
+ * Also available as `songgio dvc details`.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const limitIndex = args.indexOf('--limit');
-const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) : null;
-const isDoanhNghiep = args.includes('--doanhnghiep');
-const shouldDownload = args.includes('--download');
+const { createClient } = require('../../../../lib/http_client');
+const { runCommand } = require('../../../../lib/cli_args');
+const { siteDir } = require('../../../../lib/config');
+const { stripTags } = require('../../../../lib/html');
+const { Manifest } = require('../../../../lib/manifest');
+const { downloadTracked } = require('../../../../lib/download_queue');
+const { sanitizeFilename } = require('../../../../lib/filenames');
+const { withIsoDates } = require('../../../../lib/dates');
+const { withParsedCodes } = require('../../../../lib/document_codes');
+const { openStore } = require('../../../../lib/sqlite_store');
+const { readResult, writeResult } = require('../../../../lib/result_file');
 
 // Configuration
-const RESULT_FILENAME = isDoanhNghiep ? 'doanhnghiep_raw_result.json' : 'congdan_raw_result.json';
-const RAW_RESULT_PATH = path.join(__dirname, '../../../../../result/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds', RESULT_FILENAME);
-const DETAILED_RESULT_FILENAME = isDoanhNghiep ? 'doanhnghiep_detailed_result.json' : 'congdan_detailed_result.json';
-const DETAILED_RESULT_PATH = path.join(__dirname, '../../../../../result/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds', DETAILED_RESULT_FILENAME);
-const DOWNLOAD_BASE_DIR = path.join(__dirname, '../../../../../result/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/attachments', isDoanhNghiep ? 'doanhnghiep' : 'congdan');
-const DELAY_MS = 100; // Delay between requests
 const DOWNLOAD_URL_BASE = 'https://dichvucong.gov.vn'; // Will be fetched from API
+const REST_URL = 'https://dichvucong.gov.vn/jsp/rest.jsp';
 
-/**
- * Make HTTPS GET request
- */
-function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
-}
+// Shared HTTP client (site headers, retries, per-host rate limit)
+const client = createClient('dichvucong.gov.vn');
 
-/**
- * Download file from URL
- */
-function downloadFile(url, filePath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(filePath);
-    
-    https.get(url, (res) => {
-      if (res.statusCode === 200) {
-        res.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve();
-        });
-      } else {
-        file.close();
-        fs.unlink(filePath, () => {}); // Delete the file
-        reject(new Error(`HTTP ${res.statusCode}`));
-      }
-    }).on('error', (err) => {
-      file.close();
-      fs.unlink(filePath, () => {}); // Delete the file
-      reject(err);
-    });
-  });
-}
+// Flags accepted by this script (shared with `songgio dvc details`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'download', 'out', 'data-root', 'dry-run', 'format', 'db', 'db-only'],
+  extra: {
+    doanhnghiep: { type: 'boolean', description: 'Process the doanh nghiệp list instead of công dân' },
+    'skip-full': { type: 'boolean', description: 'Only resolve idTTHC and the export URL, skip the full procedure page' }
+  }
+};
 
 /**
  * Parse first detail page HTML to extract idTTHC
@@ -113,6 +77,155 @@ function parseDetailHTML(html, tthcMa) {
   };
 }
 
+// Placeholder the site shows for empty fields
+const NO_INFORMATION = 'Không có thông tin';
+
+// Plain-text rows of the "Chi tiết thủ tục hành chính" popup, keyed by their label
+const INFO_FIELDS = {
+  'mã thủ tục': 'PROCEDURE_CODE',
+  'số quyết định': 'DECISION_NUMBER',
+  'tên thủ tục': 'PROCEDURE_NAME',
+  'cấp thực hiện': 'IMPLEMENTATION_LEVEL',
+  'loại thủ tục': 'PROCEDURE_TYPE',
+  'lĩnh vực': 'FIELD',
+  'đối tượng thực hiện': 'SUBJECTS',
+  'cơ quan thực hiện': 'IMPLEMENTING_AGENCY',
+  'cơ quan có thẩm quyền': 'COMPETENT_AGENCY',
+  'địa chỉ tiếp nhận hs': 'RECEIVING_ADDRESS',
+  'cơ quan được ủy quyền': 'AUTHORIZED_AGENCY',
+  'cơ quan phối hợp': 'COORDINATING_AGENCY',
+  'kết quả thực hiện': 'RESULT',
+  'yêu cầu, điều kiện thực hiện': 'REQUIREMENTS',
+  'từ khóa': 'KEYWORDS',
+  'mô tả': 'DESCRIPTION'
+};
+
+/**
+ * Text of a field, or null when it is empty or "Không có thông tin"
+ */
+function fieldText(html) {
+  const text = stripTags(html);
+  return text && text !== NO_INFORMATION ? text : null;
+}
+
+/**
+ * Like fieldText, but keeps the <br /> and newline breaks of pre-wrap content
+ */
+function multilineText(html) {
+  const lines = html.replace(/<br\s*\/?>/gi, '\n').split('\n').map(line => stripTags(line)).filter(Boolean);
+  const text = lines.join('\n');
+  return text && text !== NO_INFORMATION ? text : null;
+}
+
+/**
+ * Cell HTML of each body row of the first table in a fragment
+ * @returns {string[][]}
+ */
+function tableRows(html) {
+  const bodyMatch = html.match(/<tbody[^>]*>([\s\S]*?)<\/tbody>/);
+  const body = bodyMatch ? bodyMatch[1] : html;
+
+  return [...body.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)]
+    .map(([, row]) => [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(([, cell]) => cell));
+}
+
+/**
+ * Label and value HTML of each `info-row` in the detail popup
+ * @returns {Array<{label: string, html: string}>}
+ */
+function parseInfoRows(html) {
+  const start = html.indexOf('id="popupChitietTTHC"');
+  if (start === -1) {
+    return [];
+  }
+  const end = html.indexOf('<script', start);
+  const popup = html.slice(start, end === -1 ? undefined : end);
+
+  return popup.split('<div class="row info-row">').slice(1).map((chunk) => {
+    const match = chunk.match(/<div class="[^"]*\bkey\b[^"]*">([\s\S]*?)<\/div>([\s\S]*)/);
+    if (!match) {
+      return null;
+    }
+    return { label: stripTags(match[1]).replace(/:$/, '').toLowerCase(), html: match[2] };
+  }).filter(Boolean);
+}
+
+/**
+ * Dossier components ("Thành phần hồ sơ"): one entry per case, each with the
+ * documents of its `table-data tphs` table
+ */
+function parseDossier(html) {
+  const count = cell => {
+    const value = parseInt(stripTags(cell), 10);
+    return Number.isNaN(value) ? null : value;
+  };
+
+  return html.split('<div class="title f18 tphs"').slice(1).map((chunk) => {
+    const caseMatch = chunk.match(/title="([^"]*)"/);
+    const tableMatch = chunk.match(/<table class="table-data tphs"[\s\S]*?<\/table>/);
+
+    return {
+      CASE: caseMatch ? fieldText(caseMatch[1]) : null,
+      DOCUMENTS: tableMatch ? tableRows(tableMatch[0]).filter(cells => cells.length >= 4).map(([name, originals, copies, forms]) => ({
+        NAME: stripTags(name),
+        ORIGINALS: count(originals),
+        COPIES: count(copies),
+        FORMS: [...forms.matchAll(/downloadMaudon\('([^']*)'\)[^>]*>([\s\S]*?)<\/span>/g)]
+          .map(([, code, formName]) => ({ NAME: stripTags(formName), CODE: code }))
+      })) : []
+    };
+  });
+}
+
+/**
+ * Parse the full procedure page (DETAIL_URL_FULL)
+ *
+ * Everything comes from the static HTML except the execution steps and the
+ * requirements, which the page loads from rest.jsp; those are null here
+ * unless the HTML already holds them (see fetchFullDetail).
+ * @param {string} html - dvc-tthc-thu-tuc-hanh-chinh-chi-tiet.html page
+ * @returns {Object} Procedure fields, null when the page has no information
+ */
+function parseFullDetailHTML(html) {
+  const detail = {};
+  for (const key of Object.values(INFO_FIELDS)) {
+    detail[key] = null;
+  }
+  Object.assign(detail, {
+    EXECUTION_STEPS: null,
+    SUBMISSION_CHANNELS: [],
+    DOSSIER: parseDossier(html),
+    LEGAL_BASIS: []
+  });
+
+  for (const { label, html: valueHtml } of parseInfoRows(html)) {
+    if (label === 'trình tự thực hiện') {
+      const steps = multilineText(valueHtml);
+      detail.EXECUTION_STEPS = steps ? [{ SCENARIO: null, CONTENT: steps }] : null;
+    } else if (label === 'cách thức thực hiện') {
+      detail.SUBMISSION_CHANNELS = tableRows(valueHtml).filter(cells => cells.length >= 4).map(([channel, time, fees, description]) => ({
+        CHANNEL: fieldText(channel),
+        PROCESSING_TIME: fieldText(time),
+        FEES: fieldText(fees),
+        DESCRIPTION: fieldText(description)
+      }));
+    } else if (label === 'căn cứ pháp lý') {
+      detail.LEGAL_BASIS = tableRows(valueHtml).filter(cells => cells.length >= 4).map(([code, summary, issuedDate, agency]) => withParsedCodes(withIsoDates({
+        CODE: fieldText(code),
+        SUMMARY: fieldText(summary),
+        ISSUED_DATE: fieldText(issuedDate),
+        ISSUING_AGENCY: fieldText(agency)
+      }, ['ISSUED_DATE']), ['CODE']));
+    } else if (label === 'yêu cầu, điều kiện thực hiện') {
+      detail.REQUIREMENTS = multilineText(valueHtml);
+    } else if (INFO_FIELDS[label]) {
+      detail[INFO_FIELDS[label]] = fieldText(valueHtml);
+    }
+  }
+
+  return withParsedCodes(detail, ['DECISION_NUMBER']);
+}
+
 /**
  * Fetch detail page for a TTHC to get idTTHC
  */
@@ -120,69 +233,150 @@ async function fetchTTHCDetail(tthcMa) {
   const url = `https://dichvucong.gov.vn/p/home/dvc-chi-tiet-thu-tuc-hanh-chinh.html?ma_thu_tuc=${tthcMa}`;
   
   try {
-    const html = await httpsGet(url);
+    const html = await client.getText(url);
     return parseDetailHTML(html, tthcMa);
   } catch (err) {
     throw new Error(`Failed to fetch ${url}: ${err.message}`);
   }
 }
 
+/**
+ * Call a rest.jsp service of the procedure page
+ * @returns {Promise<Array<Object>>} Rows (empty when the service returns none)
+ */
+async function callProcedureService(service, idTTHC) {
+  const params = { service, provider: 'dvcquocgia', type: 'ref', id: idTTHC, parent_id: '' };
+  const rows = await client.postForm(REST_URL, { params: JSON.stringify(params) });
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Fetch and parse the full procedure page, filling in the execution steps and
+ * requirements from rest.jsp the way the page's own scripts do
+ *
+ * Unverified: example/ has no captured response of either service. The row
+ * keys (SCENARIO, CONTENT and REQUIRE_NAME) are the ones loadImplOrders() and
+ * loadRequires() read in example/.../dvc-tthc-thu-tuc-hanh-chinh-chi-tiet/details.html;
+ * check EXECUTION_STEPS and REQUIREMENTS against a live run before relying on them.
+ * @param {Object} detail - Result of fetchTTHCDetail with DETAIL_URL_FULL
+ */
+async function fetchFullDetail(detail) {
+  const html = await client.getText(detail.DETAIL_URL_FULL);
+  const full = parseFullDetailHTML(html);
+
+  if (!full.EXECUTION_STEPS) {
+    const orders = await callProcedureService('procedure_get_impl_orders_by_proc_id_service_v2', detail.ID_TTHC);
+    const steps = orders
+      .map(order => ({ SCENARIO: order.SCENARIO || null, CONTENT: multilineText(order.CONTENT || '') }))
+      .filter(step => step.CONTENT);
+    full.EXECUTION_STEPS = steps.length > 0 ? steps : null;
+  }
+  if (!full.REQUIREMENTS) {
+    const requires = await callProcedureService('procedure_get_requires_by_procedure_id_service_v2', detail.ID_TTHC);
+    full.REQUIREMENTS = multilineText(requires.map(item => item.REQUIRE_NAME || '').join('\n'));
+  }
+
+  return full;
+}
+
+/**
+ * Where the Word export of a TTHC is saved
+ * @param {string} downloadBaseDir - Attachment directory for the object type
+ * @param {string} tthcMa - TTHC_MA of the procedure
+ */
+function wordExportPath(downloadBaseDir, tthcMa) {
+  return path.join(downloadBaseDir, sanitizeFilename(tthcMa), sanitizeFilename(`${tthcMa}_chi_tiet.doc`));
+}
+
 /**
  * Download Word export file for a TTHC
+ * @param {Object} tthcDetail - Detail record with EXPORT_WORD_URL
+ * @param {string} downloadBaseDir - Attachment directory for this object type
+ * @param {Manifest} manifest - Manifest of downloadBaseDir
  */
-async function downloadWordExport(tthcDetail) {
+async function downloadWordExport(tthcDetail, downloadBaseDir, manifest) {
   if (!tthcDetail.EXPORT_WORD_URL) {
     return { success: false, error: 'No export URL' };
   }
   
-  const tthcDir = path.join(DOWNLOAD_BASE_DIR, tthcDetail.TTHC_MA.replace(/[\\:*?"<>|]/g, '_'));
-  
+  const filePath = wordExportPath(downloadBaseDir, tthcDetail.TTHC_MA);
+  const filename = path.basename(filePath);
+
   // Create directory
-  if (!fs.existsSync(tthcDir)) {
-    fs.mkdirSync(tthcDir, { recursive: true });
+  if (!fs.existsSync(path.dirname(filePath))) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
   }
   
-  const filename = `${tthcDetail.TTHC_MA.replace(/[\\:*?"<>|]/g, '_')}_chi_tiet.doc`;
-  const filePath = path.join(tthcDir, filename);
-  
-  try {
-    await downloadFile(tthcDetail.EXPORT_WORD_URL, filePath);
-    return { success: true, filename };
-  } catch (err) {
-    return { success: false, error: err.message };
+  const { status, detail } = await downloadTracked(client, manifest, tthcDetail.EXPORT_WORD_URL, filePath);
+  if (status === 'failed') {
+    return { success: false, error: detail };
   }
-}
-
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return { success: true, skipped: status === 'skipped', filename: `${filename} ${detail}` };
 }
 
 /**
  * Main function
+ * @param {Object} options
+ * @param {number} [options.limit] - Process only the first N records
+ * @param {boolean} [options.doanhnghiep] - Use the doanh nghiệp list instead of công dân
+ * @param {boolean} [options.download] - Download Word exports after saving details
+ * @param {boolean} [options.skipFull] - Do not fetch and parse the full procedure page
+ * @param {string} [options.outDir] - Directory holding the raw list and the outputs
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of the detailed result (the raw list is read in either)
+ * @param {string} [options.db] - SQLite database also receiving the details
+ * @param {boolean} [options.dbOnly] - Read the list from and write the details to the database only
  */
-async function main() {
+async function main(options = {}) {
+  const {
+    limit = null,
+    doanhnghiep: isDoanhNghiep = false,
+    download: shouldDownload = false,
+    skipFull = false,
+    dryRun = false,
+    format = 'json',
+    dbOnly = false
+  } = options;
+  const outDir = siteDir('dvc', options);
+  const resultName = isDoanhNghiep ? 'doanhnghiep_raw_result' : 'congdan_raw_result';
+  const resultFilename = `${resultName}.${format}`;
+  const detailedResultName = isDoanhNghiep ? 'doanhnghiep_detailed_result' : 'congdan_detailed_result';
+  const detailedResultFilename = `${detailedResultName}.${format}`;
+  const detailedResultPath = path.join(outDir, detailedResultFilename);
+  const downloadBaseDir = path.join(outDir, 'attachments', isDoanhNghiep ? 'doanhnghiep' : 'congdan');
+
   const objectTypeLabel = isDoanhNghiep ? 'Doanh nghiệp' : 'Công dân';
   console.log('=== Fetching TTHC Details from dichvucong.gov.vn ===');
   console.log(`Object Type: ${objectTypeLabel}`);
-  console.log(`Input File: ${RESULT_FILENAME}`);
-  console.log(`Output File: ${DETAILED_RESULT_FILENAME}\n`);
+  console.log(`Input File: ${resultFilename}`);
+  console.log(`Output File: ${detailedResultFilename}\n`);
   
+  const objectType = isDoanhNghiep ? 'doanhnghiep' : 'congdan';
+  const store = openStore(options);
+
   // Read raw result
-  if (!fs.existsSync(RAW_RESULT_PATH)) {
-    console.error(`Error: File not found: ${RAW_RESULT_PATH}`);
-    console.log('Please run list_tthc.js first to fetch the TTHC list.');
-    process.exit(1);
+  let rawData;
+  if (dbOnly) {
+    rawData = store.loadRecords('tthc', { object_type: objectType });
+  } else {
+    rawData = readResult(outDir, resultName, format);
+    if (!rawData) {
+      throw new Error(`File not found: ${path.join(outDir, resultFilename)}. Please run list_tthc.js first to fetch the TTHC list.`);
+    }
   }
-  
-  const rawData = JSON.parse(fs.readFileSync(RAW_RESULT_PATH, 'utf8'));
   console.log(`Loaded ${rawData.length} TTHC records\n`);
   
   // Apply limit
   const recordsToProcess = limit ? rawData.slice(0, limit) : rawData;
   console.log(`Processing ${recordsToProcess.length} records...\n`);
+
+  if (dryRun) {
+    console.log(`[dry-run] Would fetch ${recordsToProcess.length} detail pages into ${dbOnly ? options.db : detailedResultPath}`);
+    if (shouldDownload) {
+      console.log(`[dry-run] Word exports: ${downloadBaseDir}`);
+    }
+    return;
+  }
   
   // Phase 1: Fetch details (no downloads)
   console.log('=== Phase 1: Fetching Details ===\n');
@@ -205,12 +399,25 @@ async function main() {
         ...detail
       };
       
-      detailedResults.push(merged);
-      fetchStats.success++;
-      
       console.log(`  ✓ Export URL: ${detail.HAS_EXPORT ? 'Found' : 'Not found'}`);
-      
-      await sleep(DELAY_MS);
+
+      // Keep the first page's data even if the full page fails
+      if (!skipFull && detail.DETAIL_URL_FULL) {
+        try {
+          Object.assign(merged, await fetchFullDetail(detail));
+          console.log(`  ✓ Full details: ${merged.DOSSIER.length} dossier case(s), ${merged.LEGAL_BASIS.length} legal basis document(s)`);
+        } catch (err) {
+          merged.ERROR = `Full details: ${err.message}`;
+          console.log(`  ✗ Error: ${merged.ERROR}`);
+        }
+      }
+
+      detailedResults.push(merged);
+      if (merged.ERROR) {
+        fetchStats.failed++;
+      } else {
+        fetchStats.success++;
+      }
     } catch (err) {
       console.log(`  ✗ Error: ${err.message}`);
       fetchStats.failed++;
@@ -230,13 +437,15 @@ async function main() {
   
   // Save detailed results
   console.log(`\n=== Saving Results ===`);
-  const resultDir = path.dirname(DETAILED_RESULT_PATH);
-  if (!fs.existsSync(resultDir)) {
-    fs.mkdirSync(resultDir, { recursive: true });
+  if (store) {
+    store.saveTthc(detailedResults, objectType);
+    store.close();
+    console.log(`✓ Saved ${detailedResults.length} records to ${options.db}`);
+  }
+  if (!dbOnly) {
+    writeResult(outDir, detailedResultName, detailedResults, format);
+    console.log(`✓ Saved ${detailedResults.length} records to ${detailedResultFilename}`);
   }
-  
-  fs.writeFileSync(DETAILED_RESULT_PATH, JSON.stringify(detailedResults, null, 2), 'utf8');
-  console.log(`✓ Saved ${detailedResults.length} records to ${DETAILED_RESULT_FILENAME}`);
   
   console.log(`\n=== Phase 1 Summary ===`);
   console.log(`Total: ${recordsToProcess.length}`);
@@ -247,11 +456,13 @@ async function main() {
   console.log(`TTHC with export URL: ${totalWithExport}`);
   
   // Phase 2: Download Word export files (if --download flag is set)
+  let failedDownloads = 0;
   if (shouldDownload && totalWithExport > 0) {
     console.log(`\n=== Phase 2: Downloading Word Export Files ===\n`);
     
     // Download Word exports
-    let downloadStats = { total: 0, success: 0, failed: 0 };
+    let downloadStats = { total: 0, success: 0, skipped: 0, failed: 0 };
+    const manifest = new Manifest(downloadBaseDir);
     
     for (let i = 0; i < detailedResults.length; i++) {
       const tthc = detailedResults[i];
@@ -264,33 +475,58 @@ async function main() {
       const progress = `[${downloadStats.total}/${totalWithExport}]`;
       console.log(`${progress} Downloading ${tthc.TTHC_MA} - ${tthc.NAME}`);
       
-      const result = await downloadWordExport(tthc);
+      const result = await downloadWordExport(tthc, downloadBaseDir, manifest);
       
-      if (result.success) {
+      if (result.skipped) {
+        downloadStats.skipped++;
+        console.log(`  ↷ Skipped ${result.filename}`);
+      } else if (result.success) {
         downloadStats.success++;
         console.log(`  ✓ Downloaded ${result.filename}`);
       } else {
         downloadStats.failed++;
         console.log(`  ✗ Failed: ${result.error}`);
       }
-      
-      await sleep(DELAY_MS);
     }
+    manifest.flush();
     
     console.log(`\n=== Phase 2 Summary ===`);
     console.log(`Total files: ${downloadStats.total}`);
     console.log(`Success: ${downloadStats.success}`);
+    console.log(`Skipped (already downloaded): ${downloadStats.skipped}`);
     console.log(`Failed: ${downloadStats.failed}`);
-    console.log(`Download directory: ${DOWNLOAD_BASE_DIR}`);
+    console.log(`Download directory: ${downloadBaseDir}`);
+    failedDownloads = downloadStats.failed;
   } else if (!shouldDownload && totalWithExport > 0) {
     console.log(`\n💡 To download Word export files, run with --download flag`);
   } else {
     console.log(`\n⚠️ No TTHC with export URL found`);
   }
+
+  // The results are saved, ERROR records included; still fail the run
+  const problems = [];
+  if (fetchStats.failed > 0) {
+    problems.push(`${fetchStats.failed} procedure(s) failed (saved with ERROR)`);
+  }
+  if (failedDownloads > 0) {
+    problems.push(`${failedDownloads} Word export(s) failed to download`);
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node fetch_tthc_details.js [options]');
 }
 
-// Run main function
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+module.exports = {
+  COMMAND_SPEC,
+  INFO_FIELDS,
+  NO_INFORMATION,
+  main,
+  parseDetailHTML,
+  parseFullDetailHTML,
+  wordExportPath
+};
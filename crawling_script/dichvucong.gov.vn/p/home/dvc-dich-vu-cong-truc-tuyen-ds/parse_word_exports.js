@@ -0,0 +1,433 @@
+/**
+ * Parse the downloaded Word exports (<TTHC_MA>_chi_tiet.doc) of the TTHC
+ * details and cross-check them against the parsed web pages
+ *
+ * The export is whatever export_word_detail_tthc.jsp sends: usually Word HTML,
+ * sometimes Word 2003 XML or a real binary .doc (see lib/word_document.js).
+ * Its sections are read into the same fields as parseFullDetailHTML():
+ *   EXECUTION_STEPS, SUBMISSION_CHANNELS, DOSSIER, LEGAL_BASIS and the
+ *   plain-text fields (PROCEDURE_NAME, RESULT, ...)
+ * plus FEES (distinct fees) and FORMS (form names). Fields whose section is
+ * missing from the export are left out.
+ *
+ * Every field also present in the detailed result is compared with it, and
+ * each disagreement goes into MISMATCHES:
+ *   { field, kind: 'differs' | 'missing_in_export' | 'missing_on_web', web, export }
+ * with `only_web` / `only_export` instead of web/export for the lists.
+ *
+ * Usage:
+ *   node parse_word_exports.js                 // công dân exports
+ *   node parse_word_exports.js --doanhnghiep   // doanh nghiệp exports
+ *
+ * Output: <congdan|doanhnghiep>_export_result.json (or .ndjson)
+ * Also available as `songgio dvc exports`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('../../../../lib/cli_args');
+const { siteDir } = require('../../../../lib/config');
+const { blocksText, readWordDocument } = require('../../../../lib/word_document');
+const { readResult, writeResult } = require('../../../../lib/result_file');
+const { withIsoDates } = require('../../../../lib/dates');
+const { withParsedCodes } = require('../../../../lib/document_codes');
+const { INFO_FIELDS, NO_INFORMATION, wordExportPath } = require('./fetch_tthc_details');
+
+// Flags accepted by this script (shared with `songgio dvc exports`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'out', 'data-root', 'dry-run', 'format'],
+  extra: {
+    doanhnghiep: { type: 'boolean', description: 'Process the doanh nghiệp exports instead of công dân' }
+  }
+};
+
+// Section labels of the export besides the INFO_FIELDS ones
+const SECTIONS = {
+  'trình tự thực hiện': 'EXECUTION_STEPS',
+  'cách thức thực hiện': 'SUBMISSION_CHANNELS',
+  'thành phần hồ sơ': 'DOSSIER',
+  'căn cứ pháp lý': 'LEGAL_BASIS',
+  'phí, lệ phí': 'FEES',
+  'lệ phí': 'FEES',
+  'mẫu đơn, tờ khai': 'FORMS',
+  ...INFO_FIELDS
+};
+
+// Column headers of the section tables
+const CHANNEL_COLUMNS = {
+  CHANNEL: /^hình thức nộp/,
+  PROCESSING_TIME: /^thời hạn/,
+  FEES: /^phí/,
+  DESCRIPTION: /^mô tả/
+};
+const LEGAL_BASIS_COLUMNS = {
+  CODE: /^số ký hiệu/,
+  SUMMARY: /^trích yếu/,
+  ISSUED_DATE: /^ngày ban hành/,
+  ISSUING_AGENCY: /^cơ quan ban hành/
+};
+const DOSSIER_COLUMNS = {
+  NAME: /^tên giấy tờ/,
+  FORMS: /^mẫu đơn/,
+  QUANTITY: /^số lượng/,
+  ORIGINALS: /^bản chính/,
+  COPIES: /^bản sao/
+};
+
+/**
+ * Lowercase label without numbering or the trailing colon: "2. Lĩnh vực:" -> "lĩnh vực"
+ */
+function normalizeLabel(text) {
+  return text.normalize('NFC').toLowerCase().replace(/\s+/g, ' ')
+    .replace(/^[\dIVX]+[.)]\s*/i, '').replace(/\s*:\s*$/, '').trim();
+}
+
+/**
+ * Text of blocks, or null when empty or "Không có thông tin"
+ */
+function sectionText(blocks) {
+  const text = blocksText(blocks).trim();
+  return text && text !== NO_INFORMATION ? text : null;
+}
+
+/**
+ * Blocks of each labelled section, in either layout the exports use:
+ * a label/value table row, or a "Label:" paragraph followed by its content
+ * @returns {Map<string, Array<Object>>} Section key -> value blocks
+ */
+function collectSections(blocks, sections = new Map(), state = { current: null }) {
+  const start = (key, content) => {
+    state.current = key;
+    if (!sections.has(key)) {
+      sections.set(key, []);
+    }
+    sections.get(key).push(...content);
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'p') {
+      const colon = block.text.indexOf(':');
+      const label = normalizeLabel(colon === -1 ? block.text : block.text.slice(0, colon));
+      if (SECTIONS[label]) {
+        const inline = colon === -1 ? '' : block.text.slice(colon + 1).trim();
+        start(SECTIONS[label], inline ? [{ type: 'p', text: inline }] : []);
+      } else if (state.current) {
+        sections.get(state.current).push(block);
+      }
+      continue;
+    }
+
+    const labelled = block.rows.filter(row => row.length >= 2 && SECTIONS[normalizeLabel(sectionText(row[0]) || '')]);
+    if (labelled.length > 0) {
+      for (const row of block.rows) {
+        const key = row.length >= 2 && SECTIONS[normalizeLabel(sectionText(row[0]) || '')];
+        if (key) {
+          start(key, row.slice(1).flat());
+        } else if (state.current) {
+          sections.get(state.current).push(...row.flat());
+        }
+      }
+      state.current = null;
+    } else if (state.current) {
+      sections.get(state.current).push(block);
+    } else {
+      // A layout table around the content
+      for (const row of block.rows) {
+        for (const cell of row) {
+          collectSections(cell, sections, state);
+        }
+      }
+    }
+  }
+  return sections;
+}
+
+/**
+ * Rows of a table as objects keyed by column, finding the header row by
+ * `columns`; without one the columns are taken in order
+ * @returns {Array<Object>} Cell text by column key
+ */
+function tableRecords(table, columns) {
+  const headerIndex = table.rows.findIndex(row =>
+    row.filter(cell => Object.values(columns).some(pattern => pattern.test(normalizeLabel(blocksText(cell))))).length >= 2
+  );
+
+  let keys;
+  if (headerIndex === -1) {
+    keys = Object.keys(columns);
+  } else {
+    keys = table.rows[headerIndex].map((cell) => {
+      const label = normalizeLabel(blocksText(cell));
+      return Object.keys(columns).find(key => columns[key].test(label)) || null;
+    });
+  }
+
+  return table.rows.slice(headerIndex + 1)
+    .filter(row => row.some(cell => sectionText(cell)))
+    .map((row) => {
+      const record = {};
+      keys.forEach((key, i) => {
+        if (key && row[i]) {
+          record[key] = row[i];
+        }
+      });
+      return record;
+    });
+}
+
+/**
+ * Copy count from a cell: "1", "Bản chính: 1" (with `label`), else null
+ */
+function count(text, label) {
+  if (!text) {
+    return null;
+  }
+  const match = label ? new RegExp(`${label}\\s*:?\\s*(\\d+)`, 'i').exec(text) : /^\s*(\d+)/.exec(text);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Dossier cases: each table, with the paragraph before it as its case
+ */
+function parseDossier(blocks) {
+  const cases = [];
+  let caseName = null;
+  for (const block of blocks) {
+    if (block.type === 'p') {
+      caseName = block.text === NO_INFORMATION ? null : block.text;
+      continue;
+    }
+    const documents = tableRecords(block, DOSSIER_COLUMNS).filter(row => row.NAME).map((row) => {
+      const quantity = row.QUANTITY ? sectionText(row.QUANTITY) : null;
+      return {
+        NAME: sectionText(row.NAME),
+        ORIGINALS: row.ORIGINALS ? count(sectionText(row.ORIGINALS)) : count(quantity, 'bản chính'),
+        COPIES: row.COPIES ? count(sectionText(row.COPIES)) : count(quantity, 'bản sao'),
+        FORMS: (row.FORMS ? blocksText(row.FORMS).split('\n') : [])
+          .map(line => line.trim())
+          .filter(name => name && name !== NO_INFORMATION)
+          .map(name => ({ NAME: name, CODE: null }))
+      };
+    });
+    cases.push({ CASE: caseName, DOCUMENTS: documents });
+    caseName = null;
+  }
+  return cases;
+}
+
+/**
+ * Records of every table of a section
+ */
+function sectionTables(blocks, columns) {
+  return blocks.filter(block => block.type === 'table').flatMap(table => tableRecords(table, columns));
+}
+
+/**
+ * Fields of an export, shaped like parseFullDetailHTML()
+ * @param {Array<Object>} blocks - Blocks of lib/word_document.js
+ * @returns {Object} Fields of the sections found, plus FEES and FORMS
+ */
+function parseExport(blocks) {
+  const sections = collectSections(blocks);
+  const detail = {};
+
+  for (const key of Object.values(INFO_FIELDS)) {
+    if (sections.has(key)) {
+      detail[key] = sectionText(sections.get(key));
+    }
+  }
+
+  if (sections.has('EXECUTION_STEPS')) {
+    const steps = sectionText(sections.get('EXECUTION_STEPS'));
+    detail.EXECUTION_STEPS = steps ? [{ SCENARIO: null, CONTENT: steps }] : null;
+  }
+  if (sections.has('SUBMISSION_CHANNELS')) {
+    detail.SUBMISSION_CHANNELS = sectionTables(sections.get('SUBMISSION_CHANNELS'), CHANNEL_COLUMNS).map(row => ({
+      CHANNEL: row.CHANNEL ? sectionText(row.CHANNEL) : null,
+      PROCESSING_TIME: row.PROCESSING_TIME ? sectionText(row.PROCESSING_TIME) : null,
+      FEES: row.FEES ? sectionText(row.FEES) : null,
+      DESCRIPTION: row.DESCRIPTION ? sectionText(row.DESCRIPTION) : null
+    }));
+  }
+  if (sections.has('DOSSIER')) {
+    detail.DOSSIER = parseDossier(sections.get('DOSSIER'));
+  }
+  if (sections.has('LEGAL_BASIS')) {
+    detail.LEGAL_BASIS = sectionTables(sections.get('LEGAL_BASIS'), LEGAL_BASIS_COLUMNS).map(row => withParsedCodes(withIsoDates({
+      CODE: row.CODE ? sectionText(row.CODE) : null,
+      SUMMARY: row.SUMMARY ? sectionText(row.SUMMARY) : null,
+      ISSUED_DATE: row.ISSUED_DATE ? sectionText(row.ISSUED_DATE) : null,
+      ISSUING_AGENCY: row.ISSUING_AGENCY ? sectionText(row.ISSUING_AGENCY) : null
+    }, ['ISSUED_DATE']), ['CODE']));
+  }
+
+  const fees = (detail.SUBMISSION_CHANNELS || []).map(channel => channel.FEES);
+  if (sections.has('FEES')) {
+    fees.push(sectionText(sections.get('FEES')));
+  }
+  detail.FEES = [...new Set(fees.filter(Boolean))];
+
+  const forms = (detail.DOSSIER || []).flatMap(dossierCase => dossierCase.DOCUMENTS.flatMap(doc => doc.FORMS.map(form => form.NAME)));
+  if (sections.has('FORMS')) {
+    forms.push(...blocksText(sections.get('FORMS')).split('\n').map(line => line.trim()));
+  }
+  detail.FORMS = [...new Set(forms.filter(name => name && name !== NO_INFORMATION))];
+
+  return withParsedCodes(detail, ['DECISION_NUMBER']);
+}
+
+/**
+ * Comparable form of a value: NFC, whitespace collapsed, lowercase; null when empty
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).normalize('NFC').replace(/\s+/g, ' ').trim();
+  return text && text !== NO_INFORMATION ? text.toLowerCase() : null;
+}
+
+// List fields, compared as sets of these keys
+const LIST_KEYS = {
+  SUBMISSION_CHANNELS: channels => channels.map(channel =>
+    [channel.CHANNEL, channel.PROCESSING_TIME, channel.FEES].map(normalizeValue).join(' | ')),
+  DOSSIER: cases => cases.flatMap(dossierCase => dossierCase.DOCUMENTS.map(doc =>
+    [dossierCase.CASE, doc.NAME, doc.ORIGINALS, doc.COPIES].map(normalizeValue).join(' | '))),
+  LEGAL_BASIS: laws => laws.map(law => normalizeValue(law.CODE))
+};
+
+/**
+ * Disagreements between the export and the web page
+ * @param {Object} exported - Result of parseExport
+ * @param {Object} web - Detailed result record
+ * @returns {Array<Object>} MISMATCHES entries
+ */
+function compareWithWeb(exported, web) {
+  const mismatches = [];
+  const compareText = (field, exportValue, webValue) => {
+    const a = normalizeValue(webValue);
+    const b = normalizeValue(exportValue);
+    if (a === b) {
+      return;
+    }
+    const kind = a === null ? 'missing_on_web' : b === null ? 'missing_in_export' : 'differs';
+    mismatches.push({ field, kind, web: webValue, export: exportValue });
+  };
+  const compareSets = (field, exportKeys, webKeys) => {
+    const onlyWeb = [...new Set(webKeys)].filter(key => !exportKeys.includes(key));
+    const onlyExport = [...new Set(exportKeys)].filter(key => !webKeys.includes(key));
+    if (onlyWeb.length === 0 && onlyExport.length === 0) {
+      return;
+    }
+    const kind = onlyExport.length === 0 ? 'missing_in_export' : onlyWeb.length === 0 ? 'missing_on_web' : 'differs';
+    mismatches.push({ field, kind, only_web: onlyWeb, only_export: onlyExport });
+  };
+  // Only fields both sides have: the web record may come from --skip-full
+  const both = field => exported[field] !== undefined && web[field] !== undefined;
+
+  for (const field of Object.values(INFO_FIELDS)) {
+    if (both(field)) {
+      compareText(field, exported[field], web[field]);
+    }
+  }
+
+  if (both('EXECUTION_STEPS')) {
+    const stepsText = steps => (steps || []).map(step => step.CONTENT).join('\n');
+    compareText('EXECUTION_STEPS', stepsText(exported.EXECUTION_STEPS), stepsText(web.EXECUTION_STEPS));
+  }
+
+  for (const [field, keysOf] of Object.entries(LIST_KEYS)) {
+    if (both(field)) {
+      compareSets(field, keysOf(exported[field] || []), keysOf(web[field] || []));
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Read and parse one export file
+ * @returns {Object} Export record: TTHC_MA, FILE, FORMAT, the parsed fields and MISMATCHES
+ */
+function parseExportFile(filePath, web) {
+  const { format, blocks } = readWordDocument(fs.readFileSync(filePath));
+  const exported = parseExport(blocks);
+  return {
+    TTHC_MA: web.TTHC_MA,
+    FILE: filePath,
+    FORMAT: format,
+    ...exported,
+    MISMATCHES: compareWithWeb(exported, web)
+  };
+}
+
+/**
+ * Main function
+ * @param {Object} options
+ * @param {number} [options.limit] - Process only the first N records
+ * @param {boolean} [options.doanhnghiep] - Use the doanh nghiệp exports instead of công dân
+ * @param {string} [options.outDir] - Directory holding the detailed result and the attachments
+ * @param {boolean} [options.dryRun] - Only count the export files
+ * @param {'json'|'ndjson'} [options.format] - Format of the detailed result and the export result
+ */
+async function main(options = {}) {
+  const { limit = null, doanhnghiep: isDoanhNghiep = false, dryRun = false, format = 'json' } = options;
+  const outDir = siteDir('dvc', options);
+  const objectType = isDoanhNghiep ? 'doanhnghiep' : 'congdan';
+  const detailedResultName = `${objectType}_detailed_result`;
+  const exportResultName = `${objectType}_export_result`;
+  const downloadBaseDir = path.join(outDir, 'attachments', objectType);
+
+  console.log('=== Parsing TTHC Word exports ===');
+  const details = readResult(outDir, detailedResultName, format);
+  if (!details) {
+    throw new Error(`File not found: ${path.join(outDir, `${detailedResultName}.${format}`)}. Please run fetch_tthc_details.js --download first.`);
+  }
+
+  const withFile = details
+    .map(detail => ({ detail, filePath: wordExportPath(downloadBaseDir, detail.TTHC_MA) }))
+    .filter(({ filePath }) => fs.existsSync(filePath));
+  const toProcess = limit ? withFile.slice(0, limit) : withFile;
+  console.log(`${withFile.length} of ${details.length} TTHC have a downloaded export; processing ${toProcess.length}\n`);
+
+  if (dryRun) {
+    console.log(`[dry-run] Would write ${path.join(outDir, `${exportResultName}.${format}`)}`);
+    return;
+  }
+
+  const results = [];
+  const stats = { parsed: 0, failed: 0, mismatched: 0 };
+  for (const { detail, filePath } of toProcess) {
+    try {
+      const result = parseExportFile(filePath, detail);
+      results.push(result);
+      stats.parsed++;
+      if (result.MISMATCHES.length > 0) {
+        stats.mismatched++;
+        console.log(`  ⚠ ${detail.TTHC_MA} (${result.FORMAT}): ${result.MISMATCHES.map(m => `${m.field} ${m.kind}`).join(', ')}`);
+      } else {
+        console.log(`  ✓ ${detail.TTHC_MA} (${result.FORMAT}): matches the web page`);
+      }
+    } catch (err) {
+      results.push({ TTHC_MA: detail.TTHC_MA, FILE: filePath, ERROR: err.message });
+      stats.failed++;
+      console.log(`  ✗ ${detail.TTHC_MA}: ${err.message}`);
+    }
+  }
+
+  writeResult(outDir, exportResultName, results, format);
+  console.log(`\n✓ Saved ${results.length} records to ${exportResultName}.${format}`);
+  console.log(`Parsed: ${stats.parsed}, with mismatches: ${stats.mismatched}, failed: ${stats.failed}`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node parse_word_exports.js [options]');
+}
+
+module.exports = {
+  COMMAND_SPEC,
+  compareWithWeb,
+  main,
+  parseExport
+};
@@ -1,86 +1,280 @@
-const { count } = require("console");
-const fs = require("fs");
+/**
+ * Crawl published documents from emohbackup.moh.gov.vn
+ *
+ * Usage:
+ *   node crawler.js                 // Save document_raw_result.json
+ *   node crawler.js --download      // ...and download every attachment
+ *   node crawler.js --attachments-only --concurrency 8  // Download from the saved results only
+ *   node crawler.js --limit 100     // Stop after the first 100 documents
+ *   node crawler.js --data-root /data
+ *   node crawler.js --db moh.sqlite // ...and upsert the documents into SQLite
+ *   node crawler.js --format ndjson // Save document_raw_result.ndjson instead
+ *   node crawler.js --year 2024     // Only the documents of 2024
+ *   node crawler.js --from 01/01/2024 --to 31/03/2024 --law
+ *
+ * Each result is normalized into the field vocabulary of the other crawlers
+ * (DOC_ID, CODE, ISSUE_DATE, SUMMARY, ATTACHMENTS...), with the original
+ * search result kept in RAW.
+ *
+ * Unverified: only the search query, data.lstResult/data.nTotal, documentId and
+ * attachments[].attachId/fileName are known from a working crawl. The other
+ * result keys read by normalizeDocument (docCode, title, the dates) are
+ * assumed, with no capture in example/; test/mock_server.js serves the same
+ * assumptions. The type, department and signer of a document (typeId, deptId,
+ * signerId) are neither filtered on nor resolved to names until a capture of
+ * their lookup lists exists; RAW keeps whatever the site sends.
+ *
+ * Attachments are downloaded from the saved results, a few at a time, into
+ * attachments/documentId=<id>/; interrupted files resume where they stopped
+ * and attachments/manifest.json records each file's status, size and SHA-256.
+ *
+ * Also available as `songgio moh crawl`.
+ */
+
 const path = require("path");
+const { createClient } = require("../../../lib/http_client");
+const { runCommand } = require("../../../lib/cli_args");
+const { siteDir } = require("../../../lib/config");
+const { openStore } = require("../../../lib/sqlite_store");
+const { readResult, resultPath, writeResult } = require("../../../lib/result_file");
+const { DownloadQueue, formatBytes } = require("../../../lib/download_queue");
+const { toIsoDate, withIsoDates } = require("../../../lib/dates");
+const { withParsedCodes } = require("../../../lib/document_codes");
 
 const BASE_URL = "https://emohbackup.moh.gov.vn/publish/doc/search";
 const ATTACH_URL = "https://emohbackup.moh.gov.vn/publish/attach/getfile";
-const OUTPUT_ROOT = path.resolve(__dirname, "../../../../result/emohbackup.moh.gov.vn/publish/home");
-const https = require("https");
 
-// agent that allows TLSv1
-const agent = new https.Agent({ minVersion: "TLSv1" });
+// date properties, each followed by its *_ISO date (see lib/dates.js)
+const DATE_FIELDS = ["ISSUE_DATE", "PUBLISH_DATE", "EFFECTIVE_DATE"];
+
+// shared client; the site profile enables TLSv1
+const client = createClient("emohbackup.moh.gov.vn");
+
+// flags accepted by main() (shared with `songgio moh crawl`)
+const COMMAND_SPEC = {
+  flags: ["limit", "download", "out", "data-root", "concurrency", "dry-run", "format", "db", "db-only"],
+  extra: {
+    "attachments-only": { type: "boolean", description: "Skip the search and download the attachments of the saved document_raw_result" },
+    year: { type: "string", value: "YYYY", integer: true, description: "Year of issue" },
+    from: { type: "string", value: "DATE", description: "Published on or after DATE, as the site expects it (dd/mm/yyyy)" },
+    to: { type: "string", value: "DATE", description: "Published on or before DATE (dd/mm/yyyy)" },
+    law: { type: "boolean", description: "Only legal normative documents (isLaw)" },
+    term: { type: "string", value: "TEXT", description: "Search term" }
+  }
+};
+
+/**
+ * First non-empty value among some keys of an object
+ */
+function pick(object, keys) {
+  for (const key of keys) {
+    const value = object && object[key];
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return null;
+}
 
-async function fetchPage(page = 0, size = 50) {
-  const url = `${BASE_URL}?page=${page}&size=${size}&typeId=0&deptId=0&term=&isLaw=false&sortField=-PUBLISH_DATE&year=0&signerId=0&startPublishDate=&endPublishDate=`;
+/**
+ * Dates come as strings or epoch milliseconds; keep strings as sent and
+ * give epochs as their day in Vietnam
+ */
+function dateText(value) {
+  if (typeof value === "number") return toIsoDate(value);
+  return value === null ? null : String(value).trim();
+}
+
+/**
+ * Search URL for one page with the filters; type, department and signer stay 0 (all)
+ */
+function searchUrl(page, size, filters = {}) {
+  const params = new URLSearchParams({
+    page,
+    size,
+    typeId: 0,
+    deptId: 0,
+    term: filters.term || "",
+    isLaw: Boolean(filters.law),
+    sortField: "-PUBLISH_DATE",
+    year: filters.year || 0,
+    signerId: 0,
+    startPublishDate: filters.from || "",
+    endPublishDate: filters.to || ""
+  });
+  return `${BASE_URL}?${params}`;
+}
+
+/**
+ * Map one search result to the shared field vocabulary
+ * @param {Object} doc - Entry of data.lstResult
+ * @returns {Object} DOC_ID, CODE (with CODE_PARTS), TITLE, SUMMARY, ISSUE_DATE, PUBLISH_DATE,
+ *   EFFECTIVE_DATE (each with its *_ISO date), ATTACHMENTS [{url, label, filename, attachId}] and RAW
+ */
+function normalizeDocument(doc) {
+  const title = pick(doc, ["title"]);
+  const document = {
+    DOC_ID: pick(doc, ["documentId"]),
+    CODE: pick(doc, ["docCode"]),
+    TITLE: title,
+    // no separate trích yếu is known in the results; the title is the summary
+    SUMMARY: title,
+    ISSUE_DATE: dateText(pick(doc, ["issueDate"])),
+    PUBLISH_DATE: dateText(pick(doc, ["publishDate"])),
+    EFFECTIVE_DATE: dateText(pick(doc, ["effectiveDate"])),
+    ATTACHMENTS: (doc.attachments || []).map(att => ({
+      url: `${ATTACH_URL}/${att.attachId}`,
+      label: att.fileName,
+      filename: att.fileName,
+      attachId: att.attachId
+    })),
+    RAW: doc
+  };
+
+  return withParsedCodes(withIsoDates(document, DATE_FIELDS), ["CODE"]);
+}
+
+async function fetchPage(page = 0, size = 50, filters = {}) {
+  const url = searchUrl(page, size, filters);
   try {
-    const res = await fetch(url, { agent, headers: { "Accept": "application/json" } });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
+    const data = await client.getJSON(url);
     return { docs: data.data?.lstResult || [], nTotal: data.data?.nTotal || 0 };
   } catch (err) {
     console.error(`Error fetching page ${page}:`, err.message);
-    return { docs: [], nTotal: 0 };
+    throw err;
   }
 }
 
 
-// --- Download one attachment into documentId folder ---
-async function downloadAttachment(attachment, documentId) {
-  const url = `${ATTACH_URL}/${attachment.attachId}`;
-  const fileName = attachment.fileName;
+// --- Search every page and save the normalized documents ---
+// a failed first page fails the crawl before anything is written; later pages
+// that fail (after retries) are returned as failedPages
+async function crawlDocuments(options, outDir, pageSize) {
+  const { limit = null, format = "json", dbOnly = false } = options;
 
-  const folderPath = path.join(OUTPUT_ROOT, "attachments", `documentId=${documentId}`);
-  const filePath = path.join(folderPath, fileName);
+  const filters = {
+    year: options.year,
+    from: options.from,
+    to: options.to,
+    law: options.law,
+    term: options.term
+  };
 
-  try {
-    fs.mkdirSync(folderPath, { recursive: true });
+  const firstPage = await fetchPage(0, pageSize, filters);
+  let allDocs = [...firstPage.docs];
+  const failedPages = [];
 
-    if (fs.existsSync(filePath)) {
-      console.log(`Already downloaded: ${fileName} (doc ${documentId})`);
-      return;
+  const totalPages = Math.ceil(firstPage.nTotal / pageSize);
+  const pagesToCrawl = limit ? Math.min(totalPages, Math.ceil(limit / pageSize)) : totalPages;
+  console.log(`Total pages: ${totalPages}`);
+
+  for (let p = 1; p < pagesToCrawl; p++) {
+    try {
+      const { docs } = await fetchPage(p, pageSize, filters);
+      allDocs = allDocs.concat(docs);
+    } catch (err) {
+      // retries are exhausted at this point; record the gap and move on
+      failedPages.push(p);
     }
+  }
+  if (limit) allDocs = allDocs.slice(0, limit);
 
-    const res = await fetch(url, { agent });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const buffer = Buffer.from(await res.arrayBuffer());
-    fs.writeFileSync(filePath, buffer);
-    console.log(`Downloaded: ${fileName} → ${folderPath}`);
-  } catch (err) {
-    console.error(`Failed to download ${fileName} (doc ${documentId}):`, err.message);
+  console.log("Total documents crawled:", allDocs.length);
+  if (failedPages.length > 0) console.warn(`Failed pages (after retries): ${failedPages.join(", ")}`);
+  const documents = allDocs.map(doc => normalizeDocument(doc));
+
+  const store = openStore(options);
+  if (store) {
+    store.saveDocuments("moh", documents);
+    store.close();
+  }
+  if (!dbOnly) {
+    writeResult(outDir, "document_raw_result", documents, format);
   }
+  return { failedPages };
+}
+
+// --- Download every attachment of the saved documents ---
+async function downloadAttachments(documents, outDir, concurrency) {
+  const attachmentsDir = path.join(outDir, "attachments");
+  const queue = new DownloadQueue(client, { dir: attachmentsDir, concurrency });
+
+  for (const doc of documents) {
+    const namer = queue.namer(path.join(attachmentsDir, `documentId=${doc.DOC_ID}`));
+    for (const att of doc.ATTACHMENTS || []) {
+      queue.add(att.url, namer.path(att.filename, att.url), att.filename);
+    }
+  }
+
+  console.log(`Downloading ${queue.jobs.length} attachments of ${documents.length} documents (${queue.concurrency} at a time)`);
+  const summary = await queue.run();
+  console.log(`Download complete: ${summary.downloaded} downloaded (${formatBytes(summary.bytes)}), ${summary.skipped} already present, ${summary.failed} failed`);
+  console.log(`Manifest: ${queue.manifest.path}`);
+  return summary;
+}
+
+// --- Download the attachments of the saved results (document_raw_result or the database) ---
+async function downloadSaved(options, outDir) {
+  const { limit = null, format = "json", dbOnly = false, attachmentsOnly = false, concurrency = 4 } = options;
+  let documents;
+  if (dbOnly) {
+    const store = openStore(options);
+    documents = store.loadRecords("documents", { source: "moh" });
+    store.close();
+  } else {
+    documents = readResult(outDir, "document_raw_result", format);
+    if (!documents) {
+      throw new Error(`No document_raw_result.json or document_raw_result.ndjson in ${outDir}. Run the crawl first.`);
+    }
+  }
+  if (attachmentsOnly && limit) documents = documents.slice(0, limit);
+
+  // results saved by the crawler before normalizeDocument hold the raw search entries
+  documents = documents.map(doc => (doc.DOC_ID === undefined && doc.documentId !== undefined ? normalizeDocument(doc) : doc));
+  const unidentified = documents.filter(doc => doc.DOC_ID === undefined || doc.DOC_ID === null).length;
+  if (unidentified > 0) {
+    throw new Error(`${unidentified} saved document(s) have neither DOC_ID nor documentId; run the crawl again before downloading`);
+  }
+
+  return downloadAttachments(documents, outDir, concurrency);
 }
 
 // --- Main orchestrator ---
-async function main() {
+async function main(options = {}) {
+  const { limit = null, download = false, dryRun = false, format = "json", dbOnly = false, attachmentsOnly = false, concurrency = 4 } = options;
+  const outDir = siteDir("moh", options);
   const pageSize = 50;
-  const firstPage = await fetchPage(0, pageSize);
-  let allDocs = [...firstPage.docs];
 
-  const totalPages = Math.ceil(firstPage.nTotal / pageSize);
-  console.log(`Total pages: ${totalPages}`);
+  if (dryRun) {
+    if (attachmentsOnly) {
+      console.log(`[dry-run] Would download the attachments listed in ${dbOnly ? options.db : resultPath(outDir, "document_raw_result", format)}`);
+      console.log(`[dry-run] Attachments: ${path.join(outDir, "attachments")} (${concurrency} at a time)`);
+      return;
+    }
+    console.log(`[dry-run] Would crawl ${limit ? `up to ${limit}` : "all"} documents into ${dbOnly ? options.db : resultPath(outDir, "document_raw_result", format)}`);
+    console.log(`[dry-run] Search: ${searchUrl(0, pageSize, options)}`);
+    if (download) console.log(`[dry-run] Attachments: ${path.join(outDir, "attachments")} (${concurrency} at a time)`);
+    return;
+  }
 
-  for (let p = 1; p < totalPages; p++) {
-    const { docs } = await fetchPage(p, pageSize);
-    allDocs = allDocs.concat(docs);
+  let failedPages = [];
+  if (!attachmentsOnly) {
+    ({ failedPages } = await crawlDocuments(options, outDir, pageSize));
   }
 
-  console.log("Total documents crawled:", allDocs.length);
+  // the attachment phase works from what was saved, never from the search API
+  let downloads = null;
+  if (attachmentsOnly || download) {
+    downloads = await downloadSaved(options, outDir);
+  }
 
-  fs.mkdirSync(OUTPUT_ROOT, { recursive: true });
-  fs.writeFileSync(path.join(OUTPUT_ROOT, "document_raw_result.json"), JSON.stringify(allDocs, null, 2));
-
-  let count = 0;
-  for (let p = 0; p < totalPages; p++) {
-    const { docs } = await fetchPage(p, pageSize);
-    for (const doc of docs) {
-      if (doc.attachments) {
-        for (const att of doc.attachments) {
-            await downloadAttachment(att, doc.documentId);
-          }
-        }
-      }
-    }
-  console.log("Download complete.");
+  // what was fetched is saved; still fail the run when anything is missing
+  const problems = [];
+  if (failedPages.length > 0) problems.push(`search page(s) ${failedPages.join(", ")} failed`);
+  if (downloads && downloads.failed > 0) problems.push(`${downloads.failed} attachment(s) failed to download (run again with --attachments-only to retry them)`);
+  if (problems.length > 0) throw new Error(problems.join("; "));
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, "node crawler.js [options]");
 }
 
-main();
+module.exports = { COMMAND_SPEC, main, normalizeDocument, searchUrl };
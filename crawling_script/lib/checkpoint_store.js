@@ -0,0 +1,150 @@
+/**
+ * Append-only checkpoint journal for resumable crawls
+ *
+ * Each line of the journal is one JSON event:
+ *   { "event": "page",  "id": "115010", "kind": "new", "page": 2, "items": [...] }
+ *   { "event": "done",  "id": "115010", "record": {...} }
+ *   { "event": "error", "id": "115010", "error": "HTTP 503: ..." }
+ *
+ * Replaying the journal gives the latest state per ID. Appending a line per
+ * event keeps writes cheap for large crawls, and a line cut short by a crash
+ * is simply ignored on reload.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class CheckpointStore {
+  /**
+   * @param {string} filePath - Journal file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map();
+  }
+
+  /**
+   * Replay the journal from disk (no-op when it does not exist)
+   * @returns {CheckpointStore}
+   */
+  load() {
+    this.entries.clear();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n');
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      console.warn(`Checkpoint: ignored ${skipped} unreadable line(s) in ${this.filePath}`);
+    }
+    return this;
+  }
+
+  /**
+   * Apply one event to the in-memory state
+   */
+  apply(event) {
+    const id = String(event.id);
+
+    if (event.event === 'done') {
+      // Page-level progress is no longer needed once the record is complete
+      this.entries.set(id, { status: 'done', record: event.record, pages: {} });
+      return;
+    }
+
+    const entry = this.entries.get(id) || { status: 'pending', pages: {} };
+
+    if (event.event === 'error') {
+      entry.status = 'error';
+      entry.error = event.error;
+    } else if (event.event === 'page') {
+      entry.pages[`${event.kind}:${event.page}`] = event.items;
+    }
+
+    this.entries.set(id, entry);
+  }
+
+  /**
+   * Persist an event and apply it
+   */
+  append(event) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n', 'utf-8');
+    this.apply(event);
+  }
+
+  /**
+   * Whether a record has been completed successfully
+   */
+  isDone(id) {
+    const entry = this.entries.get(String(id));
+    return Boolean(entry && entry.status === 'done');
+  }
+
+  /**
+   * Completed record for an ID, or null
+   */
+  getRecord(id) {
+    const entry = this.entries.get(String(id));
+    return entry && entry.status === 'done' ? entry.record : null;
+  }
+
+  /**
+   * Cached page of a paginated sub-request, or null
+   */
+  getPage(id, kind, page) {
+    const entry = this.entries.get(String(id));
+    return entry ? entry.pages[`${kind}:${page}`] || null : null;
+  }
+
+  savePage(id, kind, page, items) {
+    this.append({ event: 'page', id: String(id), kind, page, items });
+  }
+
+  markDone(id, record) {
+    this.append({ event: 'done', id: String(id), record });
+  }
+
+  markError(id, error) {
+    this.append({ event: 'error', id: String(id), error });
+  }
+
+  /**
+   * Counts of done / error records
+   */
+  summary() {
+    let done = 0;
+    let errors = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.status === 'done') done++;
+      if (entry.status === 'error') errors++;
+    }
+    return { done, errors };
+  }
+
+  /**
+   * Forget all progress and delete the journal
+   */
+  reset() {
+    this.entries.clear();
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+module.exports = CheckpointStore;
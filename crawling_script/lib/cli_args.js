@@ -0,0 +1,186 @@
+/**
+ * Command-line flag parsing shared by the songgio CLI and the standalone scripts
+ *
+ * Every command declares which of the shared flags it accepts (plus any extra
+ * command-specific flags); anything else is rejected with a UsageError.
+ */
+
+const { parseArgs } = require('util');
+const { setBaseUrl } = require('./config');
+
+/**
+ * Raised for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const SHARED_FLAGS = {
+  limit: { type: 'string', value: 'N', integer: true, description: 'Process at most N records' },
+  download: { type: 'boolean', description: 'Download attachments after saving the results' },
+  out: { type: 'string', value: 'DIR', description: 'Output directory (defaults to the site folder under the data root)' },
+  'data-root': { type: 'string', value: 'DIR', description: 'Data root holding every site folder (see lib/config.js)' },
+  resume: { type: 'boolean', description: 'Continue from the last checkpoint instead of starting over' },
+  concurrency: { type: 'string', value: 'N', integer: true, description: 'Number of records fetched in parallel' },
+  'dry-run': { type: 'boolean', description: 'Show what would be done without sending requests' },
+  format: { type: 'string', value: 'FORMAT', choices: ['json', 'ndjson'], description: 'Result file format: json (one array, default) or ndjson (one record per line)' },
+  db: { type: 'string', value: 'FILE', description: 'Also write the results to this SQLite database (see lib/sqlite_store.js)' },
+  'db-only': { type: 'boolean', description: 'With --db, write only to the database instead of the JSON files' }
+};
+
+// Accepted by every command
+const GLOBAL_FLAGS = {
+  'base-url': { type: 'string', value: 'URL', description: 'Send all requests to another server, e.g. the mock server' }
+};
+
+/**
+ * Convert a flag name to its option key: dry-run -> dryRun, out -> outDir
+ */
+function optionKey(name) {
+  if (name === 'out') {
+    return 'outDir';
+  }
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse argv for one command
+ * @param {string[]} argv - Arguments after the command name
+ * @param {Object} spec
+ * @param {string[]} [spec.flags] - Names of SHARED_FLAGS the command accepts
+ * @param {Object} [spec.extra] - Command-specific flags, same shape as SHARED_FLAGS entries
+ * @param {boolean} [spec.positionals] - Whether positional arguments are allowed
+ * @returns {Object} Options keyed in camelCase, plus `positionals` and `help`
+ */
+function parseCommandArgs(argv, spec = {}) {
+  const flags = collectFlags(spec);
+
+  const parseOptions = { help: { type: 'boolean', short: 'h' } };
+  for (const [name, flag] of Object.entries(flags)) {
+    parseOptions[name] = { type: flag.type, multiple: Boolean(flag.multiple) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: parseOptions,
+      allowPositionals: Boolean(spec.positionals),
+      strict: true
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const options = { help: Boolean(parsed.values.help), positionals: parsed.positionals };
+
+  for (const [name, flag] of Object.entries(flags)) {
+    const value = parsed.values[name];
+
+    // Unset value flags stay undefined so callers can use destructuring defaults
+    if (flag.integer) {
+      options[optionKey(name)] = value === undefined ? undefined : parsePositiveInt(name, value);
+    } else if (flag.type === 'boolean') {
+      options[optionKey(name)] = Boolean(value);
+    } else if (flag.multiple) {
+      options[optionKey(name)] = value || [];
+    } else {
+      options[optionKey(name)] = value;
+    }
+
+    if (flag.choices && value !== undefined && ![].concat(value).every(choice => flag.choices.includes(choice))) {
+      throw new UsageError(`--${name} must be one of: ${flag.choices.join(', ')}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Shared, command-specific and global flags of a command spec
+ */
+function collectFlags(spec) {
+  const flags = {};
+  for (const name of spec.flags || []) {
+    flags[name] = SHARED_FLAGS[name];
+  }
+  return Object.assign(flags, spec.extra || {}, GLOBAL_FLAGS);
+}
+
+/**
+ * Validate a positive integer flag value
+ */
+function parsePositiveInt(name, value) {
+  if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+    throw new UsageError(`--${name} expects a positive integer, got "${value}"`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Format the flag list for help output
+ * @param {Object} spec - Same spec passed to parseCommandArgs
+ * @returns {string}
+ */
+function formatFlags(spec = {}) {
+  const flags = collectFlags(spec);
+  flags.help = { description: 'Show this help' };
+
+  const labels = Object.entries(flags).map(([name, flag]) =>
+    [`--${name}${flag.value ? ` <${flag.value}>` : ''}`, flag.description]
+  );
+  const width = Math.max(...labels.map(([label]) => label.length)) + 2;
+
+  return labels.map(([label, description]) => `  ${label.padEnd(width)}${description}`).join('\n');
+}
+
+/**
+ * Parse argv, print help or run the command, and set the exit code:
+ * 0 on success, 1 when the command fails, 2 for invalid usage
+ * @param {Function} main - async (options) => void
+ * @param {Object} spec - Same spec passed to parseCommandArgs
+ * @param {string} usage - Usage line shown in help and usage errors
+ * @param {string[]} [argv] - Defaults to process.argv.slice(2)
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(main, spec, usage, argv = process.argv.slice(2)) {
+  let exitCode = 0;
+
+  try {
+    const options = parseCommandArgs(argv, spec);
+    if (options.help) {
+      console.log(`Usage: ${usage}\n\nOptions:\n${formatFlags(spec)}`);
+    } else {
+      if (options.baseUrl) {
+        try {
+          setBaseUrl(options.baseUrl);
+        } catch (err) {
+          throw new UsageError(`--base-url expects an absolute URL, got "${options.baseUrl}"`);
+        }
+      }
+      await main(options);
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\nUsage: ${usage} (see --help)`);
+      exitCode = 2;
+    } else {
+      console.error('Fatal error:', err.message);
+      exitCode = 1;
+    }
+  }
+
+  process.exitCode = exitCode;
+  return exitCode;
+}
+
+module.exports = {
+  SHARED_FLAGS,
+  UsageError,
+  formatFlags,
+  parseCommandArgs,
+  runCommand
+};
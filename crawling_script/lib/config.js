@@ -0,0 +1,175 @@
+/**
+ * Output location for every crawler
+ *
+ * All results live under one data root, with one folder per site pipeline.
+ * The data root is resolved from, in order of precedence:
+ *   1. the --data-root flag
+ *   2. the SONGGIO_DATA_ROOT environment variable
+ *   3. "dataRoot" in the config file (SONGGIO_CONFIG, or songgio.config.json
+ *      at the repository root); relative paths are resolved from the file
+ *   4. <repo>/result
+ *
+ * The config file may also relocate individual sites:
+ *   { "dataRoot": "/data/songgio", "sites": { "mod": "/mnt/mod" } }
+ *
+ * The list step and the detail step of a pipeline both call siteDir() with
+ * the same site key, so they always agree on where the files are.
+ *
+ * The same layers (--base-url, SONGGIO_BASE_URL, "baseUrl") can point every
+ * request at another server, e.g. the mock in test/mock_server.js. Only the
+ * origin is replaced; path and query are kept, so stored URLs still name the
+ * real sites.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_DATA_ROOT = path.join(REPO_ROOT, 'result');
+const DEFAULT_CONFIG_FILE = path.join(REPO_ROOT, 'songgio.config.json');
+
+// Site folders relative to the data root (mirroring the crawled URLs)
+const SITE_DIRS = {
+  vanban: 'vanban.chinhphu.vn',
+  dvc: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds',
+  thutuc: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo',
+  moh: 'emohbackup.moh.gov.vn/publish/home',
+  mod: 'www.mod.gov.vn/home/cdcs'
+};
+
+// Set by --base-url for the current process
+let baseUrlOverride = null;
+
+// Parsed config files by path (the file is consulted on every request)
+const configCache = new Map();
+
+/**
+ * Read the config file, if any
+ * @returns {{ dir: string, values: Object }}
+ */
+function readConfigFile() {
+  const filePath = process.env.SONGGIO_CONFIG
+    ? path.resolve(process.env.SONGGIO_CONFIG)
+    : DEFAULT_CONFIG_FILE;
+
+  if (configCache.has(filePath)) {
+    return configCache.get(filePath);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    if (process.env.SONGGIO_CONFIG) {
+      throw new Error(`Config file not found: ${filePath} (from SONGGIO_CONFIG)`);
+    }
+    return { dir: REPO_ROOT, values: {} };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+
+  const config = { dir: path.dirname(filePath), values };
+  configCache.set(filePath, config);
+  return config;
+}
+
+/**
+ * Resolve the data root
+ * @param {Object} options
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @returns {string} Absolute path
+ */
+function resolveDataRoot(options = {}) {
+  if (options.dataRoot) {
+    return path.resolve(options.dataRoot);
+  }
+  if (process.env.SONGGIO_DATA_ROOT) {
+    return path.resolve(process.env.SONGGIO_DATA_ROOT);
+  }
+
+  const config = readConfigFile();
+  if (config.values.dataRoot) {
+    return path.resolve(config.dir, config.values.dataRoot);
+  }
+  return DEFAULT_DATA_ROOT;
+}
+
+/**
+ * Resolve the output folder of one site pipeline
+ * @param {string} site - Key of SITE_DIRS, e.g. 'thutuc'
+ * @param {Object} options
+ * @param {string} [options.outDir] - Value of --out; wins over everything else
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @returns {string} Absolute path
+ */
+function siteDir(site, options = {}) {
+  if (!SITE_DIRS[site]) {
+    throw new Error(`Unknown site: ${site}`);
+  }
+  if (options.outDir) {
+    return path.resolve(options.outDir);
+  }
+
+  // An explicit --data-root or SONGGIO_DATA_ROOT applies to every site
+  if (!options.dataRoot && !process.env.SONGGIO_DATA_ROOT) {
+    const config = readConfigFile();
+    const override = config.values.sites && config.values.sites[site];
+    if (override) {
+      return path.resolve(config.dir, override);
+    }
+  }
+
+  return path.join(resolveDataRoot(options), SITE_DIRS[site]);
+}
+
+/**
+ * Send every request of this process to another server (--base-url)
+ * @param {string|null} baseUrl - e.g. 'http://127.0.0.1:8080'; null restores the default
+ */
+function setBaseUrl(baseUrl) {
+  if (baseUrl) {
+    new URL(baseUrl); // throws on an invalid URL
+  }
+  baseUrlOverride = baseUrl || null;
+}
+
+/**
+ * Resolve the base-URL override, or null when requests go to the real sites
+ * @returns {string|null}
+ */
+function resolveBaseUrl() {
+  if (baseUrlOverride) {
+    return baseUrlOverride;
+  }
+  if (process.env.SONGGIO_BASE_URL) {
+    return process.env.SONGGIO_BASE_URL;
+  }
+  return readConfigFile().values.baseUrl || null;
+}
+
+/**
+ * Apply the base-URL override to an absolute URL
+ * @param {string} url - URL on one of the real sites
+ * @returns {string} The same path and query on the override server, or url unchanged
+ */
+function rewriteUrl(url) {
+  const baseUrl = resolveBaseUrl();
+  if (!baseUrl) {
+    return url;
+  }
+
+  const target = new URL(url);
+  return new URL(`${target.pathname}${target.search}`, baseUrl).toString();
+}
+
+module.exports = {
+  DEFAULT_DATA_ROOT,
+  SITE_DIRS,
+  resolveBaseUrl,
+  resolveDataRoot,
+  rewriteUrl,
+  setBaseUrl,
+  siteDir
+};
@@ -0,0 +1,113 @@
+/**
+ * Dates as the sites write them, normalized to ISO 8601 (YYYY-MM-DD)
+ *
+ *   "09-12-2025", "24/11/2025", "9.12.2025"      day first, as everywhere in Vietnam
+ *   "Ngày 5 tháng 3 năm 2024", "Hà Nội, ngày 05 tháng 03 năm 2024"
+ *   "2025-12-09", "2025-12-09 00:00:00.0"          ISO, or a Java timestamp
+ *   "2025-12-08T17:00:00.000+0000", 1765213200000  instants, read in Vietnam time
+ *   "Tue Dec 09 00:00:00 ICT 2025"                 Java Date.toString()
+ *
+ * Crawlers keep the original field and add `<FIELD>_ISO` right after it:
+ * the ISO date, or null when the value is empty or cannot be read.
+ * unparseableDates() lists the latter for the report of `songgio tools dates`.
+ */
+
+const { underivedFields, withDerivedFields } = require('./derived_fields');
+
+// Offset of Vietnam time (UTC+7, no daylight saving)
+const VIETNAM_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * YYYY-MM-DD of a calendar date, or null when the date does not exist
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (year < 1900 || year > 2100 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Calendar date in Vietnam of an instant
+ */
+function vietnamDate(milliseconds) {
+  const date = new Date(milliseconds + VIETNAM_OFFSET_MS);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().substring(0, 10);
+}
+
+/**
+ * ISO date of a date value in any of the shapes above
+ * @param {string|number|null|undefined} value
+ * @returns {string|null} YYYY-MM-DD, or null when empty or unreadable
+ */
+function toIsoDate(value) {
+  if (typeof value === 'number') {
+    return vietnamDate(value);
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).normalize('NFC').trim();
+  if (!text) {
+    return null;
+  }
+
+  // Epoch milliseconds sent as a string
+  if (/^\d{12,13}$/.test(text)) {
+    return vietnamDate(parseInt(text, 10));
+  }
+
+  // An instant with a zone: the day it was in Vietnam
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return vietnamDate(Date.parse(text.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')));
+  }
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ][\d:.]+)?$/.exec(text);
+  if (match) {
+    return formatDate(+match[1], +match[2], +match[3]);
+  }
+
+  match = /(?:^|[^\d])(\d{1,2})\s*[/.-]\s*(\d{1,2})\s*[/.-]\s*(\d{4})(?![\d])/.exec(text);
+  if (match) {
+    return formatDate(+match[3], +match[2], +match[1]);
+  }
+
+  match = /ngày\s+(\d{1,2})\s+tháng\s+(\d{1,2})\s+năm\s+(\d{4})/i.exec(text);
+  if (match) {
+    return formatDate(+match[3], +match[2], +match[1]);
+  }
+
+  match = /^[a-z]{3} ([a-z]{3}) (\d{1,2}) [\d:]+ (?:[a-z+\d:]+ )?(\d{4})$/i.exec(text);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return formatDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  }
+
+  return null;
+}
+
+/**
+ * Copy of a record with `<FIELD>_ISO` inserted right after each date field it has
+ * @param {Object} record
+ * @param {string[]} fields - Date fields, e.g. ['ISSUE_DATE', 'EFFECTIVE_DATE']
+ * @returns {Object}
+ */
+function withIsoDates(record, fields) {
+  return withDerivedFields(record, fields, 'ISO', toIsoDate);
+}
+
+/**
+ * Date fields of a record that have a value but no ISO date
+ * @returns {Array<{field: string, value: *}>}
+ */
+function unparseableDates(record) {
+  return underivedFields(record, 'ISO');
+}
+
+module.exports = {
+  toIsoDate,
+  unparseableDates,
+  withIsoDates
+};
@@ -0,0 +1,153 @@
+/**
+ * Values derived from a field and stored right after it as `<FIELD>_<SUFFIX>`
+ *
+ * The crawlers add ISO dates (`_ISO`, lib/dates.js) and the parts of document
+ * codes (`_PARTS`, lib/document_codes.js) this way. backfillResults() adds
+ * them to result files saved before, for `songgio tools dates` and
+ * `songgio tools codes`, and reports the values that give nothing:
+ *   [{ site, file, id, field, value }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataRoot, siteDir } = require('./config');
+const { writeJsonAtomic } = require('./ndjson');
+const { readResult, resultPath, writeResult } = require('./result_file');
+
+/**
+ * Copy of a record with `<FIELD>_<SUFFIX>` inserted right after each of the fields it has
+ * (a stale one is dropped)
+ * @param {Object} record
+ * @param {string[]} fields - e.g. ['ISSUE_DATE', 'EFFECTIVE_DATE']
+ * @param {string} suffix - e.g. 'ISO'
+ * @param {function(*): *} derive - Derived value of a field, null when there is none
+ * @returns {Object}
+ */
+function withDerivedFields(record, fields, suffix, derive) {
+  const ending = `_${suffix}`;
+  const result = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (key.endsWith(ending) && fields.includes(key.slice(0, -ending.length))) {
+      continue;
+    }
+    result[key] = value;
+    if (fields.includes(key)) {
+      result[`${key}${ending}`] = derive(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fields of a record that have a value but a null `<FIELD>_<SUFFIX>`
+ * @returns {Array<{field: string, value: *}>}
+ */
+function underivedFields(record, suffix) {
+  const ending = `_${suffix}`;
+  return Object.keys(record)
+    .filter(key => key.endsWith(ending) && record[key] === null)
+    .map(key => ({ field: key.slice(0, -ending.length), value: record[key.slice(0, -ending.length)] }))
+    .filter(({ value }) => value !== null && value !== undefined && String(value).trim() !== '');
+}
+
+/**
+ * A record with the derived fields of its fields and list entries
+ * @returns {{record: Object, problems: Array<{field: string, value: *}>}}
+ */
+function backfillRecord(record, source, transform) {
+  const { suffix, derive } = transform;
+  const backfilled = withDerivedFields(record, source.fields, suffix, derive);
+  const problems = underivedFields(backfilled, suffix);
+
+  for (const [list, fields] of Object.entries(source.lists || {})) {
+    if (!Array.isArray(backfilled[list])) {
+      continue;
+    }
+    backfilled[list] = backfilled[list].map((entry, i) => {
+      const result = withDerivedFields(entry, fields, suffix, derive);
+      problems.push(...underivedFields(result, suffix).map(problem => ({ ...problem, field: `${list}[${i}].${problem.field}` })));
+      return result;
+    });
+  }
+  return { record: backfilled, problems };
+}
+
+/**
+ * Backfill the result files of one site
+ * @returns {Array<Object>} Report entries
+ */
+function backfillSite(site, options, transform) {
+  const { format = 'json', dryRun = false } = options;
+  const source = transform.sources[site];
+  const outDir = siteDir(site, options);
+  const report = [];
+
+  for (const name of source.results) {
+    const records = readResult(outDir, name, format);
+    if (!records) {
+      continue;
+    }
+    // Write back in the format that was read
+    const written = fs.existsSync(resultPath(outDir, name, format)) ? format : format === 'json' ? 'ndjson' : 'json';
+    const file = resultPath(outDir, name, written);
+
+    let failed = 0;
+    const backfilled = records.map((record) => {
+      const { record: result, problems } = backfillRecord(record, source, transform);
+      report.push(...problems.map(problem => ({ site, file, id: source.id(record) ?? null, ...problem })));
+      failed += problems.length > 0 ? 1 : 0;
+      return result;
+    });
+
+    if (!dryRun) {
+      writeResult(outDir, name, backfilled, written);
+    }
+    console.log(`  ${file}: ${records.length} record(s), ${failed} with ${transform.problem}`);
+  }
+
+  return report;
+}
+
+/**
+ * Add the derived fields to the saved results of each site and write the report
+ * at the data root
+ * @param {Object} options - Options of the command: site, dataRoot, dryRun, format
+ * @param {Object} transform
+ * @param {Object<string, Object>} transform.sources - Per site: results (result file
+ *   names), fields, lists ({ LIST: fields of its entries }) and id (of a record in the report)
+ * @param {string} transform.suffix - e.g. 'ISO'
+ * @param {function(*): *} transform.derive - Derived value of a field, null when there is none
+ * @param {string} transform.report - Report file name, e.g. 'unparseable_dates.json'
+ * @param {string} transform.problem - What the report lists, e.g. 'unreadable dates'
+ * @returns {Array<Object>} Report entries
+ */
+function backfillResults(options, transform) {
+  const sites = options.site && options.site.length > 0 ? options.site : Object.keys(transform.sources);
+  const report = [];
+
+  for (const site of sites) {
+    console.log(`\n=== ${site} ===`);
+    report.push(...backfillSite(site, options, transform));
+  }
+
+  const reportPath = path.join(resolveDataRoot(options), transform.report);
+  if (!options.dryRun) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    writeJsonAtomic(reportPath, report);
+  }
+  for (const entry of report.slice(0, 20)) {
+    console.log(`  ⚠ ${entry.site} ${entry.id}: ${entry.field} = ${JSON.stringify(entry.value)}`);
+  }
+  if (report.length > 20) {
+    console.log(`  ... and ${report.length - 20} more`);
+  }
+  const label = transform.problem[0].toUpperCase() + transform.problem.slice(1);
+  console.log(`\n${label}: ${report.length}${options.dryRun ? '' : ` (listed in ${reportPath})`}`);
+  return report;
+}
+
+module.exports = {
+  backfillResults,
+  underivedFields,
+  withDerivedFields
+};
@@ -0,0 +1,162 @@
+/**
+ * Document codes (số ký hiệu) split into their parts
+ *
+ *   "2193/QĐ-UBND."     number 2193, type QĐ (Quyết định), issuer UBND
+ *   "37/2025/TT-BKHCN"  number 37, year 2025, type TT (Thông tư), issuer BKHCN
+ *   "66.9/2025/NQ-CP"   number 66.9, year 2025, type NQ, issuer CP
+ *   "66.9-nq"           number 66.9, type NQ (file names of vanban.chinhphu.vn)
+ *   "4221/EVN-KDMBD"    number 4221, no type (công văn), issuer EVN-KDMBD
+ *   "61/2024/QH15"      number 61, year 2024, a law (Luật) of the 15th National Assembly
+ *
+ * Crawlers keep the original field and add `<FIELD>_PARTS` right after it:
+ *   { NUMBER, YEAR, TYPE, TYPE_NAME, ISSUER }
+ * or null when the code is empty or malformed. malformedCodes() lists the
+ * latter for the report of `songgio tools codes`.
+ */
+
+const { underivedFields, withDerivedFields } = require('./derived_fields');
+
+// Type abbreviations (Nghị định 30/2020/NĐ-CP, Phụ lục III) and the type they name
+const DOCUMENT_TYPES = {
+  'NQ': 'Nghị quyết',
+  'NQLT': 'Nghị quyết liên tịch',
+  'NĐ': 'Nghị định',
+  'QĐ': 'Quyết định',
+  'QĐLT': 'Quyết định liên tịch',
+  'TT': 'Thông tư',
+  'TTLT': 'Thông tư liên tịch',
+  'CT': 'Chỉ thị',
+  'L': 'Lệnh',
+  'PL': 'Pháp lệnh',
+  'VBHN': 'Văn bản hợp nhất',
+  'QC': 'Quy chế',
+  'QyĐ': 'Quy định',
+  'TB': 'Thông báo',
+  'HD': 'Hướng dẫn',
+  'CTr': 'Chương trình',
+  'KH': 'Kế hoạch',
+  'PA': 'Phương án',
+  'ĐA': 'Đề án',
+  'DA': 'Dự án',
+  'BC': 'Báo cáo',
+  'BB': 'Biên bản',
+  'TTr': 'Tờ trình',
+  'HĐ': 'Hợp đồng',
+  'CĐ': 'Công điện',
+  'KL': 'Kết luận',
+  'GM': 'Giấy mời',
+  'BGN': 'Bản ghi nhớ',
+  'BTT': 'Bản thỏa thuận'
+};
+
+// Issuers whose codes carry no type: laws of the National Assembly and
+// ordinances of its Standing Committee
+const TYPE_BY_ISSUER = [
+  [/^QH\d+$/, 'Luật'],
+  [/^UBTVQH\d+$/, 'Pháp lệnh']
+];
+
+/**
+ * Upper case without diacritics, so "Qd" and "QD" find QĐ
+ */
+function fold(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[Đđ]/g, 'D').toUpperCase();
+}
+
+const TYPES_BY_UPPER = new Map(Object.keys(DOCUMENT_TYPES).map(type => [type.toUpperCase(), type]));
+// Folded abbreviations that name one type only (DA is Dự án, not ĐA; HD is Hướng dẫn, not HĐ)
+const TYPES_BY_FOLDED = new Map();
+for (const type of Object.keys(DOCUMENT_TYPES)) {
+  const key = fold(type);
+  if (!TYPES_BY_UPPER.has(key)) {
+    TYPES_BY_FOLDED.set(key, TYPES_BY_FOLDED.has(key) ? null : type);
+  }
+}
+
+/**
+ * Type abbreviation of a code segment, as written in DOCUMENT_TYPES
+ * @returns {string|null}
+ */
+function documentType(segment) {
+  return TYPES_BY_UPPER.get(segment.toUpperCase()) || TYPES_BY_FOLDED.get(fold(segment)) || null;
+}
+
+// Segments of the type and issuer part: letters and digits, with the odd
+// inner "." or "&" of a unit ("VPCP-V.I", "BCĐNO&TTBĐS")
+const SEGMENT = '[\\p{L}\\d]+(?:[.&][\\p{L}\\d]+)*';
+const CODE_PATTERN = new RegExp(`^(\\d+[a-z]?(?:\\.\\d+)*)(?:/(\\d{4}))?[/-](${SEGMENT}(?:[/-]${SEGMENT})*)$`, 'iu');
+const CODE_IN_TEXT = new RegExp(`\\d+[a-z]?(?:\\.\\d+)*(?:/\\d{4})?/${SEGMENT}(?:[/-]${SEGMENT})*`, 'giu');
+
+/**
+ * Parts of a document code
+ * @param {string|null|undefined} code
+ * @returns {{NUMBER: string, YEAR: number|null, TYPE: string|null, TYPE_NAME: string|null, ISSUER: string|null}|null}
+ *   null when the code is empty or malformed
+ */
+function parseDocumentCode(code) {
+  if (code === null || code === undefined) {
+    return null;
+  }
+  const text = String(code).normalize('NFC').trim()
+    .replace(/^số\s*:?\s*/iu, '')
+    .replace(/[\s.,;:]+$/, '')
+    .replace(/\s*([/-])\s*/g, '$1');
+
+  const match = CODE_PATTERN.exec(text);
+  if (!match || !/\p{L}/u.test(match[3])) {
+    return null;
+  }
+  const year = match[2] ? parseInt(match[2], 10) : null;
+  if (year !== null && (year < 1945 || year > 2100)) {
+    return null;
+  }
+
+  const segments = match[3].split(/[/-]/);
+  const type = documentType(segments[0]);
+  const issuer = (type ? segments.slice(1) : segments).join('-') || null;
+  const byIssuer = !type && issuer ? TYPE_BY_ISSUER.find(([pattern]) => pattern.test(issuer.toUpperCase())) : null;
+
+  return {
+    NUMBER: match[1],
+    YEAR: year,
+    TYPE: type,
+    TYPE_NAME: type ? DOCUMENT_TYPES[type] : byIssuer ? byIssuer[1] : null,
+    ISSUER: issuer
+  };
+}
+
+/**
+ * Codes named in free text, e.g. "Thay thế Quyết định số 5132/QĐ-BQP ngày 13/10/2025"
+ * @returns {string[]} The codes as written
+ */
+function findDocumentCodes(text) {
+  const candidates = String(text || '').normalize('NFC')
+    .match(CODE_IN_TEXT) || [];
+  return candidates.filter(candidate => parseDocumentCode(candidate) !== null);
+}
+
+/**
+ * Copy of a record with `<FIELD>_PARTS` inserted right after each code field it has
+ * @param {Object} record
+ * @param {string[]} fields - Code fields, e.g. ['CODE']
+ * @returns {Object}
+ */
+function withParsedCodes(record, fields) {
+  return withDerivedFields(record, fields, 'PARTS', parseDocumentCode);
+}
+
+/**
+ * Code fields of a record that have a value but no parts
+ * @returns {Array<{field: string, value: *}>}
+ */
+function malformedCodes(record) {
+  return underivedFields(record, 'PARTS');
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  findDocumentCodes,
+  malformedCodes,
+  parseDocumentCode,
+  withParsedCodes
+};
@@ -0,0 +1,347 @@
+/**
+ * The same legal document found on several sites
+ *
+ * Canonical documents (see document_mappers.js) are compared in blocks of the
+ * same code number and type, and each pair gets a confidence in [0, 1]:
+ *
+ *   0.5  code: all parts equal (1), or equal as far as both sides go (0.6)
+ *   0.2  date: same issue (or publish) day (1), within a week (0.5)
+ *   0.1  issuing agency: token similarity of the names
+ *   0.2  summary: token similarity of the summaries (titles when missing)
+ *
+ * A pair is never linked when the codes disagree, the dates are more than a
+ * month apart, or a code of a generic issuer ("QĐ-UBND" of every province)
+ * comes with different agencies. Pairs reaching the minimum confidence are
+ * links; linked documents form a cluster.
+ *
+ * The ID of a cluster is a hash of one canonical form of its code, the same
+ * for every member: number/year/type/issuer, with the year of the issue date
+ * when no code has one ("5132/QĐ-BQP" of 2025 is "5132/2025/QĐ-BQP"), and
+ * for generic issuers the agency and the earliest date. It does not depend on
+ * the order of the records, and a member joining a cluster leaves it as it
+ * is unless it brings a code part no member had (other than the year) or, for
+ * a generic issuer, an earlier date. Runs over a growing documents.ndjson thus
+ * keep the IDs they gave. Of clusters left with the same key, the earliest
+ * gets it and the later ones add their smallest document ID.
+ *
+ * Administrative procedures (dvc) are not legal documents and are left out.
+ */
+
+const crypto = require('crypto');
+
+const WEIGHTS = { code: 0.5, date: 0.2, agency: 0.1, summary: 0.2 };
+
+// Default minimum confidence of a link
+const MIN_CONFIDENCE = 0.6;
+
+const NEAR_DAYS = 7;
+const MAX_DAYS_APART = 31;
+
+// Issuer abbreviations shared by many bodies; their codes only match when the agencies do
+const GENERIC_ISSUERS = /^(UBND|HDND|VP|BCD)$/;
+const MIN_GENERIC_AGENCY_SIMILARITY = 0.8;
+
+// Abbreviations written out, so "UBND tỉnh X" matches "Ủy ban nhân dân tỉnh X"
+const ABBREVIATIONS = {
+  ubnd: 'uy ban nhan dan',
+  hdnd: 'hoi dong nhan dan',
+  tp: 'thanh pho',
+  vp: 'van phong',
+  bqp: 'bo quoc phong',
+  byt: 'bo y te'
+};
+
+const LINKED_KINDS = ['legal_document', 'decision'];
+
+// Sites whose title is preferred for a cluster, best first
+const SOURCE_ORDER = ['vanban', 'moh', 'mod', 'thutuc'];
+
+/**
+ * Lower case words without diacritics
+ */
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[Đđ]/g, 'd')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Words of a name or summary, abbreviations written out
+ */
+function tokens(text) {
+  return fold(text).split(' ').filter(Boolean).flatMap(word => (ABBREVIATIONS[word] || word).split(' '));
+}
+
+/**
+ * Dice coefficient of the word sets of two texts
+ * @returns {number|null} null when either text is empty
+ */
+function similarity(a, b) {
+  const left = new Set(tokens(a));
+  const right = new Set(tokens(b));
+  if (left.size === 0 || right.size === 0) {
+    return null;
+  }
+  const shared = [...left].filter(word => right.has(word)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+/**
+ * Code parts folded for comparison
+ */
+function foldedParts(document) {
+  const parts = document.code_parts;
+  if (!parts) {
+    return null;
+  }
+  const plain = value => (value === null || value === undefined ? null : fold(value).replace(/ /g, ''));
+  return { number: plain(parts.number), year: parts.year, type: plain(parts.type), issuer: plain(parts.issuer) };
+}
+
+/**
+ * Full code of a document for comparison and cluster IDs: number/year/type/issuer
+ */
+function codeKey(document) {
+  const parts = foldedParts(document);
+  if (!parts) {
+    return document.code ? fold(document.code).replace(/ /g, '') : null;
+  }
+  return [parts.number, parts.year ?? '', parts.type ?? '', parts.issuer ?? ''].join('/');
+}
+
+/**
+ * Documents that may be the same share their code number and type
+ */
+function blockKey(document) {
+  const parts = foldedParts(document);
+  if (!parts) {
+    return document.code ? `code:${codeKey(document)}` : null;
+  }
+  return `${parts.number}/${parts.type ?? ''}`;
+}
+
+/**
+ * How two codes compare
+ * @returns {'same'|'partial'|'different'}
+ */
+function compareCodes(a, b) {
+  const left = foldedParts(a);
+  const right = foldedParts(b);
+  if (!left || !right) {
+    return codeKey(a) === codeKey(b) ? 'same' : 'different';
+  }
+  if (left.number !== right.number || left.type !== right.type) {
+    return 'different';
+  }
+  const year = left.year === null || right.year === null ? null : left.year === right.year;
+  const issuer = left.issuer === null || right.issuer === null ? null : left.issuer === right.issuer;
+  if (year === false || issuer === false) {
+    return 'different';
+  }
+  // Equal, or missing on both sides; a part missing on one side only is a partial match
+  return left.year === right.year && left.issuer === right.issuer ? 'same' : 'partial';
+}
+
+/**
+ * Day a document was issued (or published, for thutuc decisions)
+ */
+function documentDate(document) {
+  return document.issue_date || document.publish_date || null;
+}
+
+/**
+ * Days between two ISO dates, or null when either is missing
+ */
+function daysApart(a, b) {
+  if (!a || !b) {
+    return null;
+  }
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Confidence that two documents are the same
+ * @returns {{confidence: number, evidence: Object}|null} null when they cannot be
+ */
+function scorePair(a, b) {
+  const code = compareCodes(a, b);
+  if (code === 'different') {
+    return null;
+  }
+  const days = daysApart(documentDate(a), documentDate(b));
+  if (days !== null && days > MAX_DAYS_APART) {
+    return null;
+  }
+  const agency = similarity(a.issuing_agency, b.issuing_agency);
+  const issuer = (foldedParts(a) || {}).issuer || (foldedParts(b) || {}).issuer || '';
+  if (GENERIC_ISSUERS.test(issuer.toUpperCase()) && (agency === null || agency < MIN_GENERIC_AGENCY_SIMILARITY)) {
+    return null;
+  }
+  const summary = similarity(a.summary || a.title, b.summary || b.title);
+
+  const confidence = WEIGHTS.code * (code === 'same' ? 1 : 0.6)
+    + WEIGHTS.date * (days === null ? 0 : days === 0 ? 1 : days <= NEAR_DAYS ? 0.5 : 0)
+    + WEIGHTS.agency * (agency ?? 0)
+    + WEIGHTS.summary * (summary ?? 0);
+
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+  return {
+    confidence: round(confidence),
+    evidence: { code, days_apart: days, agency: round(agency), summary: round(summary) }
+  };
+}
+
+/**
+ * Canonical key of a cluster (see above), or its smallest document ID when no
+ * member has a code
+ */
+function clusterKey(members) {
+  const dateOf = member => documentDate(member) || '9999';
+  const byDate = [...members].sort((x, y) => dateOf(x).localeCompare(dateOf(y)) || (x.id < y.id ? -1 : 1));
+  const coded = byDate.filter(member => codeKey(member));
+  if (coded.length === 0) {
+    return `id:${members.map(member => member.id).sort()[0]}`;
+  }
+  const parts = coded.map(foldedParts).filter(Boolean);
+  if (parts.length === 0) {
+    return [...new Set(coded.map(codeKey))].sort()[0];
+  }
+
+  // Linked codes agree on each part they have; take the smallest where they do not
+  const part = name => parts.map(folded => folded[name]).filter(value => value !== null && value !== undefined).map(String).sort()[0] ?? '';
+  const earliest = byDate.map(documentDate).find(Boolean) || null;
+  const year = part('year') || (earliest ? earliest.slice(0, 4) : '');
+  const key = [part('number'), year, part('type'), part('issuer')].join('/');
+  if (!GENERIC_ISSUERS.test(part('issuer').toUpperCase())) {
+    return key;
+  }
+  const agency = (byDate.find(member => member.issuing_agency) || {}).issuing_agency;
+  return `${key}|${tokens(agency).join(' ')}|${earliest || ''}`;
+}
+
+/**
+ * Cluster ID of a cluster key
+ */
+function hashId(key) {
+  return `doc_${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Link the documents and group them into clusters
+ * @param {Array<Object>} documents - Canonical documents (documents.ndjson)
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence] - Minimum confidence of a link (default MIN_CONFIDENCE)
+ * @returns {{clusters: Array<Object>, links: Array<Object>}}
+ *   clusters: { cluster_id, code, title, issue_date, sources, members: [{ id, source, source_site, source_id, ..., attachments }] }
+ *   links: { cluster_id, left, right, confidence, evidence }
+ */
+function linkDocuments(documents, options = {}) {
+  const { minConfidence = MIN_CONFIDENCE } = options;
+  const linked = documents.filter(document => LINKED_KINDS.includes(document.kind));
+
+  // Union-find over document indexes
+  const parent = linked.map((_, i) => i);
+  const root = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const blocks = new Map();
+  linked.forEach((document, i) => {
+    const key = blockKey(document);
+    if (key) {
+      if (!blocks.has(key)) {
+        blocks.set(key, []);
+      }
+      blocks.get(key).push(i);
+    }
+  });
+
+  const pairs = [];
+  for (const indexes of blocks.values()) {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const score = scorePair(linked[indexes[x]], linked[indexes[y]]);
+        if (score && score.confidence >= minConfidence) {
+          pairs.push({ left: indexes[x], right: indexes[y], ...score });
+          parent[root(indexes[x])] = root(indexes[y]);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  linked.forEach((document, i) => {
+    if (!groups.has(root(i))) {
+      groups.set(root(i), []);
+    }
+    groups.get(root(i)).push(document);
+  });
+
+  // Clusters left with the same key (the same code, too far apart to link): the
+  // earliest keeps the plain key, the later ones add their smallest document ID
+  const keyed = [...groups.entries()].map(([index, members]) => ({
+    index,
+    members,
+    key: clusterKey(members),
+    first: members.map(documentDate).filter(Boolean).sort()[0] || '9999',
+    smallestId: members.map(member => member.id).sort()[0]
+  }));
+  const earliestOfKey = new Map();
+  for (const cluster of keyed) {
+    const known = earliestOfKey.get(cluster.key);
+    if (!known || cluster.first < known.first || (cluster.first === known.first && cluster.smallestId < known.smallestId)) {
+      earliestOfKey.set(cluster.key, cluster);
+    }
+  }
+
+  const clusterOf = new Map();
+  const clusters = keyed.map((cluster) => {
+    const { index, members, key, smallestId } = cluster;
+    const dates = members.map(documentDate).filter(Boolean).sort();
+    const clusterId = hashId(earliestOfKey.get(key) === cluster ? key : `${key}|${smallestId}`);
+    clusterOf.set(index, clusterId);
+
+    const rank = member => (SOURCE_ORDER.includes(member.source) ? SOURCE_ORDER.indexOf(member.source) : SOURCE_ORDER.length);
+    const ordered = [...members].sort((x, y) => rank(x) - rank(y) || (x.id < y.id ? -1 : 1));
+    const first = field => (ordered.find(member => member[field]) || {})[field] || null;
+
+    return {
+      cluster_id: clusterId,
+      code: first('code'),
+      title: first('title'),
+      issue_date: dates[0] || null,
+      sources: [...new Set(ordered.map(member => member.source))],
+      members: ordered.map(member => ({
+        id: member.id,
+        source: member.source,
+        source_site: member.source_site,
+        source_id: member.source_id,
+        kind: member.kind,
+        code: member.code,
+        issue_date: documentDate(member),
+        detail_url: member.detail_url,
+        attachments: member.attachments.map(({ url, name, file }) => ({ url, name, file }))
+      }))
+    };
+  });
+
+  const links = pairs.map(({ left, right, confidence, evidence }) => ({
+    cluster_id: clusterOf.get(root(left)),
+    left: linked[left].id,
+    right: linked[right].id,
+    confidence,
+    evidence
+  }));
+
+  return { clusters, links };
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  linkDocuments,
+  scorePair,
+  similarity
+};
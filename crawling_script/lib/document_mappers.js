@@ -0,0 +1,245 @@
+/**
+ * Records of every site mapped to the canonical document of
+ * schema/document.schema.json
+ *
+ * Each site keeps its own vocabulary in its result files (CODE/ISSUE_DATE on
+ * vanban.chinhphu.vn, SO_KY_HIEU/NGAY_BAN_HANH on mod.gov.vn, CODE/NAME/
+ * PUBLISHING_DATE on thutuc, TTHC_MA/PROCEDURE_NAME on dichvucong; the MOH
+ * crawler already renames the camelCase API fields). A mapper reads one
+ * record, raw or detailed, and returns the canonical document:
+ *   - field names are those of the documents table (see sqlite_store.js)
+ *   - `id` is `<source>:<source_id>`; `source_site` is the site's host
+ *   - dates are ISO days (see dates.js), their text kept in `dates_text`
+ *   - `code_parts` splits the code (see document_codes.js)
+ *   - text is trimmed to single spaces; empty values are null
+ *   - attachments carry the text extracted by `songgio tools pdf-text`
+ */
+
+const path = require('path');
+const { SITE_DIRS } = require('./config');
+const { toIsoDate } = require('./dates');
+const { findDocumentCodes, parseDocumentCode } = require('./document_codes');
+
+const DATE_KEYS = ['issue_date', 'effective_date', 'expiry_date', 'publish_date'];
+
+/**
+ * Text on one line, or null when empty
+ */
+function clean(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * First non-empty value of the keys, cleaned
+ */
+function pick(record, keys) {
+  for (const key of keys) {
+    const value = clean(record[key]);
+    if (value !== null) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Attachments of a record, with the text and file of each PDF
+ * @param {Array<Object>} attachments - [{url, label?, filename?}] as crawled
+ * @param {Array<Object>} texts - ATTACHMENT_TEXT entries of the record
+ * @param {Map<string, string>} files - Downloaded file by URL (manifest keys)
+ */
+function mapAttachments(attachments, texts, files) {
+  const unmatched = [...texts];
+  const textOf = (url, names) => {
+    const i = unmatched.findIndex(entry => (url && entry.url === url) || (entry.original_name && names.includes(entry.original_name)));
+    return i === -1 ? null : unmatched.splice(i, 1)[0];
+  };
+  const withText = (attachment, entry) => ({
+    ...attachment,
+    file: entry ? entry.file : attachment.file,
+    pages: entry && Number.isInteger(entry.pages) ? entry.pages : null,
+    scanned: entry && typeof entry.scanned === 'boolean' ? entry.scanned : null,
+    text: entry && typeof entry.text === 'string' ? entry.text : null
+  });
+
+  const mapped = attachments.map((attachment) => {
+    const url = clean(attachment.url);
+    const name = pick(attachment, ['filename', 'label']);
+    const entry = textOf(url, [attachment.filename, attachment.label].filter(Boolean));
+    return withText({ url, name, file: (url && files.get(url)) || null }, entry);
+  });
+
+  // Texts of files no longer listed on the record (e.g. a stale result file)
+  return mapped.concat(unmatched.map(entry => withText({
+    url: entry.url || null,
+    name: entry.original_name || path.posix.basename(entry.file || '') || null,
+    file: entry.file || null
+  }, entry)));
+}
+
+/**
+ * Parts of a code, with the field names of the schema
+ */
+function codeParts(code) {
+  const parts = parseDocumentCode(code);
+  return parts && {
+    number: parts.NUMBER,
+    year: parts.YEAR,
+    type: parts.TYPE,
+    type_name: parts.TYPE_NAME,
+    issuer: parts.ISSUER
+  };
+}
+
+/**
+ * Canonical document from the values a mapper read
+ * @param {string} source - Key of MAPPERS
+ * @param {Object} values - Canonical fields; dates as published
+ * @param {Object} record - The record (for its ATTACHMENT_TEXT)
+ * @param {Object} context - { files }
+ */
+function buildDocument(source, values, record, context) {
+  const sourceId = clean(values.source_id);
+  const document = {
+    id: `${source}:${sourceId}`,
+    source,
+    source_site: SITE_DIRS[source].split('/')[0],
+    source_id: sourceId,
+    kind: values.kind,
+    code: values.code ?? null,
+    code_parts: codeParts(values.code),
+    title: values.title ?? null,
+    summary: values.summary ?? null,
+    document_type: values.document_type ?? null,
+    issuing_agency: values.issuing_agency ?? null,
+    signer: values.signer ?? null
+  };
+
+  const datesText = {};
+  for (const key of DATE_KEYS) {
+    const text = values[key] ?? null;
+    document[key] = toIsoDate(text);
+    if (text !== null) {
+      datesText[key] = String(text);
+    }
+  }
+  document.dates_text = datesText;
+
+  document.fields = [...new Set((values.fields || []).map(clean).filter(Boolean))];
+  document.references = values.references || [];
+  document.detail_url = values.detail_url ?? null;
+  document.attachments = mapAttachments(values.attachments || [], record.ATTACHMENT_TEXT || [], context.files || new Map());
+  return document;
+}
+
+/**
+ * Mappers by source: record => canonical values (see buildDocument)
+ */
+const MAPPERS = {
+  // vanban.chinhphu.vn; DETAIL_* are details saved by older versions of fetch_details.js
+  vanban: record => ({
+    kind: 'legal_document',
+    source_id: record.DOC_ID,
+    code: pick(record, ['CODE', 'DETAIL_CODE']),
+    title: pick(record, ['TITLE', 'DETAIL_TITLE']),
+    summary: pick(record, ['SUMMARY', 'DETAIL_SUMMARY']),
+    document_type: pick(record, ['DOCUMENT_TYPE', 'DETAIL_DOCUMENT_TYPE']),
+    issuing_agency: pick(record, ['ISSUING_AGENCY', 'DETAIL_ISSUING_AGENCY']),
+    signer: pick(record, ['SIGNER', 'DETAIL_SIGNER']),
+    issue_date: pick(record, ['ISSUE_DATE', 'ISSUED_DATE', 'DETAIL_ISSUE_DATE']),
+    effective_date: pick(record, ['EFFECTIVE_DATE', 'DETAIL_EFFECTIVE_DATE']),
+    detail_url: pick(record, ['DETAIL_URL']),
+    attachments: record.DETAIL_ATTACHMENTS || record.ATTACHMENTS
+  }),
+
+  // emohbackup.moh.gov.vn (document_raw_result, as normalized by crawler.js)
+  moh: record => ({
+    kind: 'legal_document',
+    source_id: record.DOC_ID,
+    code: pick(record, ['CODE']),
+    title: pick(record, ['TITLE']),
+    summary: pick(record, ['SUMMARY']),
+    document_type: pick(record, ['DOCUMENT_TYPE']),
+    issuing_agency: pick(record, ['ISSUING_AGENCY']),
+    signer: pick(record, ['SIGNER']),
+    issue_date: pick(record, ['ISSUE_DATE']),
+    effective_date: pick(record, ['EFFECTIVE_DATE']),
+    publish_date: pick(record, ['PUBLISH_DATE']),
+    detail_url: null,
+    attachments: record.ATTACHMENTS
+  }),
+
+  // www.mod.gov.vn; table rows until fetch_details.js adds the properties
+  mod: record => ({
+    kind: 'legal_document',
+    source_id: pick(record, ['UUID']) || (/([0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12})/i.exec(record.FULL_URL || '') || [])[1]?.toLowerCase() || pick(record, ['SO_KY_HIEU']),
+    code: pick(record, ['CODE', 'SO_KY_HIEU']),
+    title: pick(record, ['TITLE', 'TRICH_YEU']),
+    summary: pick(record, ['SUMMARY', 'TRICH_YEU']),
+    document_type: pick(record, ['DOCUMENT_TYPE']),
+    issuing_agency: pick(record, ['ISSUING_AGENCY']),
+    signer: pick(record, ['SIGNER']),
+    issue_date: pick(record, ['ISSUE_DATE', 'NGAY_BAN_HANH']),
+    effective_date: pick(record, ['EFFECTIVE_DATE']),
+    expiry_date: pick(record, ['EXPIRY_DATE']),
+    references: findDocumentCodes(record.RELATED_DOCUMENTS).map(code => ({ code, relation: 'related' })),
+    detail_url: pick(record, ['FULL_URL', 'DETAIL_URL']),
+    attachments: record.ATTACHMENTS
+  }),
+
+  // thutuc.dichvucong.gov.vn: decisions publishing procedures
+  thutuc: record => ({
+    kind: 'decision',
+    source_id: record.ID,
+    code: pick(record, ['CODE']),
+    title: pick(record, ['NAME']),
+    summary: pick(record, ['NAME']),
+    issuing_agency: pick(record, ['AGENCY_NAME']),
+    publish_date: pick(record, ['PUBLISHING_DATE']),
+    fields: (record.FIELDS || []).map(field => field.FIELD_FULL_NAME || field.NAME),
+    detail_url: pick(record, ['DETAIL_URL']),
+    attachments: (record.ATTACHMENTS || []).map(attachment => ({ url: attachment.download_url, filename: attachment.filename }))
+  }),
+
+  // dichvucong.gov.vn: administrative procedures (congdan and doanhnghiep lists)
+  dvc: record => ({
+    kind: 'procedure',
+    source_id: record.TTHC_MA,
+    code: pick(record, ['PROCEDURE_CODE', 'TTHC_MA']),
+    title: pick(record, ['PROCEDURE_NAME', 'NAME']),
+    summary: pick(record, ['DESCRIPTION']),
+    issuing_agency: pick(record, ['COMPETENT_AGENCY', 'IMPLEMENTING_AGENCY']),
+    fields: [record.FIELD],
+    references: [
+      ...(clean(record.DECISION_NUMBER) ? [{ code: clean(record.DECISION_NUMBER), relation: 'published_by' }] : []),
+      ...(record.LEGAL_BASIS || []).filter(basis => clean(basis.CODE)).map(basis => ({ code: clean(basis.CODE), relation: 'legal_basis' }))
+    ],
+    detail_url: pick(record, ['DETAIL_URL_FULL', 'DETAIL_URL']),
+    attachments: record.EXPORT_WORD_URL ? [{ url: record.EXPORT_WORD_URL, filename: `${record.TTHC_MA}_chi_tiet.doc` }] : []
+  })
+};
+
+/**
+ * Canonical document of a crawled record
+ * @param {string} source - vanban, moh, mod, thutuc or dvc
+ * @param {Object} record - Record of one of the site's result files
+ * @param {Object} [context]
+ * @param {Map<string, string>} [context.files] - Downloaded file by URL, relative to the attachments directory
+ * @returns {Object} Document of schema/document.schema.json
+ */
+function toDocument(source, record, context = {}) {
+  const mapper = MAPPERS[source];
+  if (!mapper) {
+    throw new Error(`No document mapper for source "${source}"`);
+  }
+  return buildDocument(source, mapper(record), record, context);
+}
+
+module.exports = {
+  MAPPERS,
+  toDocument
+};
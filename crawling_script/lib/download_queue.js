@@ -0,0 +1,171 @@
+/**
+ * Attachment downloads recorded in a manifest (see manifest.js)
+ *
+ * downloadTracked() fetches one file unless the manifest records it as
+ * complete, resuming a .part file left by an interrupted run, and records the
+ * result. DownloadQueue runs many of them with bounded concurrency:
+ *
+ *   const queue = new DownloadQueue(client, { dir: attachmentsDir, concurrency: 4 });
+ *   const namer = queue.namer(path.join(attachmentsDir, 'documentId=1'));
+ *   queue.add(url, namer.path('a.pdf', url), 'a.pdf');
+ *   const summary = await queue.run();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Manifest } = require('./manifest');
+const { AttachmentNamer, extensionOf, numberedName, responseExtension } = require('./filenames');
+
+/**
+ * Human-readable byte count
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Free path for a file renamed to carry its extension
+ */
+function availablePath(manifest, filePath, url) {
+  const isTaken = candidate => {
+    const entry = manifest.get(candidate);
+    return entry ? entry.url !== url : fs.existsSync(candidate);
+  };
+
+  let candidate = filePath;
+  for (let n = 2; isTaken(candidate); n++) {
+    candidate = path.join(path.dirname(filePath), numberedName(path.basename(filePath), n));
+  }
+  return candidate;
+}
+
+/**
+ * Download one file into a manifest's directory unless it is already complete
+ *
+ * A destPath without an extension (see filenames.js) gets the one announced
+ * by the response, and later runs find the file again through its URL.
+ * @param {HttpClient} client - Client of the site serving the file
+ * @param {Manifest} manifest - Manifest of the attachments directory
+ * @param {string} url - Source URL
+ * @param {string} destPath - Where to save it (inside the manifest's directory)
+ * @param {Object} [options]
+ * @param {string} [options.originalName] - Name as published, kept in the manifest
+ * @returns {Promise<{status: 'downloaded'|'skipped'|'failed', detail: string, bytes: number, path: string}>}
+ *   `bytes` counts what was transferred by this call; `path` is where the file is
+ */
+async function downloadTracked(client, manifest, url, destPath, options = {}) {
+  const { originalName } = options;
+  if (!extensionOf(destPath) && !manifest.get(destPath)) {
+    destPath = manifest.findByUrl(path.dirname(destPath), url) || destPath;
+  }
+
+  if (manifest.isComplete(destPath)) {
+    return { status: 'skipped', detail: '(already downloaded)', bytes: 0, path: destPath };
+  }
+
+  // Downloaded before there was a manifest: the client only ever renames
+  // complete files into place, so record it as it is
+  if (!manifest.get(destPath) && fs.existsSync(destPath)) {
+    await manifest.recordDone(destPath, { url, originalName });
+    return { status: 'skipped', detail: '(already downloaded, added to the manifest)', bytes: 0, path: destPath };
+  }
+
+  try {
+    const result = await client.download(url, destPath, { resume: true });
+
+    let savedPath = destPath;
+    const extension = extensionOf(destPath) ? '' : responseExtension(result.contentType, result.contentDisposition);
+    if (extension) {
+      savedPath = availablePath(manifest, `${destPath}${extension}`, url);
+      fs.renameSync(destPath, savedPath);
+      if (manifest.get(destPath)) {
+        manifest.remove(destPath);
+      }
+    }
+    await manifest.recordDone(savedPath, { url, originalName, contentType: result.contentType });
+
+    const resumed = result.resumedFrom ? `, resumed at ${formatBytes(result.resumedFrom)}` : '';
+    return { status: 'downloaded', detail: `(${formatBytes(result.bytes)}${resumed})`, bytes: result.bytes - result.resumedFrom, path: savedPath };
+  } catch (err) {
+    manifest.recordFailed(destPath, url, err.message);
+    return { status: 'failed', detail: err.message, bytes: 0, path: destPath };
+  }
+}
+
+class DownloadQueue {
+  /**
+   * @param {HttpClient} client - Client of the site serving the files
+   * @param {Object} options
+   * @param {string} options.dir - Attachments directory holding manifest.json
+   * @param {number} [options.concurrency] - Downloads running at once (default 4)
+   */
+  constructor(client, options) {
+    this.client = client;
+    this.manifest = new Manifest(options.dir);
+    this.concurrency = options.concurrency || 4;
+    this.jobs = [];
+    this.namers = new Map();
+  }
+
+  /**
+   * Namer handing out the file names of one folder (see filenames.js)
+   * @param {string} folder - Folder inside the attachments directory
+   * @returns {AttachmentNamer}
+   */
+  namer(folder) {
+    if (!this.namers.has(folder)) {
+      this.namers.set(folder, new AttachmentNamer(this.manifest, folder));
+    }
+    return this.namers.get(folder);
+  }
+
+  /**
+   * Queue a file
+   * @param {string} url - Source URL
+   * @param {string} destPath - Where to save it (inside the attachments directory)
+   * @param {string} [originalName] - Name as published, kept in the manifest
+   */
+  add(url, destPath, originalName) {
+    this.jobs.push({ url, destPath, originalName });
+  }
+
+  /**
+   * Download everything queued
+   * @returns {Promise<{total: number, downloaded: number, skipped: number, failed: number, bytes: number}>}
+   */
+  async run() {
+    const summary = { total: this.jobs.length, downloaded: 0, skipped: 0, failed: 0, bytes: 0 };
+    let next = 0;
+
+    const worker = async () => {
+      while (next < this.jobs.length) {
+        const job = this.jobs[next++];
+        const { status, detail, bytes, path: savedPath } = await downloadTracked(this.client, this.manifest, job.url, job.destPath, {
+          originalName: job.originalName
+        });
+        summary[status]++;
+        summary.bytes += bytes;
+
+        const done = summary.downloaded + summary.skipped + summary.failed;
+        const mark = { downloaded: '✓', skipped: '↷', failed: '✗' }[status];
+        console.log(`  [${done}/${summary.total}] ${mark} ${this.manifest.key(savedPath)} ${detail}`);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, this.jobs.length) }, worker));
+    this.manifest.flush();
+    return summary;
+  }
+}
+
+module.exports = {
+  DownloadQueue,
+  downloadTracked,
+  formatBytes
+};
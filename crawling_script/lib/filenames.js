@@ -0,0 +1,201 @@
+/**
+ * Naming policy for downloaded attachments, shared by every crawler
+ *
+ * Names come from the sites (tenTep, fileName, link labels, URL segments) and
+ * may carry slashes, reserved characters, decomposed diacritics or hundreds
+ * of characters. sanitizeFilename() turns one into a safe file name and
+ * AttachmentNamer keeps two attachments of a folder from sharing one:
+ *
+ *   const namer = new AttachmentNamer(manifest, docDir);
+ *   const destPath = namer.path('Quyết định 12/QĐ-BYT.pdf', url);  // docDir/Quyết định 12_QĐ-BYT.pdf
+ *
+ * The name as published is kept in the manifest (`original_name`).
+ */
+
+const path = require('path');
+
+// Room for ".part" and a collision suffix below the usual 255-byte limit
+const MAX_NAME_BYTES = 180;
+const FALLBACK_NAME = 'attachment';
+
+// Extensions for the Content-Types the sites serve
+const MIME_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/rtf': '.rtf',
+  'application/zip': '.zip',
+  'application/x-zip-compressed': '.zip',
+  'application/vnd.rar': '.rar',
+  'application/x-rar-compressed': '.rar',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/tiff': '.tif',
+  'text/plain': '.txt',
+  'text/html': '.html'
+};
+
+/**
+ * Extension of a name, if it looks like one (".pdf", not ".signed by X")
+ */
+function extensionOf(name) {
+  const extension = path.extname(name);
+  return /^\.[a-z0-9]{1,8}$/i.test(extension) ? extension : '';
+}
+
+/**
+ * Cut a string to at most maxBytes of UTF-8 without splitting a character
+ */
+function truncateBytes(text, maxBytes) {
+  let result = '';
+  for (const char of text) {
+    if (Buffer.byteLength(result + char) > maxBytes) {
+      break;
+    }
+    result += char;
+  }
+  return result;
+}
+
+/**
+ * Safe file name for a name published by a site
+ *  - Unicode NFC, so "ế" is one character whatever the source sent
+ *  - control characters and / \ : * ? " < > | become "_"
+ *  - whitespace collapsed, leading and trailing dots and spaces removed
+ *  - Windows device names (CON, NUL, COM1...) prefixed with "_"
+ *  - at most MAX_NAME_BYTES of UTF-8, keeping the extension
+ * @param {string} name - Name as published
+ * @returns {string} Never empty ('attachment' when nothing is left)
+ */
+function sanitizeFilename(name) {
+  let safe = String(name || '')
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+
+  if (/^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i.test(safe)) {
+    safe = `_${safe}`;
+  }
+
+  if (Buffer.byteLength(safe) > MAX_NAME_BYTES) {
+    const extension = extensionOf(safe);
+    const stem = safe.slice(0, safe.length - extension.length);
+    safe = truncateBytes(stem, MAX_NAME_BYTES - Buffer.byteLength(extension)).replace(/[\s.]+$/, '') + extension;
+  }
+
+  return safe || FALLBACK_NAME;
+}
+
+/**
+ * Last path segment of a URL, percent-decoded
+ * @returns {string} '' when the URL ends with a slash
+ */
+function urlFilename(url) {
+  const segment = String(url || '').split(/[?#]/)[0].split('/').pop();
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+/**
+ * File name announced by a Content-Disposition header
+ * @returns {string|null}
+ */
+function dispositionFilename(header) {
+  const extended = /filename\*\s*=\s*(?:[\w-]+)?'[^']*'([^;]+)/i.exec(header || '');
+  if (extended) {
+    return urlFilename(extended[1].trim());
+  }
+  const plain = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(header || '');
+  return plain ? (plain[1] || plain[2]).trim() : null;
+}
+
+/**
+ * Extension for a downloaded file, from Content-Disposition, then Content-Type
+ * @returns {string} e.g. '.pdf', or '' when neither tells
+ */
+function responseExtension(contentType, contentDisposition) {
+  const announced = extensionOf(dispositionFilename(contentDisposition) || '');
+  if (announced) {
+    return announced.toLowerCase();
+  }
+  const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[mime] || '';
+}
+
+/**
+ * A name with a collision number: "a.pdf" -> "a_2.pdf"
+ */
+function numberedName(name, n) {
+  const extension = extensionOf(name);
+  return `${name.slice(0, name.length - extension.length)}_${n}${extension}`;
+}
+
+/**
+ * Collision-free paths for the attachments of one folder
+ *
+ * The same URL always gets the same path; a different URL whose name is
+ * already used in this run, or recorded for another URL in the manifest, is
+ * numbered. Names are compared without letter case, so "QD.pdf" and "qd.pdf"
+ * do not overwrite each other on case-insensitive file systems. Names are
+ * handed out in call order, so a rerun over the same attachments reproduces them.
+ */
+class AttachmentNamer {
+  /**
+   * @param {Manifest} manifest - Manifest the folder's files are recorded in
+   * @param {string} dir - Folder the attachments are saved in
+   */
+  constructor(manifest, dir) {
+    this.manifest = manifest;
+    this.dir = dir;
+    this.byUrl = new Map();
+    this.used = new Set();
+  }
+
+  /**
+   * @param {string} originalName - Name as published (may be empty)
+   * @param {string} url - Source URL
+   * @returns {string} Path to save the attachment at
+   */
+  path(originalName, url) {
+    if (this.byUrl.has(url)) {
+      return this.byUrl.get(url);
+    }
+
+    const name = sanitizeFilename(originalName || urlFilename(url));
+    let candidate = path.join(this.dir, name);
+    for (let n = 2; this.isTaken(candidate, url); n++) {
+      candidate = path.join(this.dir, numberedName(name, n));
+    }
+
+    this.byUrl.set(url, candidate);
+    this.used.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Whether a path, in any letter case, already belongs to another attachment
+   */
+  isTaken(filePath, url) {
+    if (this.used.has(filePath.toLowerCase())) {
+      return true;
+    }
+    return this.manifest.getAnyCase(filePath).some(entry => entry.url !== url);
+  }
+}
+
+module.exports = {
+  AttachmentNamer,
+  MAX_NAME_BYTES,
+  dispositionFilename,
+  extensionOf,
+  numberedName,
+  responseExtension,
+  sanitizeFilename,
+  urlFilename
+};
@@ -0,0 +1,48 @@
+/**
+ * Small helpers for the regex-based HTML parsers
+ */
+
+// Named entities seen in the crawled pages: punctuation plus the Latin-1
+// letters used in Vietnamese (the other Vietnamese letters are numeric refs)
+const NAMED_ENTITIES = {
+  nbsp: ' ', quot: '"', apos: "'", lt: '<', gt: '>',
+  ldquo: '\u201C', rdquo: '\u201D', lsquo: '\u2018', rsquo: '\u2019',
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', laquo: '\u00AB', raquo: '\u00BB',
+  agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', egrave: 'è', eacute: 'é', ecirc: 'ê',
+  igrave: 'ì', iacute: 'í', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ',
+  ugrave: 'ù', uacute: 'ú', yacute: 'ý',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê',
+  Igrave: 'Ì', Iacute: 'Í', Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô', Otilde: 'Õ',
+  Ugrave: 'Ù', Uacute: 'Ú', Yacute: 'Ý'
+};
+
+/**
+ * Decode the HTML entities found in the crawled pages
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-zA-Z]+);/g, (entity, name) => (NAMED_ENTITIES[name] !== undefined ? NAMED_ENTITIES[name] : entity))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Strip tags and decode entities, returning trimmed text
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {boolean} [options.collapse] - Collapse every whitespace run (like innerText);
+ *   otherwise only text wrapped over several lines is joined (like textContent)
+ * @returns {string}
+ */
+function stripTags(html, options = {}) {
+  const text = decodeEntities(html.replace(/<[^>]*>/g, ''));
+  return (options.collapse ? text.replace(/\s+/g, ' ') : text.replace(/\s*\n\s*/g, ' ')).trim();
+}
+
+module.exports = {
+  decodeEntities,
+  stripTags
+};
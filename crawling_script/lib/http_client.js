@@ -0,0 +1,400 @@
+/**
+ * Shared HTTP client for all crawlers
+ *
+ * Wraps Node's http/https modules with:
+ * - per-site default headers and TLS options (see site_profiles.js)
+ * - request timeouts
+ * - redirect following
+ * - gzip/deflate/br response decoding
+ * - streaming downloads written to a .part file and renamed on completion,
+ *   optionally resumed from an existing .part file with a Range request
+ * - retry with exponential backoff on transient failures (see retry.js)
+ * - a per-host token bucket shared by every client (see rate_limiter.js)
+ * - the base-URL override used to run against a mock server (see config.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { getSiteProfile } = require('./site_profiles');
+const { getHostLimiter } = require('./rate_limiter');
+const { withRetry } = require('./retry');
+const { rewriteUrl } = require('./config');
+
+/**
+ * Error raised for non-2xx responses
+ */
+class HttpError extends Error {
+  constructor(statusCode, url, body = '', headers = {}) {
+    super(`HTTP ${statusCode}: ${url}`);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.url = url;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.headers] - Default headers sent with every request
+   * @param {number} [options.timeout] - Socket inactivity timeout in ms
+   * @param {number} [options.maxRedirects] - Redirects to follow before giving up
+   * @param {Object} [options.tls] - TLS options passed to the https agent (minVersion, ciphers...)
+   * @param {Object} [options.retry] - withRetry options (retries, minDelay, maxDelay); { retries: 0 } disables
+   * @param {Object} [options.rateLimit] - Per-host bucket ({ requestsPerSecond, burst }); omit to disable
+   */
+  constructor(options = {}) {
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 30000;
+    this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+    this.retry = options.retry || {};
+    this.rateLimit = options.rateLimit || null;
+    this.httpAgent = new http.Agent({ keepAlive: true });
+    this.httpsAgent = new https.Agent({ keepAlive: true, ...(options.tls || {}) });
+  }
+
+  /**
+   * Open a request and resolve with the (possibly redirected) response stream
+   * @param {string} url - Absolute URL
+   * @param {Object} options - method, headers, body
+   * @param {number} redirectCount - Redirects followed so far
+   * @returns {Promise<{response: http.IncomingMessage, url: string}>}
+   */
+  async open(url, options = {}, redirectCount = 0) {
+    const { method = 'GET', headers = {}, body = null } = options;
+    const target = new URL(rewriteUrl(url));
+
+    // Pace by the real site, so a mock run keeps each site's request rate
+    const limiter = getHostLimiter(new URL(url).host, this.rateLimit);
+    if (limiter) {
+      await limiter.take();
+    }
+
+    const isHttps = target.protocol === 'https:';
+    const transport = isHttps ? https : http;
+
+    const requestHeaders = { ...this.headers, ...headers };
+    if (body !== null) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method,
+        headers: requestHeaders,
+        agent: isHttps ? this.httpsAgent : this.httpAgent
+      }, (res) => {
+        const { statusCode } = res;
+
+        if (statusCode >= 300 && statusCode < 400 && res.headers.location) {
+          res.resume();
+
+          if (redirectCount >= this.maxRedirects) {
+            reject(new Error(`Too many redirects: ${url}`));
+            return;
+          }
+
+          // 303 (and 301/302 after a POST, as browsers do) turns into a GET
+          const nextUrl = new URL(res.headers.location, target).toString();
+          const switchToGet = statusCode === 303 || ((statusCode === 301 || statusCode === 302) && method === 'POST');
+          const nextOptions = switchToGet
+            ? { method: 'GET', headers: omitBodyHeaders(headers) }
+            : options;
+
+          resolve(this.open(nextUrl, nextOptions, redirectCount + 1));
+          return;
+        }
+
+        resolve({ response: res, url: target.toString() });
+      });
+
+      req.setTimeout(this.timeout, () => {
+        const err = new Error(`Request timed out after ${this.timeout}ms: ${url}`);
+        err.code = 'ETIMEDOUT';
+        req.destroy(err);
+      });
+
+      req.on('error', reject);
+
+      if (body !== null) {
+        req.write(body);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Run an operation under the client's retry policy, logging each retry
+   */
+  withRetry(operation) {
+    return withRetry(operation, {
+      ...this.retry,
+      onRetry: (err, attempt, delayMs) => {
+        console.warn(`  ↻ Retry ${attempt} in ${delayMs}ms (${err.message})`);
+      }
+    });
+  }
+
+  /**
+   * Perform a request and buffer the decoded response body, retrying transient failures
+   * @param {string} url - Absolute URL
+   * @param {Object} options - method, headers, body
+   * @returns {Promise<{statusCode: number, headers: Object, url: string, body: Buffer}>}
+   */
+  request(url, options = {}) {
+    return this.withRetry(() => this.requestOnce(url, options));
+  }
+
+  /**
+   * Single request attempt without retries
+   */
+  async requestOnce(url, options = {}) {
+    const { response, url: finalUrl } = await this.open(url, {
+      ...options,
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...(options.headers || {}) }
+    });
+
+    const body = await readBody(response);
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new HttpError(response.statusCode, finalUrl, body.toString('utf8').substring(0, 500), response.headers);
+    }
+
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      url: finalUrl,
+      body
+    };
+  }
+
+  /**
+   * GET a URL and return the body as text
+   */
+  async getText(url, options = {}) {
+    const res = await this.request(url, options);
+    return res.body.toString('utf8');
+  }
+
+  /**
+   * GET a URL and parse the body as JSON
+   */
+  async getJSON(url, options = {}) {
+    const res = await this.request(url, options);
+    return parseJSON(res.body, res.url);
+  }
+
+  /**
+   * POST an application/x-www-form-urlencoded body and parse the JSON response
+   * @param {string} url - Absolute URL
+   * @param {Object} form - Field name/value pairs
+   * @param {Object} options - Extra headers
+   */
+  async postForm(url, form, options = {}) {
+    const body = new URLSearchParams(form).toString();
+    const res = await this.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        ...(options.headers || {})
+      },
+      body
+    });
+    return parseJSON(res.body, res.url);
+  }
+
+  /**
+   * Stream a URL to disk.
+   * The body is written to `<destPath>.part` and only renamed into place once
+   * the whole response has been received, so an interrupted download never
+   * leaves a truncated file behind under the final name.
+   * With `resume`, a failed attempt keeps its .part file and the next attempt
+   * (or the next run) asks for the rest with a Range request; a server that
+   * ignores the range simply sends the whole file again.
+   * @param {string} url - Absolute URL
+   * @param {string} destPath - Final file path
+   * @param {Object} options
+   * @param {Object} [options.headers] - Extra headers
+   * @param {boolean} [options.resume] - Continue from an existing .part file
+   * @returns {Promise<{path: string, bytes: number, contentType: string, contentDisposition: string, resumedFrom: number}>}
+   */
+  download(url, destPath, options = {}) {
+    return this.withRetry(() => this.downloadOnce(url, destPath, options));
+  }
+
+  /**
+   * Single download attempt without retries
+   */
+  async downloadOnce(url, destPath, options = {}) {
+    const partPath = `${destPath}.part`;
+    const offset = options.resume && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+    const headers = { 'Accept': '*/*', ...(options.headers || {}) };
+    if (options.resume) {
+      // Byte ranges only line up with the stored file when nothing is re-encoded
+      headers['Accept-Encoding'] = 'identity';
+    }
+    if (offset > 0) {
+      headers['Range'] = `bytes=${offset}-`;
+    }
+
+    const { response, url: finalUrl } = await this.open(url, { headers });
+
+    // The partial file is no prefix of the resource (changed, or already complete): start over
+    if (response.statusCode === 416 && offset > 0) {
+      response.resume();
+      fs.rmSync(partPath, { force: true });
+      return this.downloadOnce(url, destPath, options);
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw new HttpError(response.statusCode, finalUrl, '', response.headers);
+    }
+
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    const append = offset > 0 && response.statusCode === 206;
+    const discardPart = () => {
+      if (!options.resume) {
+        fs.rmSync(partPath, { force: true });
+      }
+    };
+
+    let bytes = 0;
+    const source = decode(response);
+    source.on('data', (chunk) => {
+      bytes += chunk.length;
+    });
+
+    try {
+      await pipeline(source, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+    } catch (err) {
+      discardPart();
+      throw err;
+    }
+
+    const expectedLength = parseInt(response.headers['content-length']);
+    if (!response.headers['content-encoding'] && !isNaN(expectedLength) && bytes !== expectedLength) {
+      discardPart();
+      throw new Error(`Truncated download (${bytes}/${expectedLength} bytes): ${finalUrl}`);
+    }
+
+    fs.renameSync(partPath, destPath);
+
+    return {
+      path: destPath,
+      bytes: append ? offset + bytes : bytes,
+      contentType: response.headers['content-type'] || '',
+      contentDisposition: response.headers['content-disposition'] || '',
+      resumedFrom: append ? offset : 0
+    };
+  }
+
+  /**
+   * Release pooled keep-alive sockets
+   */
+  close() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+/**
+ * Drop headers describing a request body (used when a redirect turns POST into GET)
+ */
+function omitBodyHeaders(headers) {
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!/^content-(type|length)$/i.test(name)) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Wrap a response in the matching decompression stream
+ */
+function decode(response) {
+  switch ((response.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return response.pipe(zlib.createGunzip());
+    case 'deflate':
+      return response.pipe(zlib.createInflate());
+    case 'br':
+      return response.pipe(zlib.createBrotliDecompress());
+    default:
+      return response;
+  }
+}
+
+/**
+ * Read a whole response into a Buffer, decoding content-encoding
+ */
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = decode(response);
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    response.on('error', reject);
+    response.on('aborted', () => reject(new Error('Response aborted')));
+  });
+}
+
+/**
+ * Pipe a readable into a writable and resolve when the file is flushed
+ */
+function pipeline(source, destination) {
+  return new Promise((resolve, reject) => {
+    source.on('error', (err) => {
+      destination.destroy();
+      reject(err);
+    });
+    destination.on('error', reject);
+    destination.on('finish', resolve);
+    source.pipe(destination);
+  });
+}
+
+/**
+ * Parse a JSON body, keeping a snippet of the payload in the error message
+ */
+function parseJSON(body, url) {
+  const text = body.toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`JSON parse error from ${url}: ${err.message} (body starts with: ${text.substring(0, 200)})`);
+  }
+}
+
+/**
+ * Create a client configured for one of the known sites
+ * @param {string} site - Key of SITE_PROFILES, e.g. 'thutuc.dichvucong.gov.vn'
+ * @param {Object} overrides - Options overriding the profile (timeout, headers...)
+ * @returns {HttpClient}
+ */
+function createClient(site, overrides = {}) {
+  const profile = getSiteProfile(site);
+  return new HttpClient({
+    ...profile,
+    ...overrides,
+    headers: { ...profile.headers, ...(overrides.headers || {}) },
+    tls: { ...profile.tls, ...(overrides.tls || {}) },
+    retry: { ...profile.retry, ...(overrides.retry || {}) }
+  });
+}
+
+module.exports = {
+  HttpClient,
+  HttpError,
+  createClient
+};
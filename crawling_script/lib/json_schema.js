@@ -0,0 +1,107 @@
+/**
+ * Validation against the JSON Schemas in crawling_script/schema/
+ *
+ * Supports the keywords those schemas use, no more: type, enum, pattern,
+ * minLength, required, properties, additionalProperties, items and local
+ * $ref ("#/$defs/..."). Any other keyword is an error, so a schema cannot
+ * silently ask for checks that are not made.
+ */
+
+const SUPPORTED = new Set([
+  '$schema', '$id', '$defs', '$ref', 'title', 'description',
+  'type', 'enum', 'pattern', 'minLength', 'required', 'properties', 'additionalProperties', 'items'
+]);
+
+/**
+ * JSON type name of a value, as used by `type`
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value
+ * @param {Object} schema - Root schema
+ * @param {*} value
+ * @returns {string[]} Errors as "<path>: <problem>"; empty when valid
+ */
+function validate(schema, value) {
+  const errors = [];
+
+  const check = (node, current, where) => {
+    for (const keyword of Object.keys(node)) {
+      if (!SUPPORTED.has(keyword)) {
+        throw new Error(`Unsupported JSON Schema keyword "${keyword}" at ${where}`);
+      }
+    }
+
+    if (node.$ref) {
+      const target = node.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent && parent[key], schema);
+      if (!target || !node.$ref.startsWith('#/')) {
+        throw new Error(`Unresolvable $ref "${node.$ref}" at ${where}`);
+      }
+      check(target, current, where);
+    }
+
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some(type => matchesType(current, type))) {
+        errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(current)}`);
+        return;
+      }
+    }
+    if (node.enum && !node.enum.includes(current)) {
+      errors.push(`${where}: ${JSON.stringify(current)} is not one of ${node.enum.join(', ')}`);
+    }
+
+    if (typeof current === 'string') {
+      if (node.pattern && !new RegExp(node.pattern, 'u').test(current)) {
+        errors.push(`${where}: ${JSON.stringify(current)} does not match ${node.pattern}`);
+      }
+      if (node.minLength !== undefined && [...current].length < node.minLength) {
+        errors.push(`${where}: shorter than ${node.minLength}`);
+      }
+    }
+
+    if (Array.isArray(current) && node.items) {
+      current.forEach((item, i) => check(node.items, item, `${where}[${i}]`));
+    }
+
+    if (typeOf(current) === 'object') {
+      for (const key of node.required || []) {
+        if (!(key in current)) {
+          errors.push(`${where}: missing ${key}`);
+        }
+      }
+      for (const [key, item] of Object.entries(current)) {
+        const property = node.properties && node.properties[key];
+        if (property) {
+          check(property, item, `${where}.${key}`);
+        } else if (node.additionalProperties === false) {
+          errors.push(`${where}: unexpected ${key}`);
+        } else if (typeof node.additionalProperties === 'object') {
+          check(node.additionalProperties, item, `${where}.${key}`);
+        }
+      }
+    }
+  };
+
+  check(schema, value, '$');
+  return errors;
+}
+
+module.exports = { validate };
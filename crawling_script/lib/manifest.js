@@ -0,0 +1,226 @@
+/**
+ * manifest.json of an attachments directory: one entry per downloaded file,
+ * keyed by its path relative to that directory
+ *
+ *   {
+ *     "documentId=5000/1-QD-BYT.pdf": {
+ *       "url": "https://...", "original_name": "1-QĐ-BYT.pdf", "status": "done", "size": 3200,
+ *       "content_type": "application/pdf", "sha256": "9f86d0...",
+ *       "downloaded_at": "2025-01-01T00:00:00.000Z"
+ *     }
+ *   }
+ *
+ * `original_name` is the name the site published, before filenames.js made it
+ * safe. `status` is one of
+ *   done     the file is complete; size and sha256 describe it
+ *   failed   the last download failed (`error`)
+ *   queued   `songgio tools verify` found the file missing or corrupt (`error`)
+ * Anything but done is downloaded again by the next run with --download.
+ *
+ * Changes are written atomically (see ndjson.js) at most once per second and
+ * on flush().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./ndjson');
+
+const MANIFEST_FILE = 'manifest.json';
+const FLUSH_INTERVAL_MS = 1000;
+
+/**
+ * SHA-256 of a file, streamed
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+class Manifest {
+  /**
+   * @param {string} dir - Attachments directory (manifest.json lives in it)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.path = path.join(dir, MANIFEST_FILE);
+    this.entries = fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf-8')) : {};
+    this.dirty = false;
+    this.flushedAt = 0;
+    // Keys by their lower case form, built on first use by getAnyCase()
+    this.folded = null;
+  }
+
+  /**
+   * Manifest key of a file: its path relative to the directory, with forward slashes
+   */
+  key(filePath) {
+    return path.relative(this.dir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * @returns {Object|null} Entry of a file
+   */
+  get(filePath) {
+    return this.entries[this.key(filePath)] || null;
+  }
+
+  /**
+   * Entries of a file under any letter case: "QD.pdf" and "qd.pdf" are one
+   * file on case-insensitive file systems (Windows, macOS by default)
+   * @returns {Array<Object>}
+   */
+  getAnyCase(filePath) {
+    if (!this.folded) {
+      this.folded = new Map();
+      Object.keys(this.entries).forEach(key => this.indexKey(key));
+    }
+    const keys = this.folded.get(this.key(filePath).toLowerCase()) || new Set();
+    return [...keys].map(key => this.entries[key]);
+  }
+
+  /**
+   * Add a key to the lower case index
+   */
+  indexKey(key) {
+    const folded = key.toLowerCase();
+    if (!this.folded.has(folded)) {
+      this.folded.set(folded, new Set());
+    }
+    this.folded.get(folded).add(key);
+  }
+
+  /**
+   * File of a folder recorded for a URL
+   * @param {string} dir - Folder inside the manifest's directory
+   * @returns {string|null} Its path
+   */
+  findByUrl(dir, url) {
+    const folder = this.key(dir);
+    const key = Object.keys(this.entries).find(name =>
+      this.entries[name].url === url && path.posix.dirname(name) === (folder || '.'));
+    return key ? path.join(this.dir, ...key.split('/')) : null;
+  }
+
+  /**
+   * Replace the entry of a file
+   */
+  set(filePath, entry) {
+    this.entries[this.key(filePath)] = entry;
+    if (this.folded) {
+      this.indexKey(this.key(filePath));
+    }
+    this.dirty = true;
+    if (Date.now() - this.flushedAt >= FLUSH_INTERVAL_MS) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Drop the entry of a file
+   */
+  remove(filePath) {
+    const key = this.key(filePath);
+    delete this.entries[key];
+    if (this.folded && this.folded.has(key.toLowerCase())) {
+      this.folded.get(key.toLowerCase()).delete(key);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Record a complete file, hashing it
+   * @param {string} filePath - File on disk
+   * @param {Object} source - { url, originalName, contentType }
+   */
+  async recordDone(filePath, source) {
+    const size = fs.statSync(filePath).size;
+    const sha256 = await hashFile(filePath);
+    const previous = this.get(filePath);
+    this.set(filePath, {
+      url: source.url,
+      original_name: source.originalName || (previous && previous.original_name) || null,
+      status: 'done',
+      size,
+      content_type: source.contentType || null,
+      sha256,
+      downloaded_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a failed download, keeping what was known of the file
+   */
+  recordFailed(filePath, url, error) {
+    this.set(filePath, { ...this.get(filePath), url, status: 'failed', error, failed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Re-hash every done file
+   * @returns {Promise<Array<{key: string, path: string, entry: Object, problem: string}>>}
+   *   Files that are missing or whose size or SHA-256 no longer match, plus
+   *   the entries still waiting for a download (failed or queued)
+   */
+  async verify() {
+    const problems = [];
+    for (const [key, entry] of Object.entries(this.entries)) {
+      const filePath = path.join(this.dir, ...key.split('/'));
+
+      let problem = null;
+      if (entry.status !== 'done') {
+        problem = entry.status;
+      } else if (!fs.existsSync(filePath)) {
+        problem = 'missing';
+      } else if (fs.statSync(filePath).size !== entry.size) {
+        problem = 'corrupt';
+      } else if (await hashFile(filePath) !== entry.sha256) {
+        problem = 'corrupt';
+      }
+
+      if (problem) {
+        problems.push({ key, path: filePath, entry, problem });
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Mark a file to be downloaded again by the next run
+   */
+  queue(filePath, reason) {
+    this.set(filePath, { ...this.get(filePath), status: 'queued', error: reason, queued_at: new Date().toISOString() });
+  }
+
+  /**
+   * Whether a file is recorded as done and still has its recorded size
+   */
+  isComplete(filePath) {
+    const entry = this.get(filePath);
+    return Boolean(entry && entry.status === 'done' && fs.existsSync(filePath) && fs.statSync(filePath).size === entry.size);
+  }
+
+  /**
+   * Write pending changes
+   */
+  flush() {
+    if (!this.dirty) {
+      return;
+    }
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeJsonAtomic(this.path, this.entries);
+    this.dirty = false;
+    this.flushedAt = Date.now();
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  Manifest,
+  hashFile
+};
@@ -0,0 +1,146 @@
+/**
+ * NDJSON (one JSON record per line) reading and writing, with atomic finalization
+ *
+ * Writers append to `<file>.tmp` and only rename it to the final name once
+ * closed, so a crash never leaves a half-written file under the final name;
+ * the .tmp file still holds every complete line written so far. Pretty JSON
+ * arrays are written the same way (writeJsonAtomic).
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Append-only NDJSON writer
+ */
+class NdjsonWriter {
+  /**
+   * @param {string} filePath - Final file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tempPath = `${filePath}.tmp`;
+    this.fd = fs.openSync(this.tempPath, 'w');
+    this.count = 0;
+  }
+
+  /**
+   * Append one record
+   */
+  write(record) {
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    this.count++;
+  }
+
+  writeAll(records) {
+    for (const record of records) {
+      this.write(record);
+    }
+  }
+
+  /**
+   * Flush to disk and move the file into place
+   * @returns {number} Records written
+   */
+  close() {
+    fs.fsyncSync(this.fd);
+    fs.closeSync(this.fd);
+    fs.renameSync(this.tempPath, this.filePath);
+    return this.count;
+  }
+}
+
+/**
+ * Write a value as pretty-printed JSON via a temp file and rename
+ */
+function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read every record of an NDJSON file. A last line cut short by a crash is
+ * skipped; any other unreadable line is an error.
+ * @returns {Array<Object>}
+ */
+function readNdjson(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+  const records = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      const isLast = lines.slice(index + 1).every(rest => !rest.trim());
+      if (!isLast) {
+        throw new Error(`Invalid NDJSON at ${filePath}:${index + 1}: ${error.message}`);
+      }
+      console.warn(`Ignoring truncated last line of ${filePath}`);
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Convert an NDJSON file to a pretty-printed JSON array, one record at a time
+ * (the output matches JSON.stringify(records, null, 2))
+ * @returns {Promise<number>} Records converted
+ */
+async function ndjsonToJson(sourcePath, destPath) {
+  const tempPath = `${destPath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  const lines = readline.createInterface({ input: fs.createReadStream(sourcePath, 'utf-8'), crlfDelay: Infinity });
+  let count = 0;
+
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      const record = JSON.stringify(JSON.parse(line), null, 2).replace(/\n/g, '\n  ');
+      fs.writeSync(fd, `${count === 0 ? '[\n' : ',\n'}  ${record}`);
+      count++;
+    }
+    fs.writeSync(fd, count === 0 ? '[]' : '\n]');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tempPath, destPath);
+  return count;
+}
+
+/**
+ * Convert a JSON array file to NDJSON
+ * @returns {number} Records converted
+ */
+function jsonToNdjson(sourcePath, destPath) {
+  const records = JSON.parse(fs.readFileSync(sourcePath, 'utf-8'));
+  if (!Array.isArray(records)) {
+    throw new Error(`${sourcePath} does not hold a JSON array`);
+  }
+
+  const writer = new NdjsonWriter(destPath);
+  writer.writeAll(records);
+  return writer.close();
+}
+
+module.exports = {
+  NdjsonWriter,
+  jsonToNdjson,
+  ndjsonToJson,
+  readNdjson,
+  writeJsonAtomic
+};
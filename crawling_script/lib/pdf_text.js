@@ -0,0 +1,79 @@
+/**
+ * Text layer of downloaded PDFs, read with pdfjs-dist (pure JavaScript, so no
+ * poppler or other native tools are needed)
+ *
+ * Many published documents are scans of the signed paper copy: their pages
+ * are images with no text layer at all. Those come back with `scanned: true`
+ * so they can be sent to OCR instead.
+ */
+
+const fs = require('fs');
+
+// Below this many non-blank characters per page, the text layer is taken to
+// be missing (scans often carry only a stamp or a page number)
+const MIN_CHARS_PER_PAGE = 20;
+
+// pdfjs-dist is an ES module; loaded on first use
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Join the text items of one page, keeping pdf.js's line breaks
+ */
+function pageText(items) {
+  return items
+    .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {string} filePath - PDF file
+ * @returns {Promise<{text: string, pages: number, chars: number, scanned: boolean}>}
+ *   `text` is NFC-normalized with pages separated by form feeds; `chars`
+ *   counts its non-blank characters
+ */
+async function extractPdfText(filePath) {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(fs.readFileSync(filePath));
+  const document = await pdfjs.getDocument({
+    data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(pageText(content.items));
+      page.cleanup();
+    }
+
+    const text = pages.join('\n\f\n').normalize('NFC');
+    const chars = text.replace(/\s/g, '').length;
+    return {
+      text,
+      pages: pages.length,
+      chars,
+      scanned: chars < MIN_CHARS_PER_PAGE * Math.max(pages.length, 1)
+    };
+  } finally {
+    await document.destroy();
+  }
+}
+
+module.exports = {
+  MIN_CHARS_PER_PAGE,
+  extractPdfText
+};
@@ -0,0 +1,84 @@
+/**
+ * Per-host token-bucket rate limiter
+ *
+ * Every HttpClient in the process takes a token from the bucket of the host it
+ * is about to call, so parallel batches (Promise.all in DecisionDetailCrawler)
+ * and separate clients for the same site all share one request budget.
+ */
+
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond - Sustained refill rate
+   * @param {number} [options.burst] - Bucket capacity (defaults to requestsPerSecond)
+   */
+  constructor({ requestsPerSecond, burst }) {
+    this.rate = requestsPerSecond;
+    this.capacity = Math.max(1, burst || requestsPerSecond);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available and consume it.
+   * Callers are served in FIFO order.
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      while (this.tokens < 1) {
+        const waitMs = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+        await sleep(waitMs);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+// Buckets shared by every client in the process, keyed by host name
+const buckets = new Map();
+
+/**
+ * Get (or create) the bucket for a host
+ * @param {string} host - Host name, e.g. 'thutuc.dichvucong.gov.vn'
+ * @param {Object} options - Bucket options used when the bucket is first created
+ * @returns {TokenBucket|null} null when rate limiting is disabled
+ */
+function getHostLimiter(host, options) {
+  if (!options || !options.requestsPerSecond) {
+    return null;
+  }
+
+  if (!buckets.has(host)) {
+    buckets.set(host, new TokenBucket(options));
+  }
+  return buckets.get(host);
+}
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  TokenBucket,
+  getHostLimiter,
+  sleep
+};
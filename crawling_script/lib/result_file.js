@@ -0,0 +1,114 @@
+/**
+ * Result files of the crawlers (raw_result, detailed_result, ...) in either format
+ *
+ *   json    one pretty-printed array, `<name>.json` (the historical format)
+ *   ndjson  one record per line, `<name>.ndjson`, appended as the crawl goes
+ *
+ * Both are written atomically (see ndjson.js). Readers accept either file,
+ * preferring the requested format, so a list step and a detail step do not
+ * have to use the same --format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NdjsonWriter, readNdjson, writeJsonAtomic } = require('./ndjson');
+
+const FORMATS = ['json', 'ndjson'];
+
+/**
+ * Path of a result file
+ * @param {string} dir - Site output directory
+ * @param {string} name - File name without extension, e.g. 'raw_result'
+ * @param {'json'|'ndjson'} [format]
+ */
+function resultPath(dir, name, format = 'json') {
+  return path.join(dir, `${name}.${format}`);
+}
+
+/**
+ * Read a result file, whichever format exists
+ * @returns {Array<Object>|null} Records, or null when there is no such file
+ */
+function readResult(dir, name, format = 'json') {
+  const formats = [format, ...FORMATS.filter(other => other !== format)];
+
+  for (const candidate of formats) {
+    const filePath = resultPath(dir, name, candidate);
+    if (fs.existsSync(filePath)) {
+      return candidate === 'ndjson' ? readNdjson(filePath) : JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+  }
+  return null;
+}
+
+/**
+ * Write a whole result file atomically
+ * @returns {string} Path written
+ */
+function writeResult(dir, name, records, format = 'json') {
+  const filePath = resultPath(dir, name, format);
+  fs.mkdirSync(dir, { recursive: true });
+
+  if (format === 'ndjson') {
+    const writer = new NdjsonWriter(filePath);
+    writer.writeAll(records);
+    writer.close();
+  } else {
+    writeJsonAtomic(filePath, records);
+  }
+  return filePath;
+}
+
+/**
+ * Result file that grows while crawling: NDJSON appends each batch (to the
+ * .tmp file, moved into place by close()), JSON keeps the records in memory
+ * and writes the whole array once, atomically, in close()
+ */
+class ResultWriter {
+  constructor(dir, name, format = 'json') {
+    fs.mkdirSync(dir, { recursive: true });
+    this.dir = dir;
+    this.name = name;
+    this.format = format;
+    this.path = resultPath(dir, name, format);
+    this.records = [];
+    this.ndjson = format === 'ndjson' ? new NdjsonWriter(this.path) : null;
+  }
+
+  /**
+   * Number of records added so far
+   */
+  get count() {
+    return this.ndjson ? this.ndjson.count : this.records.length;
+  }
+
+  /**
+   * Add a batch of records
+   */
+  add(records) {
+    if (this.ndjson) {
+      this.ndjson.writeAll(records);
+    } else {
+      this.records.push(...records);
+    }
+  }
+
+  /**
+   * Finish the file, replacing the one of an earlier run even when nothing was added
+   */
+  close() {
+    if (this.ndjson) {
+      this.ndjson.close();
+    } else {
+      writeJsonAtomic(this.path, this.records);
+    }
+  }
+}
+
+module.exports = {
+  FORMATS,
+  ResultWriter,
+  readResult,
+  resultPath,
+  writeResult
+};
@@ -0,0 +1,118 @@
+/**
+ * Retry with exponential backoff for transient HTTP failures
+ *
+ * Retried: 408, 425, 429 and 5xx responses, connection resets, refused
+ * connections, DNS hiccups and timeouts. A Retry-After header (seconds or
+ * HTTP date) takes precedence over the computed backoff.
+ */
+
+const { sleep } = require('./rate_limiter');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'ERR_STREAM_PREMATURE_CLOSE'
+]);
+
+const DEFAULT_RETRY = {
+  retries: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+  maxRetryAfter: 120000
+};
+
+/**
+ * Decide whether an error is worth retrying
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryable(err) {
+  if (err.statusCode) {
+    return RETRYABLE_STATUS.has(err.statusCode);
+  }
+  if (err.code && RETRYABLE_CODES.has(err.code)) {
+    return true;
+  }
+  return /socket hang up|aborted|Truncated download/i.test(err.message);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string} value - Either delta-seconds or an HTTP date
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {number} attempt - 1-based retry number
+ * @param {Error} err - Error that triggered the retry
+ * @param {Object} options - retry options
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(attempt, err, options) {
+  const retryAfter = parseRetryAfter(err.headers && err.headers['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, options.maxRetryAfter);
+  }
+
+  // Exponential backoff with jitter between 50% and 100% of the step
+  const step = Math.min(options.maxDelay, options.minDelay * Math.pow(2, attempt - 1));
+  return Math.round(step / 2 + Math.random() * step / 2);
+}
+
+/**
+ * Run an async operation, retrying transient failures
+ * @param {Function} operation - async (attempt) => result
+ * @param {Object} options - retries, minDelay, maxDelay, maxRetryAfter, onRetry
+ * @returns {Promise<any>}
+ */
+async function withRetry(operation, options = {}) {
+  const settings = { ...DEFAULT_RETRY, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (err) {
+      if (attempt >= settings.retries || !isRetryable(err)) {
+        throw err;
+      }
+
+      const delayMs = backoffDelay(attempt + 1, err, settings);
+      if (settings.onRetry) {
+        settings.onRetry(err, attempt + 1, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryable,
+  parseRetryAfter,
+  withRetry
+};
@@ -0,0 +1,108 @@
+/**
+ * Per-site request policy used by the shared HTTP client.
+ *
+ * Each profile describes how we present ourselves to one government site:
+ * default headers (user-agent, referer, accept), timeouts, TLS options, the
+ * retry policy and the per-host request rate.
+ * Crawlers pick a profile by name through createClient(site).
+ */
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36 Edg/143.0.0.0';
+
+const DEFAULT_PROFILE = {
+  headers: {
+    'User-Agent': BROWSER_USER_AGENT,
+    'Accept-Language': 'vi,en-GB;q=0.9,en-US;q=0.8,en;q=0.7'
+  },
+  timeout: 30000,
+  maxRedirects: 5,
+  tls: {},
+  retry: {
+    retries: 4,
+    minDelay: 1000,
+    maxDelay: 30000
+  },
+  rateLimit: {
+    requestsPerSecond: 5,
+    burst: 5
+  }
+};
+
+const SITE_PROFILES = {
+  'vanban.chinhphu.vn': {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Referer': 'https://vanban.chinhphu.vn/'
+    },
+    rateLimit: { requestsPerSecond: 8, burst: 8 }
+  },
+
+  'dichvucong.gov.vn': {
+    headers: {
+      'Accept': 'application/json, text/javascript, */*; q=0.01',
+      'Referer': 'https://dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds.html?pkeyWord=',
+      'X-Requested-With': 'XMLHttpRequest'
+    },
+    rateLimit: { requestsPerSecond: 4, burst: 4 }
+  },
+
+  'thutuc.dichvucong.gov.vn': {
+    headers: {
+      'Accept': 'application/json, text/javascript, */*; q=0.01',
+      'Referer': 'https://thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo.html',
+      'X-Requested-With': 'XMLHttpRequest'
+    },
+    // rest.jsp is shared by every decision in a batch and its four procedure
+    // lookups, so keep the sustained rate modest
+    rateLimit: { requestsPerSecond: 4, burst: 8 }
+  },
+
+  'emohbackup.moh.gov.vn': {
+    headers: {
+      'Accept': 'application/json',
+      'Referer': 'https://emohbackup.moh.gov.vn/publish/home'
+    },
+    // The MOH backup server only speaks TLSv1; OpenSSL 3 also needs the
+    // security level lowered before it will negotiate the legacy ciphers.
+    tls: {
+      minVersion: 'TLSv1',
+      ciphers: 'DEFAULT@SECLEVEL=0'
+    },
+    rateLimit: { requestsPerSecond: 2, burst: 2 }
+  },
+
+  'www.mod.gov.vn': {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Referer': 'https://www.mod.gov.vn/home/cdcs'
+    },
+    timeout: 60000,
+    rateLimit: { requestsPerSecond: 1, burst: 1 }
+  }
+};
+
+/**
+ * Resolve a site profile merged over the defaults
+ * @param {string} site - Site host name, e.g. 'vanban.chinhphu.vn'
+ * @returns {Object} Complete profile
+ */
+function getSiteProfile(site) {
+  const profile = SITE_PROFILES[site];
+  if (site && !profile) {
+    throw new Error(`Unknown site profile: ${site}`);
+  }
+
+  return {
+    ...DEFAULT_PROFILE,
+    ...profile,
+    headers: { ...DEFAULT_PROFILE.headers, ...(profile && profile.headers) },
+    tls: { ...DEFAULT_PROFILE.tls, ...(profile && profile.tls) },
+    retry: { ...DEFAULT_PROFILE.retry, ...(profile && profile.retry) }
+  };
+}
+
+module.exports = {
+  BROWSER_USER_AGENT,
+  SITE_PROFILES,
+  getSiteProfile
+};
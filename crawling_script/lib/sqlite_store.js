@@ -0,0 +1,493 @@
+/**
+ * Optional SQLite sink for every crawled dataset (--db FILE)
+ *
+ * Records are upserted into normalized tables keyed by each site's natural ID:
+ *   documents        vanban DOC_ID, moh DOC_ID (documentId), mod document UUID (per source)
+ *   decisions        thutuc decision ID
+ *   procedures       new / modified / rescinded procedures of a decision
+ *   tthc             dichvucong TTHC_MA (per công dân / doanh nghiệp list)
+ *   agencies, fields, decision_fields
+ *   attachments      per (source, owner ID, URL)
+ *   attachment_texts text layer of downloaded PDFs, per (source, owner ID, file)
+ *
+ * Every row keeps the crawled record in `raw` (JSON). Saving a record again
+ * merges it into the stored one, so a list step followed by a detail step
+ * leaves the union of both, and columns are only overwritten by non-null
+ * values. An ERROR left by an earlier failed fetch is dropped on the next save.
+ * Dates are also stored as ISO 8601 in the *_iso columns (see dates.js).
+ *
+ * Uses the built-in node:sqlite module (Node.js 22.13 or newer); the JSON
+ * output keeps working on older versions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UsageError } = require('./cli_args');
+const { toIsoDate } = require('./dates');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS documents (
+  source TEXT NOT NULL,
+  doc_id TEXT NOT NULL,
+  code TEXT,
+  title TEXT,
+  summary TEXT,
+  document_type TEXT,
+  issuing_agency TEXT,
+  signer TEXT,
+  issue_date TEXT,
+  issue_date_iso TEXT,
+  effective_date TEXT,
+  effective_date_iso TEXT,
+  detail_url TEXT,
+  raw TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (source, doc_id)
+);
+
+CREATE TABLE IF NOT EXISTS decisions (
+  id TEXT PRIMARY KEY,
+  code TEXT,
+  name TEXT,
+  publishing_date TEXT,
+  publishing_date_iso TEXT,
+  agency_id TEXT,
+  agency_name TEXT,
+  detail_url TEXT,
+  raw TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS procedures (
+  decision_id TEXT NOT NULL REFERENCES decisions (id),
+  kind TEXT NOT NULL CHECK (kind IN ('new', 'modified', 'rescinded')),
+  procedure_id TEXT NOT NULL,
+  name TEXT,
+  agency_id TEXT,
+  agency_name TEXT,
+  raw TEXT NOT NULL,
+  PRIMARY KEY (decision_id, kind, procedure_id)
+);
+
+CREATE TABLE IF NOT EXISTS tthc (
+  object_type TEXT NOT NULL,
+  tthc_ma TEXT NOT NULL,
+  name TEXT,
+  id_tthc TEXT,
+  detail_url TEXT,
+  detail_url_full TEXT,
+  export_word_url TEXT,
+  raw TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (object_type, tthc_ma)
+);
+
+CREATE TABLE IF NOT EXISTS agencies (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  code TEXT,
+  raw TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS fields (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  raw TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS decision_fields (
+  decision_id TEXT NOT NULL REFERENCES decisions (id),
+  field_id TEXT NOT NULL,
+  PRIMARY KEY (decision_id, field_id)
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+  source TEXT NOT NULL,
+  owner_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  file_name TEXT,
+  label TEXT,
+  raw TEXT NOT NULL,
+  PRIMARY KEY (source, owner_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS attachment_texts (
+  source TEXT NOT NULL,
+  owner_id TEXT NOT NULL,
+  file TEXT NOT NULL,
+  url TEXT,
+  original_name TEXT,
+  pages INTEGER,
+  chars INTEGER,
+  scanned INTEGER NOT NULL,
+  text TEXT,
+  extracted_at TEXT NOT NULL,
+  PRIMARY KEY (source, owner_id, file)
+);
+`;
+
+// Columns added to existing tables since their first release, created in
+// older databases on open
+const ADDED_COLUMNS = {
+  documents: ['issue_date_iso TEXT', 'effective_date_iso TEXT'],
+  decisions: ['publishing_date_iso TEXT']
+};
+
+// Natural key columns per table (used for the upsert conflict target)
+const KEYS = {
+  documents: ['source', 'doc_id'],
+  decisions: ['id'],
+  procedures: ['decision_id', 'kind', 'procedure_id'],
+  tthc: ['object_type', 'tthc_ma'],
+  agencies: ['id'],
+  fields: ['id'],
+  decision_fields: ['decision_id', 'field_id'],
+  attachments: ['source', 'owner_id', 'url'],
+  attachment_texts: ['source', 'owner_id', 'file']
+};
+
+const PROCEDURE_KINDS = { NEW: 'new', MODIFIED: 'modified', RESCINDED: 'rescinded' };
+
+/**
+ * String value of a field, or null when missing/empty
+ */
+function text(value) {
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * Natural ID of a mod.gov.vn row: the document UUID in its URL
+ */
+function modDocumentId(row) {
+  const match = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i.exec(row.FULL_URL || row.DETAIL_URL || '');
+  return match ? match[1] : text(row.SO_KY_HIEU);
+}
+
+/**
+ * Map a crawled document to a documents row, per source
+ */
+function documentRow(source, record) {
+  if (source === 'vanban') {
+    return {
+      doc_id: text(record.DOC_ID),
+      code: text(record.CODE),
+      title: text(record.TITLE),
+      summary: text(record.SUMMARY),
+      document_type: text(record.DOCUMENT_TYPE),
+      issuing_agency: text(record.ISSUING_AGENCY),
+      signer: text(record.SIGNER),
+      issue_date: text(record.ISSUE_DATE),
+      issue_date_iso: toIsoDate(record.ISSUE_DATE),
+      effective_date: text(record.EFFECTIVE_DATE),
+      effective_date_iso: toIsoDate(record.EFFECTIVE_DATE),
+      detail_url: text(record.DETAIL_URL)
+    };
+  }
+  if (source === 'moh') {
+    return {
+      doc_id: text(record.DOC_ID),
+      code: text(record.CODE),
+      title: text(record.TITLE),
+      summary: text(record.SUMMARY),
+      document_type: text(record.DOCUMENT_TYPE),
+      issuing_agency: text(record.ISSUING_AGENCY),
+      signer: text(record.SIGNER),
+      issue_date: text(record.ISSUE_DATE),
+      issue_date_iso: toIsoDate(record.ISSUE_DATE),
+      effective_date: text(record.EFFECTIVE_DATE),
+      effective_date_iso: toIsoDate(record.EFFECTIVE_DATE)
+    };
+  }
+  if (source === 'mod') {
+    return {
+      doc_id: modDocumentId(record),
+      code: text(record.SO_KY_HIEU),
+      title: text(record.TITLE),
+      summary: text(record.TRICH_YEU),
+      document_type: text(record.DOCUMENT_TYPE),
+      issuing_agency: text(record.ISSUING_AGENCY),
+      signer: text(record.SIGNER),
+      issue_date: text(record.NGAY_BAN_HANH),
+      issue_date_iso: toIsoDate(record.NGAY_BAN_HANH),
+      effective_date: text(record.EFFECTIVE_DATE),
+      effective_date_iso: toIsoDate(record.EFFECTIVE_DATE),
+      detail_url: text(record.FULL_URL)
+    };
+  }
+  throw new Error(`Unknown document source: ${source}`);
+}
+
+/**
+ * Map the attachment shapes of the different crawlers to attachments rows
+ */
+function attachmentRow(attachment) {
+  return {
+    url: text(attachment.url || attachment.download_url || attachment.attachId),
+    file_name: text(attachment.filename || attachment.fileName),
+    label: text(attachment.label || attachment.code)
+  };
+}
+
+class SqliteStore {
+  /**
+   * @param {string} filePath - Database file (created when missing)
+   */
+  constructor(filePath) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (error) {
+      throw new Error(`--db needs Node.js 22.13 or newer (node:sqlite is not available in ${process.version})`);
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    this.filePath = filePath;
+    this.db = new sqlite.DatabaseSync(filePath);
+    this.db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;');
+    this.db.exec(SCHEMA);
+    this.addMissingColumns();
+    this.statements = new Map();
+  }
+
+  /**
+   * Create the ADDED_COLUMNS a database made by an older version lacks
+   */
+  addMissingColumns() {
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+      const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+      for (const column of columns.filter(definition => !existing.has(definition.split(' ')[0]))) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+      }
+    }
+  }
+
+  /**
+   * Upsert one row; `raw` is merged into the stored JSON and other columns
+   * only replace stored values when non-null
+   */
+  upsert(table, row) {
+    const columns = Object.keys(row);
+    const cacheKey = `${table}:${columns.join(',')}`;
+
+    if (!this.statements.has(cacheKey)) {
+      const keys = KEYS[table];
+      const updates = columns
+        .filter(column => !keys.includes(column))
+        .map(column => (column === 'raw'
+          ? `raw = json_patch(json_remove(${table}.raw, '$.ERROR'), excluded.raw)`
+          : `${column} = COALESCE(excluded.${column}, ${table}.${column})`));
+
+      const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+        ON CONFLICT (${keys.join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`;
+      this.statements.set(cacheKey, this.db.prepare(sql));
+    }
+
+    this.statements.get(cacheKey).run(...columns.map(column => row[column]));
+  }
+
+  /**
+   * Run fn inside a transaction
+   */
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Save documents (vanban list/detail, moh search results, mod rows) and their attachments
+   * @param {'vanban'|'moh'|'mod'} source
+   * @param {Array<Object>} records
+   */
+  saveDocuments(source, records) {
+    const now = new Date().toISOString();
+
+    this.transaction(() => {
+      for (const record of records) {
+        const row = documentRow(source, record);
+        if (!row.doc_id) {
+          continue;
+        }
+        this.upsert('documents', { source, ...row, raw: JSON.stringify(record), updated_at: now });
+        this.saveAttachments(source, row.doc_id, record.ATTACHMENTS || record.attachments);
+      }
+    });
+  }
+
+  /**
+   * Save decisions, plus their fields, procedures and attachments when present (detailed_result.json)
+   * @param {Array<Object>} records
+   */
+  saveDecisions(records) {
+    const now = new Date().toISOString();
+
+    this.transaction(() => {
+      for (const record of records) {
+        const id = text(record.ID);
+        if (!id) {
+          continue;
+        }
+
+        this.upsert('decisions', {
+          id,
+          code: text(record.CODE),
+          name: text(record.NAME),
+          publishing_date: text(record.PUBLISHING_DATE),
+          publishing_date_iso: toIsoDate(record.PUBLISHING_DATE),
+          agency_id: text(record.AGENCY_ID),
+          agency_name: text(record.AGENCY_NAME),
+          detail_url: text(record.DETAIL_URL),
+          raw: JSON.stringify(record),
+          updated_at: now
+        });
+
+        for (const field of record.FIELDS || []) {
+          this.upsert('fields', { id: text(field.ID), name: text(field.FIELD_FULL_NAME || field.NAME), raw: JSON.stringify(field) });
+          this.upsert('decision_fields', { decision_id: id, field_id: text(field.ID) });
+        }
+
+        for (const [group, kind] of Object.entries(PROCEDURE_KINDS)) {
+          for (const procedure of (record.PROCEDURES && record.PROCEDURES[group]) || []) {
+            this.upsert('procedures', {
+              decision_id: id,
+              kind,
+              procedure_id: text(procedure.ID),
+              name: text(procedure.PROCEDURE_NAME || procedure.NAME),
+              agency_id: text(procedure.PUBLISHED_AGENCY_ID),
+              agency_name: text(procedure.PUBLISHED_AGENCY),
+              raw: JSON.stringify(procedure)
+            });
+          }
+        }
+
+        this.saveAttachments('thutuc', id, record.ATTACHMENTS);
+      }
+    });
+  }
+
+  /**
+   * Save TTHC records (list rows or fetched details)
+   * @param {Array<Object>} records
+   * @param {'congdan'|'doanhnghiep'} objectType
+   */
+  saveTthc(records, objectType) {
+    const now = new Date().toISOString();
+
+    this.transaction(() => {
+      for (const record of records) {
+        const tthcMa = text(record.TTHC_MA);
+        if (!tthcMa) {
+          continue;
+        }
+        this.upsert('tthc', {
+          tthc_ma: tthcMa,
+          object_type: objectType,
+          name: text(record.NAME),
+          id_tthc: text(record.ID_TTHC),
+          detail_url: text(record.DETAIL_URL),
+          detail_url_full: text(record.DETAIL_URL_FULL),
+          export_word_url: text(record.EXPORT_WORD_URL),
+          raw: JSON.stringify(record),
+          updated_at: now
+        });
+      }
+    });
+  }
+
+  /**
+   * Save the agency list of thutuc.dichvucong.gov.vn
+   */
+  saveAgencies(agencies) {
+    this.transaction(() => {
+      for (const agency of agencies) {
+        this.upsert('agencies', { id: text(agency.ID), name: text(agency.AGENCY_NAME || agency.NAME), code: text(agency.CODE), raw: JSON.stringify(agency) });
+      }
+    });
+  }
+
+  /**
+   * Save the field list of thutuc.dichvucong.gov.vn
+   */
+  saveFields(fields) {
+    this.transaction(() => {
+      for (const field of fields) {
+        this.upsert('fields', { id: text(field.ID), name: text(field.FIELD_NAME || field.NAME), raw: JSON.stringify(field) });
+      }
+    });
+  }
+
+  saveAttachments(source, ownerId, attachments) {
+    for (const attachment of attachments || []) {
+      const row = attachmentRow(attachment);
+      if (row.url) {
+        this.upsert('attachments', { source, owner_id: ownerId, ...row, raw: JSON.stringify(attachment) });
+      }
+    }
+  }
+
+  /**
+   * Save the extracted text of attachments (see tools/extract_pdf_text.js)
+   * @param {string} source - e.g. 'vanban'
+   * @param {string} ownerId - ID of the document or decision owning the files
+   * @param {Array<Object>} texts - ATTACHMENT_TEXT entries (those that failed are skipped)
+   */
+  saveAttachmentTexts(source, ownerId, texts) {
+    this.transaction(() => {
+      for (const entry of texts.filter(candidate => !candidate.error)) {
+        this.upsert('attachment_texts', {
+          source,
+          owner_id: ownerId,
+          file: entry.file,
+          url: text(entry.url),
+          original_name: text(entry.original_name),
+          pages: entry.pages,
+          chars: entry.chars,
+          scanned: entry.scanned ? 1 : 0,
+          text: entry.text,
+          extracted_at: entry.extracted_at
+        });
+      }
+    });
+  }
+
+  /**
+   * Stored records of a table, as crawled (the merged `raw` JSON), in insertion order
+   * @param {string} table - e.g. 'documents'
+   * @param {Object} [where] - Column equality filter, e.g. { source: 'vanban' }
+   * @returns {Array<Object>}
+   */
+  loadRecords(table, where = {}) {
+    const columns = Object.keys(where);
+    const condition = columns.length > 0 ? ` WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT raw FROM ${table}${condition} ORDER BY rowid`).all(...columns.map(column => where[column]));
+    return rows.map(row => JSON.parse(row.raw));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Open the store selected by --db, or null when the crawl only writes JSON
+ * @param {Object} options - Command options
+ * @param {string} [options.db] - Value of --db
+ * @param {boolean} [options.dbOnly] - Value of --db-only
+ * @returns {SqliteStore|null}
+ */
+function openStore(options = {}) {
+  if (options.dbOnly && !options.db) {
+    throw new UsageError('--db-only requires --db FILE');
+  }
+  return options.db ? new SqliteStore(options.db) : null;
+}
+
+module.exports = {
+  SqliteStore,
+  openStore
+};
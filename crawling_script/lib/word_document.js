@@ -0,0 +1,498 @@
+/**
+ * Read "Word" files as the sites really serve them
+ *
+ * A `.doc` download is often not a Word binary at all:
+ *   html    Word-flavoured HTML sent as application/msword
+ *   wordml  Word 2003 XML (<w:wordDocument>)
+ *   doc     a real Word 97-2003 binary (OLE2 compound file)
+ * readWordDocument() detects which one it has and returns the content as
+ * paragraphs and tables:
+ *
+ *   { type: 'p', text: 'Trình tự thực hiện:' }
+ *   { type: 'table', rows: [[cell, cell], ...] }   each cell is itself a list of blocks
+ *
+ * Binary documents carry no markup for tables in their text stream, only a
+ * cell mark after each cell and another after each row; tables are rebuilt
+ * from those marks. An empty cell right after another cell is told from the
+ * row end by the width of the table's first row.
+ */
+
+const { decodeEntities } = require('./html');
+
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Which of the formats a file is
+ * @param {Buffer} buffer
+ * @returns {'doc'|'docx'|'wordml'|'html'|'rtf'|'unknown'}
+ */
+function detectFormat(buffer) {
+  if (buffer.subarray(0, 8).equals(OLE2_MAGIC)) {
+    return 'doc';
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from('PK\x03\x04', 'latin1'))) {
+    return 'docx';
+  }
+
+  const head = decodeText(buffer.subarray(0, 4096)).replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('{\\rtf')) {
+    return 'rtf';
+  }
+  // Word HTML also mentions <w:WordDocument>, inside its <head>
+  if (/^<(!doctype html|html|head|body|meta|table|div|p)\b/i.test(head)) {
+    return 'html';
+  }
+  if (/<w:wordDocument\b|progid="Word\.Document"/.test(head)) {
+    return 'wordml';
+  }
+  if (/<html[\s>]/i.test(head)) {
+    return 'html';
+  }
+  return 'unknown';
+}
+
+/**
+ * Decode a markup file: UTF-16 by BOM, otherwise the declared charset
+ * (windows-1258 and friends are common in Vietnamese exports), else UTF-8
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  const declared = /(?:charset|encoding)\s*=\s*["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+  if (declared) {
+    try {
+      return new TextDecoder(declared[1].toLowerCase()).decode(buffer);
+    } catch (err) {
+      // Unknown label: fall back to UTF-8
+    }
+  }
+  return new TextDecoder('utf-8').decode(buffer);
+}
+
+/**
+ * Builds the block list from open/close events of tables, rows, cells and
+ * paragraphs, closing whatever the markup left open
+ */
+class BlockBuilder {
+  constructor() {
+    this.blocks = [];
+    // Open containers, innermost last: { blocks, line } for the body and each cell
+    this.containers = [{ blocks: this.blocks, line: '' }];
+    // Open tables, innermost last: { table, depth } with the container depth it lives in
+    this.tables = [];
+  }
+
+  get container() {
+    return this.containers[this.containers.length - 1];
+  }
+
+  text(text) {
+    this.container.line += text;
+  }
+
+  endParagraph() {
+    const container = this.container;
+    const text = container.line.replace(/[ \t ]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+    if (text) {
+      container.blocks.push({ type: 'p', text });
+    }
+    container.line = '';
+  }
+
+  openTable() {
+    this.endParagraph();
+    const table = { type: 'table', rows: [] };
+    this.container.blocks.push(table);
+    this.tables.push({ table, depth: this.containers.length });
+  }
+
+  closeTable() {
+    const open = this.tables.pop();
+    if (!open) {
+      return;
+    }
+    this.closeCellsTo(open.depth);
+    this.endParagraph();
+  }
+
+  /** Innermost open table, opening one for rows and cells found outside any */
+  currentTable() {
+    if (this.tables.length === 0) {
+      this.openTable();
+    }
+    return this.tables[this.tables.length - 1];
+  }
+
+  openRow() {
+    const open = this.currentTable();
+    this.closeCellsTo(open.depth);
+    open.table.rows.push([]);
+  }
+
+  openCell() {
+    // Closes the previous cell when the markup left it open
+    const open = this.currentTable();
+    this.closeCellsTo(open.depth);
+    if (open.table.rows.length === 0) {
+      open.table.rows.push([]);
+    }
+    const cell = [];
+    open.table.rows[open.table.rows.length - 1].push(cell);
+    this.containers.push({ blocks: cell, line: '' });
+  }
+
+  closeCell() {
+    const open = this.tables[this.tables.length - 1];
+    if (open && this.containers.length > open.depth) {
+      this.endParagraph();
+      this.containers.pop();
+    }
+  }
+
+  closeCellsTo(depth) {
+    while (this.containers.length > depth) {
+      this.endParagraph();
+      this.containers.pop();
+    }
+  }
+
+  finish() {
+    while (this.tables.length > 0) {
+      this.closeTable();
+    }
+    this.closeCellsTo(1);
+    this.endParagraph();
+    return this.blocks;
+  }
+}
+
+/**
+ * Blocks of Word HTML: <table>/<tr>/<td>, with p, div, li and headings as
+ * paragraph boundaries
+ */
+function htmlBlocks(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|xml)\b[\s\S]*?<\/\1>/gi, '');
+
+  const builder = new BlockBuilder();
+  const tagRegex = /<(\/?)([a-zA-Z][\w:]*)[^>]*>/g;
+  let last = 0;
+  let match;
+  while ((match = tagRegex.exec(body)) !== null) {
+    builder.text(decodeEntities(body.slice(last, match.index).replace(/\s+/g, ' ')));
+    last = tagRegex.lastIndex;
+
+    const closing = match[1] === '/';
+    const tag = match[2].toLowerCase();
+    if (tag === 'table') {
+      closing ? builder.closeTable() : builder.openTable();
+    } else if (tag === 'tr') {
+      if (!closing) {
+        builder.openRow();
+      }
+    } else if (tag === 'td' || tag === 'th') {
+      closing ? builder.closeCell() : builder.openCell();
+    } else if (tag === 'br') {
+      builder.text('\n');
+    } else if (/^(p|div|li|h[1-6])$/.test(tag)) {
+      builder.endParagraph();
+    }
+  }
+  builder.text(decodeEntities(body.slice(last).replace(/\s+/g, ' ')));
+  return builder.finish();
+}
+
+/**
+ * Blocks of Word 2003 XML: w:tbl/w:tr/w:tc and w:p, text from w:t
+ */
+function wordmlBlocks(xml) {
+  const builder = new BlockBuilder();
+  const tagRegex = /<(\/?)(w:(?:tbl|tr|tc|p|t|br|cr|tab))\b[^>]*?(\/?)>/g;
+  let inText = false;
+  let last = 0;
+  let match;
+  while ((match = tagRegex.exec(xml)) !== null) {
+    if (inText) {
+      builder.text(decodeEntities(xml.slice(last, match.index)));
+    }
+    last = tagRegex.lastIndex;
+
+    const closing = match[1] === '/';
+    const selfClosing = match[3] === '/';
+    switch (match[2]) {
+      case 'w:tbl':
+        closing ? builder.closeTable() : builder.openTable();
+        break;
+      case 'w:tr':
+        if (!closing) {
+          builder.openRow();
+        }
+        break;
+      case 'w:tc':
+        closing ? builder.closeCell() : builder.openCell();
+        break;
+      case 'w:p':
+        if (closing || selfClosing) {
+          builder.endParagraph();
+        }
+        break;
+      case 'w:t':
+        inText = !closing && !selfClosing;
+        break;
+      case 'w:br':
+      case 'w:cr':
+        builder.text('\n');
+        break;
+      case 'w:tab':
+        builder.text('\t');
+        break;
+    }
+  }
+  return builder.finish();
+}
+
+// Compound file sector markers
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+
+/**
+ * Streams of an OLE2 compound file, by name
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>}
+ */
+function readCompoundFile(buffer) {
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+  const miniCutoff = buffer.readUInt32LE(0x38);
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+
+  // FAT sectors: the first 109 are listed in the header, the rest in DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) {
+    fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  }
+  let difat = buffer.readUInt32LE(0x44);
+  for (let guard = 0; difat !== END_OF_CHAIN && difat !== FREE_SECTOR && guard < 10000; guard++) {
+    const offset = sectorOffset(difat);
+    for (let i = 0; i < sectorSize / 4 - 1; i++) {
+      fatSectors.push(buffer.readUInt32LE(offset + i * 4));
+    }
+    difat = buffer.readUInt32LE(offset + sectorSize - 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors.filter(sector => sector !== FREE_SECTOR)) {
+    const offset = sectorOffset(sector);
+    for (let i = 0; i < sectorSize / 4 && offset + i * 4 + 4 <= buffer.length; i++) {
+      fat.push(buffer.readUInt32LE(offset + i * 4));
+    }
+  }
+
+  const readChain = (start, table, read) => {
+    const parts = [];
+    const seen = new Set();
+    for (let sector = start; sector !== END_OF_CHAIN && sector < table.length && !seen.has(sector); sector = table[sector]) {
+      seen.add(sector);
+      parts.push(read(sector));
+    }
+    return Buffer.concat(parts);
+  };
+  const readSectors = start => readChain(start, fat, sector => buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize));
+
+  const directory = readSectors(buffer.readUInt32LE(0x30));
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = directory.readUInt16LE(offset + 0x40);
+    entries.push({
+      name: directory.subarray(offset, offset + Math.max(nameLength - 2, 0)).toString('utf16le'),
+      type: directory[offset + 0x42],
+      start: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78)
+    });
+  }
+
+  const root = entries.find(entry => entry.type === 5);
+  const miniStream = root ? readSectors(root.start) : Buffer.alloc(0);
+  const miniFat = [];
+  const miniFatData = readSectors(buffer.readUInt32LE(0x3c));
+  for (let i = 0; i + 4 <= miniFatData.length; i += 4) {
+    miniFat.push(miniFatData.readUInt32LE(i));
+  }
+
+  const streams = new Map();
+  for (const entry of entries.filter(candidate => candidate.type === 2)) {
+    const data = entry.size < miniCutoff
+      ? readChain(entry.start, miniFat, sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize))
+      : readSectors(entry.start);
+    streams.set(entry.name, data.subarray(0, entry.size));
+  }
+  return streams;
+}
+
+/**
+ * Main-document text of a Word 97-2003 binary, from the piece table
+ * @returns {string} Text with \r paragraph ends and \x07 cell marks
+ */
+function docText(buffer) {
+  const streams = readCompoundFile(buffer);
+  const wordDocument = streams.get('WordDocument');
+  if (!wordDocument || wordDocument.readUInt16LE(0) !== 0xa5ec) {
+    throw new Error('Not a Word document (no WordDocument stream)');
+  }
+
+  const flags = wordDocument.readUInt16LE(0x0a);
+  if (flags & 0x0100) {
+    throw new Error('Encrypted Word document');
+  }
+  const table = streams.get(flags & 0x0200 ? '1Table' : '0Table');
+  if (!table) {
+    throw new Error('Word document without its table stream');
+  }
+
+  // FIB: fixed part, then counted arrays of shorts, longs and fc/lcb pairs
+  const csw = wordDocument.readUInt16LE(0x20);
+  const longsOffset = 0x22 + csw * 2 + 2;
+  const cslw = wordDocument.readUInt16LE(0x22 + csw * 2);
+  const ccpText = wordDocument.readInt32LE(longsOffset + 3 * 4);
+  const pairsOffset = longsOffset + cslw * 4 + 2;
+  const fcClx = wordDocument.readUInt32LE(pairsOffset + 33 * 8);
+  const lcbClx = wordDocument.readUInt32LE(pairsOffset + 33 * 8 + 4);
+
+  // Clx: property runs (0x01) to skip, then the piece table (0x02)
+  let offset = fcClx;
+  while (offset < fcClx + lcbClx && table[offset] === 0x01) {
+    offset += 3 + table.readInt16LE(offset + 1);
+  }
+  if (table[offset] !== 0x02) {
+    throw new Error('Word document without a piece table');
+  }
+  const lcb = table.readUInt32LE(offset + 1);
+  const plc = offset + 5;
+  const pieces = (lcb - 4) / 12;
+
+  let text = '';
+  for (let i = 0; i < pieces && text.length < ccpText; i++) {
+    const cpStart = table.readUInt32LE(plc + i * 4);
+    const cpEnd = table.readUInt32LE(plc + (i + 1) * 4);
+    const fc = table.readUInt32LE(plc + (pieces + 1) * 4 + i * 8 + 2);
+    const length = Math.min(cpEnd, ccpText) - cpStart;
+    if (length <= 0) {
+      continue;
+    }
+
+    if (fc & 0x40000000) {
+      const start = (fc & ~0x40000000) / 2;
+      text += new TextDecoder('windows-1252').decode(wordDocument.subarray(start, start + length));
+    } else {
+      text += wordDocument.subarray(fc, fc + length * 2).toString('utf16le');
+    }
+  }
+  return text;
+}
+
+/**
+ * Blocks of a Word binary's text: \r ends a paragraph, \x07 a cell, and a
+ * second \x07 right after a cell the row (once the row is as wide as the
+ * first one)
+ */
+function docBlocks(text) {
+  const clean = text
+    // Field codes: keep the result, drop the instruction (\x13 code \x14 result \x15)
+    .replace(/\x13[^\x13\x14\x15]*\x14/g, '')
+    .replace(/\x13[^\x13\x14\x15]*\x15/g, '')
+    .replace(/[\x14\x15\x01\x08]/g, '')
+    .replace(/\x0b/g, '\n')
+    .replace(/\x0c/g, '\r')
+    .replace(/\x1e/g, '-')
+    .replace(/\x1f/g, '');
+
+  const builder = new BlockBuilder();
+  let inRow = false;
+  let afterCell = false;
+  let line = '';
+
+  for (const char of clean) {
+    if (char === '\x07') {
+      const open = builder.tables[builder.tables.length - 1];
+      const rows = open ? open.table.rows : [];
+      if (afterCell && line === '' && (rows.length === 1 || rows[rows.length - 1].length >= rows[0].length)) {
+        // Row end mark
+        inRow = false;
+        afterCell = false;
+        continue;
+      }
+      if (!inRow) {
+        if (builder.tables.length === 0) {
+          builder.openTable();
+        }
+        builder.openRow();
+        inRow = true;
+      }
+      builder.openCell();
+      builder.text(line);
+      builder.closeCell();
+      line = '';
+      afterCell = true;
+    } else if (char === '\r') {
+      if (inRow) {
+        // A paragraph inside a cell that goes on
+        line += '\n';
+      } else {
+        if (builder.tables.length > 0) {
+          builder.closeTable();
+        }
+        builder.text(line);
+        builder.endParagraph();
+        line = '';
+      }
+      afterCell = false;
+    } else {
+      line += char;
+      afterCell = false;
+    }
+  }
+  builder.text(line);
+  return builder.finish();
+}
+
+/**
+ * Read a Word file in whichever format it really is
+ * @param {Buffer} buffer - File contents
+ * @returns {{format: string, blocks: Array<Object>}}
+ * @throws {Error} For docx, RTF and unrecognized files
+ */
+function readWordDocument(buffer) {
+  const format = detectFormat(buffer);
+  switch (format) {
+    case 'html':
+      return { format, blocks: htmlBlocks(decodeText(buffer)) };
+    case 'wordml':
+      return { format, blocks: wordmlBlocks(decodeText(buffer)) };
+    case 'doc':
+      return { format, blocks: docBlocks(docText(buffer)) };
+    default:
+      throw new Error(`Unsupported document format: ${format}`);
+  }
+}
+
+/**
+ * Plain text of blocks: paragraphs on their own lines, table cells joined by " | "
+ */
+function blocksText(blocks) {
+  return blocks.map(block => (block.type === 'p'
+    ? block.text
+    : block.rows.map(row => row.map(cell => blocksText(cell).replace(/\n/g, ' ')).join(' | ')).join('\n'))).join('\n');
+}
+
+module.exports = {
+  blocksText,
+  detectFormat,
+  readCompoundFile,
+  readWordDocument
+};
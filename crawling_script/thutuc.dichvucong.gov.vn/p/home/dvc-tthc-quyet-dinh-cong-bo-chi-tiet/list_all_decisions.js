@@ -1,5 +1,33 @@
+/**
+ * Crawl the list of published decisions from thutuc.dichvucong.gov.vn
+ *
+ * Usage:
+ *   node list_all_decisions.js                  // Crawl every page
+ *   node list_all_decisions.js --incremental    // Only decisions newer than the saved raw_result.json
+ *   node list_all_decisions.js --db thutuc.sqlite --db-only --incremental
+ *                                               // Keep the list in SQLite instead
+ *   node list_all_decisions.js --format ndjson  // Save raw_result.ndjson
+ *
+ * Also available as `songgio thutuc decisions`.
+ */
+
 const fs = require('fs');
 const path = require('path');
+const { createClient } = require('../../../../lib/http_client');
+const { runCommand } = require('../../../../lib/cli_args');
+const { siteDir } = require('../../../../lib/config');
+const { openStore } = require('../../../../lib/sqlite_store');
+const { ResultWriter, readResult, resultPath, writeResult } = require('../../../../lib/result_file');
+const { withIsoDates } = require('../../../../lib/dates');
+const { withParsedCodes } = require('../../../../lib/document_codes');
+
+// Flags accepted by main() (shared with `songgio thutuc decisions`)
+const COMMAND_SPEC = {
+  flags: ['out', 'data-root', 'dry-run', 'format', 'db', 'db-only'],
+  extra: {
+    incremental: { type: 'boolean', description: 'Only fetch decisions newer than the saved raw_result.json' }
+  }
+};
 
 /**
  * Crawl decisions from thutuc.dichvucong.gov.vn
@@ -9,12 +37,16 @@ class DecisionCrawler {
     this.baseUrl = 'https://thutuc.dichvucong.gov.vn/jsp/rest.jsp';
     this.recordsPerPage = 50;
     this.allDecisions = [];
+    this.newDecisions = [];
+    this.failedPages = [];
+    this.pagesFetched = 0;
+    this.client = createClient('thutuc.dichvucong.gov.vn');
   }
 
   /**
    * Fetch decisions for a specific page
    * @param {number} pageIndex - Page number to fetch
-   * @returns {Promise<Object>} API response
+   * @returns {Promise<Object>} API response, with PUBLISHING_DATE_ISO and CODE_PARTS added to each decision
    */
   async fetchPage(pageIndex) {
     const params = {
@@ -29,23 +61,9 @@ class DecisionCrawler {
       publishing_date: ''
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        body: formData
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return data;
+      const decisions = await this.client.postForm(this.baseUrl, { params: JSON.stringify(params) });
+      return Array.isArray(decisions) ? decisions.map(decision => withParsedCodes(withIsoDates(decision, ['PUBLISHING_DATE']), ['CODE'])) : decisions;
     } catch (error) {
       console.error(`Error fetching page ${pageIndex}:`, error.message);
       throw error;
@@ -63,9 +81,10 @@ class DecisionCrawler {
 
   /**
    * Crawl all decisions from all pages
+   * @param {ResultWriter} [writer] - Receives each page as soon as it is fetched
    * @returns {Promise<Array>} All decisions
    */
-  async crawlAll() {
+  async crawlAll(writer = null) {
     console.log('Starting to crawl decisions...');
     
     // Fetch first page to get total count
@@ -79,6 +98,9 @@ class DecisionCrawler {
 
     // Add first page results
     this.allDecisions.push(...firstPage);
+    if (writer) {
+      writer.add(firstPage);
+    }
     
     // Get total records from AMOUNT field
     const totalRecords = parseInt(firstPage[0].AMOUNT);
@@ -97,43 +119,98 @@ class DecisionCrawler {
         
         if (Array.isArray(pageData) && pageData.length > 0) {
           this.allDecisions.push(...pageData);
+          if (writer) {
+            writer.add(pageData);
+          }
         }
-        
-        // Add delay to avoid overwhelming the server
-        await this.delay(1000);
       } catch (error) {
+        // Retries are exhausted at this point; record the gap and move on
         console.error(`Failed to fetch page ${page}:`, error.message);
-        // Continue with next page even if one fails
+        this.failedPages.push(page);
       }
     }
 
     console.log(`\nCrawling completed! Total decisions collected: ${this.allDecisions.length}`);
+    if (this.failedPages.length > 0) {
+      console.warn(`Failed pages (after retries): ${this.failedPages.join(', ')}`);
+    }
     return this.allDecisions;
   }
 
   /**
-   * Delay execution
-   * @param {number} ms - Milliseconds to delay
-   * @returns {Promise}
+   * Fetch only decisions published since the previous run.
+   * The search service returns records newest-first by PUBLISHING_DATE, so we
+   * page forward until a page contains an ID we already have, then merge the
+   * unseen decisions in front of the existing ones.
+   * @param {Array} existingDecisions - Contents of the previous raw_result.json
+   * @returns {Promise<Array>} Newly found decisions
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async crawlIncremental(existingDecisions) {
+    console.log('Starting incremental crawl...');
+    const knownIds = new Set(existingDecisions.map(decision => String(decision.ID)));
+    console.log(`Known decisions: ${knownIds.size}`);
+
+    const newDecisions = [];
+    let totalPages = 1;
+
+    for (let page = 1; page <= totalPages; page++) {
+      console.log(`Fetching page ${page}...`);
+      const pageData = await this.fetchPage(page);
+      this.pagesFetched++;
+
+      if (!Array.isArray(pageData) || pageData.length === 0) {
+        break;
+      }
+
+      if (page === 1) {
+        totalPages = this.calculateTotalPages(parseInt(pageData[0].AMOUNT));
+      }
+
+      // Keep every unseen record on the page; a page may mix new and known IDs
+      const unseen = pageData.filter(decision => !knownIds.has(String(decision.ID)));
+      unseen.forEach(decision => knownIds.add(String(decision.ID)));
+      newDecisions.push(...unseen);
+
+      if (unseen.length < pageData.length) {
+        console.log(`Reached previously crawled decisions on page ${page}`);
+        break;
+      }
+    }
+
+    this.newDecisions = newDecisions;
+    this.allDecisions = [...newDecisions, ...existingDecisions];
+
+    console.log(`\nIncremental crawl completed! New decisions: ${newDecisions.length}, total: ${this.allDecisions.length}`);
+    return newDecisions;
   }
 
   /**
-   * Save results to JSON file
+   * Write a summary of what the incremental run found
    * @param {string} outputPath - Path to save the file
+   * @param {number} previousTotal - Record count before the run
    */
-  saveToFile(outputPath) {
-    const dir = path.dirname(outputPath);
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  saveIncrementalSummary(outputPath, previousTotal) {
+    const summary = {
+      crawled_at: new Date().toISOString(),
+      mode: 'incremental',
+      pages_fetched: this.pagesFetched,
+      previous_total: previousTotal,
+      new_count: this.newDecisions.length,
+      total: this.allDecisions.length,
+      new_decisions: this.newDecisions.map(decision => ({
+        ID: decision.ID,
+        CODE: decision.CODE,
+        CODE_PARTS: decision.CODE_PARTS,
+        NAME: decision.NAME,
+        PUBLISHING_DATE: decision.PUBLISHING_DATE,
+        PUBLISHING_DATE_ISO: decision.PUBLISHING_DATE_ISO,
+        AGENCY_NAME: decision.AGENCY_NAME
+      }))
+    };
 
-    fs.writeFileSync(outputPath, JSON.stringify(this.allDecisions, null, 2), 'utf-8');
-    console.log(`\nResults saved to: ${outputPath}`);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(summary, null, 2), 'utf-8');
+    console.log(`Incremental summary saved to: ${outputPath}`);
   }
 
   /**
@@ -200,31 +277,82 @@ class DecisionCrawler {
   }
 }
 
-// Main execution
-async function main() {
+/**
+ * Main execution
+ * @param {Object} options
+ * @param {boolean} [options.incremental] - Stop at decisions already in raw_result.json
+ * @param {string} [options.outDir] - Output directory (overrides the data root)
+ * @param {string} [options.dataRoot] - Data root holding the thutuc folder
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of raw_result (--incremental reads either)
+ * @param {string} [options.db] - SQLite database also receiving the decisions
+ * @param {boolean} [options.dbOnly] - Keep the list in the database only (--incremental reads it from there)
+ */
+async function main(options = {}) {
   const crawler = new DecisionCrawler();
+  const { incremental = false, dryRun = false, format = 'json', dbOnly = false } = options;
+  const outDir = siteDir('thutuc', options);
+  const rawResultPath = resultPath(outDir, 'raw_result', format);
+
+  if (dryRun) {
+    const mode = incremental && readResult(outDir, 'raw_result', format) ? 'incremental' : 'full';
+    console.log(`[dry-run] Would run a ${mode} crawl into ${dbOnly ? options.db : rawResultPath}`);
+    return;
+  }
+
+  const store = openStore(options);
+  let existing = null;
+  if (incremental && dbOnly) {
+    existing = store.loadRecords('decisions');
+  } else if (incremental) {
+    existing = readResult(outDir, 'raw_result', format);
+  }
+
+  if (existing && existing.length > 0) {
+    // Only fetch what was published since the last run; the new decisions go
+    // in front of the saved ones, so the file is rewritten once at the end
+    await crawler.crawlIncremental(existing);
+    crawler.saveIncrementalSummary(path.join(outDir, 'incremental_summary.json'), existing.length);
+    if (!dbOnly) {
+      writeResult(outDir, 'raw_result', crawler.allDecisions, format);
+    }
+  } else {
+    if (incremental) {
+      console.log('No previously crawled decisions found, running a full crawl.');
+    }
+    // Crawl all decisions (appended page by page with --format ndjson)
+    const writer = dbOnly ? null : new ResultWriter(outDir, 'raw_result', format);
+    await crawler.crawlAll(writer);
+    if (writer) {
+      writer.close();
+    }
+  }
+
+  // Save to the database
+  if (store) {
+    store.saveDecisions(crawler.allDecisions);
+    store.close();
+    console.log(`\nResults saved to: ${options.db}`);
+  }
+  if (!dbOnly) {
+    console.log(`\nResults saved to: ${rawResultPath}`);
+  }
   
-  try {
-    // Crawl all decisions
-    await crawler.crawlAll();
-    
-    // Save to file
-    const resultDir = path.join(__dirname, '..', 'result', 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo');
-    
-    crawler.saveToFile(path.join(resultDir, 'raw_result.json'));
-    
-    // Print statistics
-    crawler.printStats();
-    
-  } catch (error) {
-    console.error('Crawling failed:', error);
-    process.exit(1);
+  // Print statistics
+  crawler.printStats();
+
+  // What was fetched is saved; an --incremental run stops at the first known
+  // ID and would never fill the gap, so fail the run
+  if (crawler.failedPages.length > 0) {
+    throw new Error(`Page(s) ${crawler.failedPages.join(', ')} failed after retries; run a full crawl (without --incremental) to fetch them`);
   }
 }
 
 // Run if executed directly
 if (require.main === module) {
-  main();
+  runCommand(main, COMMAND_SPEC, 'node list_all_decisions.js [options]');
 }
 
 module.exports = DecisionCrawler;
+module.exports.main = main;
+module.exports.COMMAND_SPEC = COMMAND_SPEC;
@@ -1,16 +1,53 @@
 const fs = require('fs');
 const path = require('path');
+const { createClient } = require('../../../../../lib/http_client');
+const CheckpointStore = require('../../../../../lib/checkpoint_store');
+const { runCommand, UsageError } = require('../../../../../lib/cli_args');
+const { siteDir } = require('../../../../../lib/config');
+const { openStore } = require('../../../../../lib/sqlite_store');
+const { ResultWriter, readResult, resultPath } = require('../../../../../lib/result_file');
+const { Manifest } = require('../../../../../lib/manifest');
+const { downloadTracked } = require('../../../../../lib/download_queue');
+const { AttachmentNamer } = require('../../../../../lib/filenames');
+const { withIsoDates } = require('../../../../../lib/dates');
+const { withParsedCodes } = require('../../../../../lib/document_codes');
+
+// Flags accepted by main() (shared with `songgio thutuc details`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'download', 'out', 'data-root', 'resume', 'concurrency', 'dry-run', 'format', 'db', 'db-only'],
+  extra: {
+    test: { type: 'boolean', description: 'Fetch only the decision IDs given as arguments and print the result' }
+  },
+  positionals: true
+};
 
 /**
  * Crawl detailed information for each decision
  */
 class DecisionDetailCrawler {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} [options.resultDir] - Where detailed results and attachments are written
+   */
+  constructor(options = {}) {
+    this.resultDir = options.resultDir || siteDir('thutuc');
     this.baseUrl = 'https://thutuc.dichvucong.gov.vn/jsp/rest.jsp';
     this.recordsPerPage = 50;
     this.agencyMap = new Map();
     this.fieldMap = new Map();
     this.detailedDecisions = [];
+    this.checkpoint = null;
+    this.manifest = null;
+    this.client = createClient('thutuc.dichvucong.gov.vn');
+  }
+
+  /**
+   * Call a rest.jsp service; params are sent JSON-encoded in the `params` form field
+   * @param {Object} params - Service parameters (service, provider, type, ...)
+   * @returns {Promise<any>} Parsed JSON response
+   */
+  async callService(params) {
+    return this.client.postForm(this.baseUrl, { params: JSON.stringify(params) });
   }
 
   /**
@@ -67,17 +104,7 @@ class DecisionDetailCrawler {
       type: 'ref'
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-      },
-      body: formData
-    });
-
-    return await response.json();
+    return this.callService(params);
   }
 
   /**
@@ -90,17 +117,7 @@ class DecisionDetailCrawler {
       type: 'ref'
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-      },
-      body: formData
-    });
-
-    return await response.json();
+    return this.callService(params);
   }
 
   /**
@@ -114,33 +131,23 @@ class DecisionDetailCrawler {
       id: parseInt(decisionId)
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        body: formData
-      });
-
-      return await response.json();
+      return await this.callService(params);
     } catch (error) {
       console.error(`Error fetching fields for decision ${decisionId}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
   /**
    * Fetch HTML page and extract additional details
+   * @throws when the page cannot be fetched
    */
   async fetchDecisionHTMLDetails(decisionId) {
     const url = `https://thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet.html?ma_quyet_dinh=${decisionId}`;
     
     try {
-      const response = await fetch(url);
-      const html = await response.text();
+      const html = await this.client.getText(url);
       
       // Extract attachment information from the HTML
       const attachments = this.extractAttachments(html);
@@ -150,32 +157,24 @@ class DecisionDetailCrawler {
         html_url: url
       };
     } catch (error) {
+      // The decision gets an ERROR and is fetched again by --resume
       console.error(`Error fetching HTML details for decision ${decisionId}:`, error.message);
-      return {
-        attachments: [],
-        html_url: url,
-        error: error.message
-      };
+      throw error;
     }
   }
 
   /**
-   * Download attachment file
+   * Download attachment file to disk, recorded in attachments/manifest.json
+   * @returns {Promise<'downloaded'|'skipped'|'failed'>}
    */
-  async downloadAttachment(attachment, decisionId) {
-    try {
-      const response = await fetch(attachment.download_url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const buffer = await response.arrayBuffer();
-      return Buffer.from(buffer);
-    } catch (error) {
-      console.error(`Error downloading ${attachment.filename}:`, error.message);
-      return null;
+  async downloadAttachment(attachment, filePath) {
+    const { status, detail } = await downloadTracked(this.client, this.manifest, attachment.download_url, filePath, {
+      originalName: attachment.filename
+    });
+    if (status === 'failed') {
+      console.error(`Error downloading ${attachment.filename}:`, detail);
     }
+    return status;
   }
 
   /**
@@ -186,29 +185,29 @@ class DecisionDetailCrawler {
       return;
     }
 
-    const decisionDir = path.join(__dirname, '..', '..', '..', '..', '..', '..', 'result', 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo', 'attachments', decision.ID);
+    if (!this.manifest) {
+      this.manifest = new Manifest(path.join(this.resultDir, 'attachments'));
+    }
+    const decisionDir = path.join(this.resultDir, 'attachments', decision.ID);
     
     if (!fs.existsSync(decisionDir)) {
       fs.mkdirSync(decisionDir, { recursive: true });
     }
 
+    // tenTep is used as published only once made safe and unique (see filenames.js)
+    const namer = new AttachmentNamer(this.manifest, decisionDir);
     for (const attachment of decision.ATTACHMENTS) {
-      const filePath = path.join(decisionDir, attachment.filename);
+      const filePath = namer.path(attachment.filename, attachment.download_url);
+
+      // Complete files (per the manifest) are skipped
+      const status = await this.downloadAttachment(attachment, filePath);
       
-      // Skip if file already exists
-      if (fs.existsSync(filePath)) {
+      if (status === 'skipped') {
         console.log(`    Skipped (exists): ${attachment.filename}`);
         stats.skipped++;
-        continue;
-      }
-
-      const fileBuffer = await this.downloadAttachment(attachment, decision.ID);
-      
-      if (fileBuffer) {
-        fs.writeFileSync(filePath, fileBuffer);
+      } else if (status === 'downloaded') {
         console.log(`    ✓ Downloaded: ${attachment.filename}`);
         stats.downloaded++;
-        await this.delay(100); // Delay between downloads
       } else {
         console.log(`    ✗ Failed: ${attachment.filename}`);
         stats.failed++;
@@ -246,9 +245,11 @@ class DecisionDetailCrawler {
         console.log(`  Attachments: ${decision.ATTACHMENTS.length}`);
         
         await this.downloadDecisionAttachments(decision, stats);
-        await this.delay(100); // Delay between decisions
       }
     }
+    if (this.manifest) {
+      this.manifest.flush();
+    }
 
     console.log('\n=== Download Summary ===');
     console.log(`Total attachments: ${stats.total}`);
@@ -303,21 +304,11 @@ class DecisionDetailCrawler {
       pageIndex: pageIndex
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        body: formData
-      });
-
-      return await response.json();
+      return await this.callService(params);
     } catch (error) {
       console.error(`Error fetching new procedures for decision ${decisionId}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
@@ -334,21 +325,11 @@ class DecisionDetailCrawler {
       pageIndex: pageIndex
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        body: formData
-      });
-
-      return await response.json();
+      return await this.callService(params);
     } catch (error) {
       console.error(`Error fetching modified procedures for decision ${decisionId}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
@@ -365,33 +346,32 @@ class DecisionDetailCrawler {
       pageIndex: pageIndex
     };
 
-    const formData = `params=${encodeURIComponent(JSON.stringify(params))}`;
-
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        body: formData
-      });
-
-      return await response.json();
+      return await this.callService(params);
     } catch (error) {
       console.error(`Error fetching rescinded procedures for decision ${decisionId}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
   /**
    * Fetch all pages of procedures
+   * Pages already recorded in the checkpoint are reused instead of refetched.
    */
   async fetchAllProcedures(decisionId, fetchFunction, procedureType) {
     const allProcedures = [];
     let pageIndex = 1;
     
     while (true) {
-      const procedures = await fetchFunction.call(this, decisionId, pageIndex);
+      let procedures = this.checkpoint ? this.checkpoint.getPage(decisionId, procedureType, pageIndex) : null;
+
+      if (!procedures) {
+        procedures = await fetchFunction.call(this, decisionId, pageIndex);
+
+        if (this.checkpoint && Array.isArray(procedures) && procedures.length > 0) {
+          this.checkpoint.savePage(decisionId, procedureType, pageIndex, procedures);
+        }
+      }
       
       if (!Array.isArray(procedures) || procedures.length === 0) {
         break;
@@ -408,7 +388,6 @@ class DecisionDetailCrawler {
       }
 
       pageIndex++;
-      await this.delay(100); // Delay between pages
     }
 
     return allProcedures;
@@ -444,8 +423,9 @@ class DecisionDetailCrawler {
       });
 
       // Build detailed decision object
+      // Lists saved before PUBLISHING_DATE_ISO and CODE_PARTS existed get them here
       const detailedDecision = {
-        ...decision,
+        ...withParsedCodes(withIsoDates(decision, ['PUBLISHING_DATE']), ['CODE']),
         AGENCY_DETAILS: agencyData,
         DETAIL_URL: `https://thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet.html?ma_quyet_dinh=${decisionId}`,
         FIELDS: matchedFields,
@@ -476,9 +456,19 @@ class DecisionDetailCrawler {
 
   /**
    * Crawl details for all decisions
+   * @param {Array} decisions - Decisions from raw_result.json
+   * @param {Object} options
+   * @param {number} [options.limit] - Max decisions to process
+   * @param {number} [options.startIndex] - Offset into decisions
+   * @param {number} [options.batchSize] - Decisions fetched in parallel
+   * @param {CheckpointStore} [options.checkpoint] - Progress journal; completed
+   *   decisions are skipped and decisions marked ERROR are fetched again
+   * @param {ResultWriter} [options.writer] - Receives the details in input order
+   *   as soon as every decision before them is available
    */
   async crawlAllDetails(decisions, options = {}) {
-    const { limit = null, startIndex = 0, batchSize = 5 } = options;
+    const { limit = null, startIndex = 0, batchSize = 5, checkpoint = null, writer = null } = options;
+    this.checkpoint = checkpoint;
     
     console.log('\n=== Phase 1: Fetching Decision Details ===');
     console.log(`Total decisions to process: ${limit || decisions.length}`);
@@ -494,80 +484,69 @@ class DecisionDetailCrawler {
       ? decisions.slice(startIndex, startIndex + limit)
       : decisions.slice(startIndex);
 
+    // Skip decisions the checkpoint already has
+    const pending = checkpoint
+      ? decisionsToProcess.filter(decision => !checkpoint.isDone(decision.ID))
+      : decisionsToProcess;
+
+    if (checkpoint) {
+      const { errors } = checkpoint.summary();
+      console.log(`Checkpoint: ${decisionsToProcess.length - pending.length} already done, ${pending.length} pending (${errors} previous error(s) will be retried)`);
+    }
+
+    const fetched = new Map();
+    const available = decision => fetched.get(String(decision.ID)) || (checkpoint && checkpoint.getRecord(decision.ID));
+
+    // Hand the writer the run of decisions, in input order, whose details are all in
+    let written = 0;
+    const flush = () => {
+      const start = written;
+      while (written < decisionsToProcess.length && available(decisionsToProcess[written])) {
+        written++;
+      }
+      if (writer && written > start) {
+        writer.add(decisionsToProcess.slice(start, written).map(available));
+      }
+    };
+    flush();
+
     // Process in batches
-    for (let i = 0; i < decisionsToProcess.length; i += batchSize) {
-      const batch = decisionsToProcess.slice(i, i + batchSize);
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
       const batchNumber = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(decisionsToProcess.length / batchSize);
+      const totalBatches = Math.ceil(pending.length / batchSize);
       
       console.log(`\n--- Processing Batch ${batchNumber}/${totalBatches} ---`);
       
-      // Process batch in parallel
+      // Process batch in parallel; every request still waits for a token from
+      // the shared rest.jsp rate limiter, so the batch cannot flood the server
       const batchResults = await Promise.all(
         batch.map(decision => this.fetchDecisionDetails(decision))
       );
 
-      this.detailedDecisions.push(...batchResults);
-
-      console.log(`Batch ${batchNumber} completed. Total processed: ${this.detailedDecisions.length}/${decisionsToProcess.length}`);
+      batchResults.forEach(result => {
+        fetched.set(String(result.ID), result);
 
-      // Save intermediate results
-      if (batchNumber % 10 === 0 || i + batchSize >= decisionsToProcess.length) {
-        this.saveIntermediateResults();
-      }
+        if (checkpoint) {
+          if (result.ERROR) {
+            checkpoint.markError(result.ID, result.ERROR);
+          } else {
+            checkpoint.markDone(result.ID, result);
+          }
+        }
+      });
 
-      // Delay between batches
-      if (i + batchSize < decisionsToProcess.length) {
-        await this.delay(100);
-      }
+      flush();
+      console.log(`Batch ${batchNumber} completed. Total processed: ${Math.min(i + batchSize, pending.length)}/${pending.length}`);
     }
 
+    // Rebuild the result in input order so a resumed run matches an uninterrupted one
+    this.detailedDecisions = decisionsToProcess.map(available);
+
     console.log(`\nDetail crawling completed! Total: ${this.detailedDecisions.length}`);
     return this.detailedDecisions;
   }
 
-  /**
-   * Delay execution
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Save intermediate results
-   */
-  saveIntermediateResults() {
-    const resultDir = path.join(__dirname, '..', '..', '..', '..', '..', '..', 'result', 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo');
-    
-    if (!fs.existsSync(resultDir)) {
-      fs.mkdirSync(resultDir, { recursive: true });
-    }
-
-    const tempPath = path.join(resultDir, 'detailed_decisions_temp.json');
-    fs.writeFileSync(tempPath, JSON.stringify(this.detailedDecisions, null, 2), 'utf-8');
-    console.log(`Intermediate results saved (${this.detailedDecisions.length} decisions)`);
-  }
-
-  /**
-   * Save final results
-   */
-  saveResults(outputPath) {
-    const dir = path.dirname(outputPath);
-    
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
-    fs.writeFileSync(outputPath, JSON.stringify(this.detailedDecisions, null, 2), 'utf-8');
-    console.log(`\nFinal results saved to: ${outputPath}`);
-    
-    // Remove temp file if exists
-    const tempPath = path.join(dir, 'detailed_decisions_temp.json');
-    if (fs.existsSync(tempPath)) {
-      fs.unlinkSync(tempPath);
-    }
-  }
-
   /**
    * Print statistics
    */
@@ -635,103 +614,163 @@ class DecisionDetailCrawler {
   }
 }
 
-// Main execution
-async function main() {
-  const crawler = new DecisionDetailCrawler();
-  
-  try {
-    // Check for command line arguments
-    const args = process.argv.slice(2);
-    let decisions = [];
-    let testMode = false;
-    let downloadMode = false;
-
-    // Parse arguments
-    if (args.includes('--download')) {
-      downloadMode = true;
-      args.splice(args.indexOf('--download'), 1);
+/**
+ * Main execution
+ * @param {Object} options
+ * @param {boolean} [options.test] - Test mode: crawl options.positionals (decision IDs) and print
+ * @param {string[]} [options.positionals] - Decision IDs for test mode
+ * @param {boolean} [options.download] - Download attachments after saving results
+ * @param {boolean} [options.resume] - Continue from the checkpoint journal
+ * @param {number} [options.limit] - Process at most N decisions
+ * @param {number} [options.concurrency] - Decisions fetched in parallel (batch size)
+ * @param {string} [options.outDir] - Directory holding raw_result.json and the outputs
+ * @param {string} [options.dataRoot] - Data root holding the thutuc folder
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of detailed_result (raw_result is read in either)
+ * @param {string} [options.db] - SQLite database also receiving decisions, procedures, agencies and fields
+ * @param {boolean} [options.dbOnly] - Read the decision list from and write the details to the database only
+ */
+async function main(options = {}) {
+  const {
+    test: testMode = false,
+    positionals = [],
+    download: downloadMode = false,
+    resume: resumeMode = false,
+    limit = null,
+    concurrency = null,
+    dryRun = false,
+    format = 'json',
+    dbOnly = false
+  } = options;
+  const resultDir = siteDir('thutuc', options);
+  const crawler = new DecisionDetailCrawler({ resultDir });
+  let decisions = [];
+  let checkpoint = null;
+  const store = testMode ? null : openStore(options);
+
+  if (testMode) {
+    // Test mode: use provided decision IDs
+    const testIds = positionals;
+    
+    if (testIds.length === 0) {
+      throw new UsageError('Please provide decision IDs for testing, e.g. --test 115010 115187 115178');
     }
 
-    if (args.length > 0 && args[0] === '--test') {
-      // Test mode: use provided decision IDs
-      testMode = true;
-      const testIds = args.slice(1);
-      
-      if (testIds.length === 0) {
-        console.error('Error: Please provide decision IDs for testing.');
-        console.log('Usage: node decision_details.js --test 115010 115187 115178');
-        console.log('       node decision_details.js --test 115010 --download');
-        process.exit(1);
-      }
-
-      console.log(`\n=== TEST MODE ===`);
-      console.log(`Testing with ${testIds.length} decision ID(s): ${testIds.join(', ')}`);
-      if (downloadMode) {
-        console.log(`Download mode: ENABLED\n`);
-      }
+    console.log(`\n=== TEST MODE ===`);
+    console.log(`Testing with ${testIds.length} decision ID(s): ${testIds.join(', ')}`);
+    if (downloadMode) {
+      console.log(`Download mode: ENABLED\n`);
+    }
 
-      // Create mock decision objects from IDs
-      decisions = testIds.map(id => ({
-        ID: id,
-        CODE: `TEST-${id}`,
-        NAME: `Test Decision ${id}`,
-        AGENCY_ID: '',
-        AGENCY_NAME: 'Test Agency'
-      }));
+    // Create mock decision objects from IDs
+    decisions = testIds.map(id => ({
+      ID: id,
+      CODE: `TEST-${id}`,
+      NAME: `Test Decision ${id}`,
+      AGENCY_ID: '',
+      AGENCY_NAME: 'Test Agency'
+    }));
+
+  } else {
+    if (positionals.length > 0) {
+      throw new UsageError(`Unexpected argument(s): ${positionals.join(' ')} (decision IDs require --test)`);
+    }
 
+    // Normal mode: load from raw_result (or the database with --db-only)
+    if (dbOnly) {
+      decisions = store.loadRecords('decisions');
+      console.log(`Loaded ${decisions.length} decisions from ${options.db}`);
     } else {
-      // Normal mode: load from raw_result.json
-      const rawResultPath = path.join(__dirname, '..', '..', '..', '..', '..', '..', 'result', 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo', 'raw_result.json');
-      
-      if (!fs.existsSync(rawResultPath)) {
-        console.error('Error: raw_result.json not found. Please run crawl_decisions.js first.');
-        console.log('\nAlternatively, use test mode:');
-        console.log('  node decision_details.js --test 115010 115187');
-        console.log('  node decision_details.js --test 115010 --download');
-        process.exit(1);
+      decisions = readResult(resultDir, 'raw_result', format);
+      if (!decisions) {
+        throw new Error(`raw_result.json not found in ${resultDir}. Run list_all_decisions.js first, or use test mode: --test 115010 115187`);
       }
+      console.log(`Loaded ${decisions.length} decisions from raw_result`);
+    }
+    if (downloadMode) {
+      console.log(`Download mode: ENABLED`);
+    }
 
-      decisions = JSON.parse(fs.readFileSync(rawResultPath, 'utf-8'));
-      console.log(`Loaded ${decisions.length} decisions from raw_result.json`);
-      if (downloadMode) {
-        console.log(`Download mode: ENABLED`);
-      }
+    // Progress journal: --resume picks up where the last run stopped,
+    // otherwise start from a clean slate
+    checkpoint = new CheckpointStore(path.join(resultDir, 'detailed_result.checkpoint.ndjson'));
+    if (resumeMode) {
+      checkpoint.load();
+      const { done, errors } = checkpoint.summary();
+      console.log(`Resuming from checkpoint: ${done} done, ${errors} error(s)`);
+    } else if (!dryRun) {
+      checkpoint.reset();
     }
+  }
 
-    // Phase 1: Crawl details
-    await crawler.crawlAllDetails(decisions, {
-      batchSize: testMode ? 3 : 5  // Smaller batch size for testing
-    });
+  const batchSize = concurrency || (testMode ? 3 : 5);  // Smaller batch size for testing
 
-    // Save results to JSON first
-    if (testMode) {
-      // Test mode: print to console
-      console.log('\n=== TEST RESULTS ===\n');
-      console.log(JSON.stringify(crawler.detailedDecisions, null, 2));
-      console.log('\n=== END TEST RESULTS ===\n');
-    } else {
-      // Normal mode: save to file
-      const outputPath = path.join(__dirname, '..', '..', '..', '..', '..', '..', 'result', 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo', 'detailed_result.json');
-      crawler.saveResults(outputPath);
+  if (dryRun) {
+    const count = limit ? Math.min(limit, decisions.length) : decisions.length;
+    console.log(`[dry-run] Would fetch details for ${count} decision(s), ${batchSize} in parallel`);
+    console.log(`[dry-run] Output: ${testMode ? 'console' : dbOnly ? options.db : resultPath(resultDir, 'detailed_result', format)}`);
+    return;
+  }
+
+  // Phase 1: Crawl details into detailed_result (appended batch by batch with
+  // --format ndjson; the checkpoint keeps the progress of a JSON run)
+  const writer = testMode || dbOnly ? null : new ResultWriter(resultDir, 'detailed_result', format);
+  await crawler.crawlAllDetails(decisions, {
+    limit,
+    batchSize,
+    checkpoint,
+    writer
+  });
+
+  // Save results to JSON first
+  let failed = 0;
+  if (testMode) {
+    // Test mode: print to console
+    console.log('\n=== TEST RESULTS ===\n');
+    console.log(JSON.stringify(crawler.detailedDecisions, null, 2));
+    console.log('\n=== END TEST RESULTS ===\n');
+  } else {
+    // Normal mode: finish the file and save to the database
+    if (writer) {
+      writer.close();
+      console.log(`\nFinal results saved to: ${writer.path}`);
+    }
+    if (store) {
+      store.saveAgencies([...crawler.agencyMap.values()]);
+      store.saveFields([...crawler.fieldMap.values()]);
+      store.saveDecisions(crawler.detailedDecisions);
+      store.close();
+      console.log(`\nFinal results saved to: ${options.db}`);
     }
 
-    // Phase 2: Download attachments (only after JSON is saved)
-    if (downloadMode) {
-      await crawler.downloadAllAttachments();
+    // Keep the checkpoint while any decision still has an ERROR so --resume can retry it
+    failed = crawler.detailedDecisions.filter(decision => decision.ERROR).length;
+    if (failed > 0) {
+      console.log(`${failed} decision(s) failed; run again with --resume to retry them`);
+    } else {
+      checkpoint.reset();
     }
+  }
+
+  // Phase 2: Download attachments (only after JSON is saved)
+  if (downloadMode) {
+    await crawler.downloadAllAttachments();
+  }
 
-    // Print statistics
-    crawler.printStats();
+  // Print statistics
+  crawler.printStats();
 
-  } catch (error) {
-    console.error('Crawling failed:', error);
-    process.exit(1);
+  // The details fetched are saved; still fail the run
+  if (failed > 0) {
+    throw new Error(`${failed} decision(s) failed (saved with ERROR); run again with --resume to retry them`);
   }
 }
 
 // Run if executed directly
 if (require.main === module) {
-  main();
+  runCommand(main, COMMAND_SPEC, 'node decision_details.js [options] [--test ID...]');
 }
 
 module.exports = DecisionDetailCrawler;
+module.exports.main = main;
+module.exports.COMMAND_SPEC = COMMAND_SPEC;
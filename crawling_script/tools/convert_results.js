@@ -0,0 +1,54 @@
+/**
+ * Convert a result file between the JSON-array and NDJSON formats
+ *
+ * Usage:
+ *   node convert_results.js raw_result.ndjson              // Write raw_result.json next to it
+ *   node convert_results.js raw_result.json out.ndjson     // Explicit output path
+ *
+ * The direction follows the input extension. Also available as `songgio tools convert`.
+ */
+
+const fs = require('fs');
+const { runCommand, UsageError } = require('../lib/cli_args');
+const { jsonToNdjson, ndjsonToJson } = require('../lib/ndjson');
+
+// Flags accepted by main() (shared with `songgio tools convert`)
+const COMMAND_SPEC = {
+  flags: [],
+  positionals: true
+};
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.positionals - Input file and optional output file
+ */
+async function main(options = {}) {
+  const [input, output, ...extra] = options.positionals || [];
+
+  if (!input || extra.length > 0) {
+    throw new UsageError('Expected an input file and an optional output file');
+  }
+
+  const match = input.match(/\.(json|ndjson)$/);
+  if (!match) {
+    throw new UsageError(`Cannot tell the format of ${input} (expected .json or .ndjson)`);
+  }
+  if (!fs.existsSync(input)) {
+    throw new Error(`File not found: ${input}`);
+  }
+
+  const toNdjson = match[1] === 'json';
+  const destination = output || input.replace(/\.(json|ndjson)$/, toNdjson ? '.ndjson' : '.json');
+  if (destination === input) {
+    throw new UsageError('Input and output are the same file');
+  }
+
+  const count = toNdjson ? jsonToNdjson(input, destination) : await ndjsonToJson(input, destination);
+  console.log(`Converted ${count} records: ${input} → ${destination}`);
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node convert_results.js <input> [output]');
+}
+
+module.exports = { main, COMMAND_SPEC };
@@ -0,0 +1,249 @@
+/**
+ * Extract the text layer of every downloaded PDF attachment
+ *
+ * Walks the attachments directories of each site, reads each PDF with
+ * lib/pdf_text.js and stores the text:
+ *   - next to the file as `<name>.pdf.txt`
+ *   - in the site's result file, as ATTACHMENT_TEXT on the owning record:
+ *       [{ file, url, original_name, pages, chars, scanned, text, extracted_at }]
+ *   - with --db, in the attachment_texts table (see lib/sqlite_store.js)
+ *
+ * PDFs without a text layer (scans) have `scanned: true`, for a later OCR
+ * pass. A PDF is only read again when it is newer than its .txt file.
+ *
+ * Usage:
+ *   node extract_pdf_text.js                     // Every site under the data root
+ *   node extract_pdf_text.js --site vanban       // One site
+ *   node extract_pdf_text.js --db data.sqlite --db-only
+ *
+ * Also available as `songgio tools pdf-text`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('../lib/cli_args');
+const { siteDir } = require('../lib/config');
+const { Manifest } = require('../lib/manifest');
+const { MIN_CHARS_PER_PAGE, extractPdfText } = require('../lib/pdf_text');
+const { sanitizeFilename } = require('../lib/filenames');
+const { openStore } = require('../lib/sqlite_store');
+const { readResult, resultPath, writeResult } = require('../lib/result_file');
+
+/**
+ * Where each site keeps its records and the attachment folder of a record
+ *   collections  attachments directory (with its manifest) and the result
+ *                file holding the records whose files it has
+ *   folder       attachment folder of a record (as the crawler names it)
+ *   ownerId      ID of the owning record in the database, from its folder
+ */
+const SOURCES = {
+  vanban: {
+    collections: [{ attachments: 'attachments', result: 'detailed_result' }],
+    folder: record => `pageid=${record.PAGE_ID}&docid=${record.DOC_ID}`,
+    ownerId: folder => (/docid=([^&]+)/.exec(folder) || [])[1] || folder
+  },
+  thutuc: {
+    collections: [{ attachments: 'attachments', result: 'detailed_result' }],
+    folder: record => String(record.ID),
+    ownerId: folder => folder
+  },
+  moh: {
+    collections: [{ attachments: 'attachments', result: 'document_raw_result' }],
+    folder: record => `documentId=${record.DOC_ID}`,
+    ownerId: folder => folder.replace(/^documentId=/, '')
+  },
+  mod: {
+    collections: [{ attachments: 'attachments', result: 'detailed_result' }],
+    folder: record => record.UUID || sanitizeFilename(record.SO_KY_HIEU),
+    ownerId: folder => folder
+  },
+  dvc: {
+    // One attachments directory per list, as fetch_tthc_details.js downloads them
+    collections: [
+      { attachments: 'attachments/congdan', result: 'congdan_detailed_result' },
+      { attachments: 'attachments/doanhnghiep', result: 'doanhnghiep_detailed_result' }
+    ],
+    folder: record => sanitizeFilename(record.TTHC_MA),
+    ownerId: folder => folder
+  }
+};
+
+// Flags accepted by main() (shared with `songgio tools pdf-text`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'data-root', 'dry-run', 'format', 'db', 'db-only'],
+  extra: {
+    site: { type: 'string', value: 'SITE', multiple: true, choices: Object.keys(SOURCES), description: 'Only this site (repeatable; default: all)' },
+    force: { type: 'boolean', description: 'Read every PDF again, even when its text is up to date' }
+  }
+};
+
+/**
+ * PDF files below an attachments directory, as manifest keys
+ * (including files downloaded before there was a manifest)
+ */
+function listPdfs(manifest) {
+  const keys = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const filePath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(filePath);
+        continue;
+      }
+      const recorded = manifest.get(filePath);
+      if (/\.pdf$/i.test(entry.name) || (recorded && /pdf/i.test(recorded.content_type || ''))) {
+        keys.push(manifest.key(filePath));
+      }
+    }
+  };
+
+  if (fs.existsSync(manifest.dir)) {
+    walk(manifest.dir);
+  }
+  return keys.sort();
+}
+
+/**
+ * Text of one PDF, read again only when the PDF is newer than its .txt file
+ * @returns {Promise<{entry: Object, extracted: boolean}>} ATTACHMENT_TEXT entry
+ */
+async function textOf(manifest, key, force) {
+  const filePath = path.join(manifest.dir, ...key.split('/'));
+  const textPath = `${filePath}.txt`;
+  const recorded = manifest.get(filePath) || {};
+  const base = { file: key, url: recorded.url || null, original_name: recorded.original_name || null };
+
+  if (!force && fs.existsSync(textPath) && fs.statSync(textPath).mtimeMs >= fs.statSync(filePath).mtimeMs) {
+    const text = fs.readFileSync(textPath, 'utf-8');
+    const pages = text.split('\f').length;
+    const chars = text.replace(/\s/g, '').length;
+    const scanned = chars < MIN_CHARS_PER_PAGE * pages;
+    return { entry: { ...base, pages, chars, scanned, text, extracted_at: fs.statSync(textPath).mtime.toISOString() }, extracted: false };
+  }
+
+  const result = await extractPdfText(filePath);
+  fs.writeFileSync(textPath, result.text);
+  return { entry: { ...base, ...result, extracted_at: new Date().toISOString() }, extracted: true };
+}
+
+/**
+ * Extract the PDFs of one attachments directory of a site
+ * @returns {Promise<Object>} Counts: files, extracted, scanned, failed, records
+ */
+async function extractCollection(site, collection, options, store) {
+  const { limit = null, format = 'json', dbOnly = false, force = false } = options;
+  const source = SOURCES[site];
+  const outDir = siteDir(site, options);
+  const manifest = new Manifest(path.join(outDir, collection.attachments));
+  const stats = { files: 0, extracted: 0, scanned: 0, failed: 0, records: 0 };
+
+  // Files are named from the site's attachments directory, as in documents.ndjson
+  const prefix = path.relative(path.join(outDir, 'attachments'), manifest.dir).split(path.sep).join('/');
+  const fileName = key => (prefix ? `${prefix}/${key}` : key);
+
+  let keys = listPdfs(manifest);
+  if (limit) {
+    keys = keys.slice(0, limit);
+  }
+  console.log(`\n=== ${site}: ${keys.length} PDF(s) in ${manifest.dir} ===`);
+  if (keys.length === 0 || options.dryRun) {
+    return stats;
+  }
+
+  // ATTACHMENT_TEXT entries by attachment folder
+  const byFolder = new Map();
+  for (const key of keys) {
+    const folder = key.split('/')[0];
+    let text;
+    try {
+      const { entry, extracted } = await textOf(manifest, key, force);
+      text = { ...entry, file: fileName(key) };
+      stats.extracted += extracted ? 1 : 0;
+      stats.scanned += entry.scanned ? 1 : 0;
+      console.log(`  ${entry.scanned ? '⚠' : '✓'} ${key}: ${entry.pages} page(s), ${entry.chars} chars${entry.scanned ? ' (scanned, no text layer)' : ''}${extracted ? '' : ' (up to date)'}`);
+    } catch (err) {
+      const recorded = manifest.entries[key] || {};
+      text = { file: fileName(key), url: recorded.url || null, original_name: recorded.original_name || null, error: err.message };
+      stats.failed++;
+      console.log(`  ✗ ${key}: ${err.message}`);
+    }
+    stats.files++;
+
+    if (!byFolder.has(folder)) {
+      byFolder.set(folder, []);
+    }
+    byFolder.get(folder).push(text);
+  }
+
+  if (store) {
+    for (const [folder, texts] of byFolder) {
+      store.saveAttachmentTexts(site, source.ownerId(folder), texts);
+    }
+  }
+
+  if (!dbOnly) {
+    const records = readResult(outDir, collection.result, format);
+    if (!records) {
+      console.log(`  No ${collection.result} in ${outDir}; the text is only kept next to the files`);
+      return stats;
+    }
+
+    // Write back in the format that was read
+    const written = fs.existsSync(resultPath(outDir, collection.result, format)) ? format : format === 'json' ? 'ndjson' : 'json';
+    for (const record of records) {
+      const texts = byFolder.get(source.folder(record));
+      if (texts) {
+        record.ATTACHMENT_TEXT = texts;
+        stats.records++;
+      }
+    }
+    writeResult(outDir, collection.result, records, written);
+    console.log(`  ATTACHMENT_TEXT added to ${stats.records} record(s) of ${resultPath(outDir, collection.result, written)}`);
+  }
+
+  return stats;
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.site] - Sites to process (default: all of SOURCES)
+ * @param {number} [options.limit] - At most N PDFs per attachments directory
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.dryRun] - Only count the PDFs
+ * @param {'json'|'ndjson'} [options.format] - Preferred format of the result files
+ * @param {string} [options.db] - SQLite database receiving the attachment_texts rows
+ * @param {boolean} [options.dbOnly] - Leave the result files untouched
+ * @param {boolean} [options.force] - Ignore the texts extracted before
+ */
+async function main(options = {}) {
+  const sites = options.site && options.site.length > 0 ? options.site : Object.keys(SOURCES);
+  const store = openStore(options);
+  const totals = { files: 0, extracted: 0, scanned: 0, failed: 0 };
+
+  try {
+    for (const site of sites) {
+      for (const collection of SOURCES[site].collections) {
+        const stats = await extractCollection(site, collection, options, store);
+        for (const key of Object.keys(totals)) {
+          totals[key] += stats[key];
+        }
+      }
+    }
+  } finally {
+    if (store) {
+      store.close();
+    }
+  }
+
+  console.log(`\nPDFs: ${totals.files}, read now: ${totals.extracted}, scanned (need OCR): ${totals.scanned}, failed: ${totals.failed}`);
+  if (totals.failed > 0) {
+    // The results keep an error entry for each; exit 1 like the crawlers
+    throw new Error(`${totals.failed} PDF(s) could not be read; see the ✗ lines above`);
+  }
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node extract_pdf_text.js [options]');
+}
+
+module.exports = { main, COMMAND_SPEC };
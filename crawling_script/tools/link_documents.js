@@ -0,0 +1,90 @@
+/**
+ * Find the same legal document on several sites
+ *
+ * Reads the documents.ndjson written by `songgio tools normalize`, links the
+ * documents that share their code, date, agency and summary (see
+ * lib/document_links.js) and writes, next to it:
+ *   document_clusters.ndjson  one line per document, with every place it is
+ *                             published and the attachments of each
+ *   document_links.ndjson     one line per link:
+ *                             { cluster_id, left, right, confidence, evidence }
+ *
+ * Usage:
+ *   node link_documents.js                        // <data root>/documents.ndjson
+ *   node link_documents.js --min-confidence 0.8   // Only the surest links
+ *   node link_documents.js --input /data/documents.ndjson --dry-run
+ *
+ * Also available as `songgio tools link`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand, UsageError } = require('../lib/cli_args');
+const { resolveDataRoot } = require('../lib/config');
+const { MIN_CONFIDENCE, linkDocuments } = require('../lib/document_links');
+const { NdjsonWriter, readNdjson } = require('../lib/ndjson');
+
+// Flags accepted by main() (shared with `songgio tools link`)
+const COMMAND_SPEC = {
+  flags: ['data-root', 'dry-run'],
+  extra: {
+    input: { type: 'string', value: 'FILE', description: 'Documents to link (default: <data root>/documents.ndjson)' },
+    'min-confidence': { type: 'string', value: 'SCORE', description: `Minimum confidence of a link, 0 to 1 (default: ${MIN_CONFIDENCE})` }
+  }
+};
+
+/**
+ * Write records to an NDJSON file
+ */
+function writeNdjson(filePath, records) {
+  const writer = new NdjsonWriter(filePath);
+  writer.writeAll(records);
+  return writer.close();
+}
+
+/**
+ * @param {Object} options
+ * @param {string} [options.input] - documents.ndjson to read (default: in the data root)
+ * @param {string} [options.minConfidence] - Value of --min-confidence
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.dryRun] - Report without writing
+ * @returns {Promise<{clusters: Array<Object>, links: Array<Object>}>}
+ */
+async function main(options = {}) {
+  const minConfidence = options.minConfidence === undefined ? MIN_CONFIDENCE : Number(options.minConfidence);
+  if (options.minConfidence !== undefined && !(/^\d*\.?\d+$/.test(options.minConfidence) && minConfidence <= 1)) {
+    throw new UsageError(`--min-confidence expects a number from 0 to 1, got "${options.minConfidence}"`);
+  }
+
+  const inputPath = options.input ? path.resolve(options.input) : path.join(resolveDataRoot(options), 'documents.ndjson');
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`${inputPath} not found. Run \`songgio tools normalize\` first.`);
+  }
+
+  const documents = readNdjson(inputPath);
+  const { clusters, links } = linkDocuments(documents, { minConfidence });
+
+  const shared = clusters.filter(cluster => cluster.members.length > 1);
+  for (const cluster of shared.slice(0, 20)) {
+    console.log(`  ${cluster.cluster_id} ${cluster.code || '(no code)'}: ${cluster.members.map(member => member.id).join(', ')}`);
+  }
+  if (shared.length > 20) {
+    console.log(`  ... and ${shared.length - 20} more`);
+  }
+
+  const outDir = path.dirname(inputPath);
+  if (!options.dryRun) {
+    writeNdjson(path.join(outDir, 'document_clusters.ndjson'), clusters);
+    writeNdjson(path.join(outDir, 'document_links.ndjson'), links);
+  }
+  const linked = clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+  console.log(`\nDocuments: ${linked} in ${clusters.length} cluster(s), ${shared.length} with more than one record; links: ${links.length}`
+    + (options.dryRun ? ' (dry run, nothing written)' : ` (written to ${outDir})`));
+  return { clusters, links };
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node link_documents.js [options]');
+}
+
+module.exports = { main, COMMAND_SPEC };
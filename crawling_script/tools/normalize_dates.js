@@ -0,0 +1,83 @@
+/**
+ * Add ISO 8601 dates to result files saved before the crawlers wrote them,
+ * and report the dates that cannot be read
+ *
+ * Each date field of the site's result files gets its `<FIELD>_ISO` (see
+ * lib/dates.js). Values that have no ISO date are listed in
+ * `unparseable_dates.json` at the data root:
+ *   [{ site, file, id, field, value }]
+ *
+ * Usage:
+ *   node normalize_dates.js                  // Every site under the data root
+ *   node normalize_dates.js --site vanban    // One site
+ *   node normalize_dates.js --dry-run        // Only report
+ *
+ * Also available as `songgio tools dates`.
+ */
+
+const { runCommand } = require('../lib/cli_args');
+const { toIsoDate } = require('../lib/dates');
+const { backfillResults } = require('../lib/derived_fields');
+
+/**
+ * Result files and date fields of each site
+ *   results  result file names in the site folder
+ *   fields   date fields of a record
+ *   lists    date fields of the entries of a list field
+ *   id       identifier of a record in the report
+ */
+const SOURCES = {
+  vanban: {
+    results: ['raw_result', 'detailed_result'],
+    // DETAIL_*: details saved by older versions of fetch_details.js
+    fields: ['ISSUE_DATE', 'ISSUED_DATE', 'EFFECTIVE_DATE', 'DETAIL_ISSUE_DATE', 'DETAIL_EFFECTIVE_DATE'],
+    id: record => record.DOC_ID
+  },
+  thutuc: {
+    results: ['raw_result', 'detailed_result'],
+    fields: ['PUBLISHING_DATE'],
+    id: record => record.ID
+  },
+  dvc: {
+    results: ['congdan_detailed_result', 'doanhnghiep_detailed_result'],
+    fields: [],
+    lists: { LEGAL_BASIS: ['ISSUED_DATE'] },
+    id: record => record.TTHC_MA
+  },
+  moh: {
+    results: ['document_raw_result'],
+    fields: ['ISSUE_DATE', 'PUBLISH_DATE', 'EFFECTIVE_DATE'],
+    id: record => record.DOC_ID
+  },
+  mod: {
+    results: ['raw_result', 'detailed_result'],
+    fields: ['NGAY_BAN_HANH', 'ISSUE_DATE', 'EFFECTIVE_DATE', 'EXPIRY_DATE'],
+    id: record => record.UUID || record.SO_KY_HIEU
+  }
+};
+
+// Flags accepted by main() (shared with `songgio tools dates`)
+const COMMAND_SPEC = {
+  flags: ['data-root', 'dry-run', 'format'],
+  extra: {
+    site: { type: 'string', value: 'SITE', multiple: true, choices: Object.keys(SOURCES), description: 'Only this site (repeatable; default: all)' }
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.site] - Sites to process (default: all of SOURCES)
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.dryRun] - Report without rewriting the result files
+ * @param {'json'|'ndjson'} [options.format] - Preferred format of the result files
+ * @returns {Promise<Array<Object>>} Report entries
+ */
+async function main(options = {}) {
+  return backfillResults(options, { sources: SOURCES, suffix: 'ISO', derive: toIsoDate, report: 'unparseable_dates.json', problem: 'unreadable dates' });
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node normalize_dates.js [options]');
+}
+
+module.exports = { main, COMMAND_SPEC };
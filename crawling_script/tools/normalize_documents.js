@@ -0,0 +1,169 @@
+/**
+ * Merge the results of every site into one documents.ndjson in the canonical
+ * document format (schema/document.schema.json)
+ *
+ * The raw and detailed results of a site are merged record by record (the
+ * detailed values win), mapped with lib/document_mappers.js and validated
+ * against the schema. Every line carries its `source`, `source_site` and
+ * `source_id`. Records that do not validate are left out and listed.
+ *
+ * Usage:
+ *   node normalize_documents.js                  // Every site under the data root
+ *   node normalize_documents.js --site vanban --site mod
+ *   node normalize_documents.js --output /data/documents.ndjson
+ *   node normalize_documents.js --dry-run        // Only validate
+ *
+ * Also available as `songgio tools normalize`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('../lib/cli_args');
+const { resolveDataRoot, siteDir } = require('../lib/config');
+const { MAPPERS, toDocument } = require('../lib/document_mappers');
+const { validate } = require('../lib/json_schema');
+const { Manifest } = require('../lib/manifest');
+const { NdjsonWriter } = require('../lib/ndjson');
+const { readResult } = require('../lib/result_file');
+
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', 'document.schema.json'), 'utf-8'));
+
+/**
+ * Where each site keeps its records
+ *   results      result files, least detailed first
+ *   attachments  attachment directories (each with its manifest.json)
+ */
+const SOURCES = {
+  vanban: { results: ['raw_result', 'detailed_result'], attachments: ['attachments'] },
+  moh: { results: ['document_raw_result'], attachments: ['attachments'] },
+  mod: { results: ['raw_result', 'detailed_result'], attachments: ['attachments'] },
+  thutuc: { results: ['raw_result', 'detailed_result'], attachments: ['attachments'] },
+  dvc: {
+    // A procedure open to both citizens and businesses is in both lists
+    results: ['congdan_raw_result', 'doanhnghiep_raw_result', 'congdan_detailed_result', 'doanhnghiep_detailed_result'],
+    attachments: ['attachments/congdan', 'attachments/doanhnghiep']
+  }
+};
+
+// Flags accepted by main() (shared with `songgio tools normalize`)
+const COMMAND_SPEC = {
+  flags: ['data-root', 'dry-run', 'format'],
+  extra: {
+    site: { type: 'string', value: 'SITE', multiple: true, choices: Object.keys(SOURCES), description: 'Only this site (repeatable; default: all)' },
+    output: { type: 'string', value: 'FILE', description: 'Output file (default: <data root>/documents.ndjson)' }
+  }
+};
+
+/**
+ * Records of a site's result files, one per document: later files fill in
+ * and override the values of earlier ones
+ * @returns {Array<Object>}
+ */
+function mergedRecords(site, outDir, format) {
+  const byId = new Map();
+  for (const name of SOURCES[site].results) {
+    for (const record of readResult(outDir, name, format) || []) {
+      const id = MAPPERS[site](record).source_id ?? null;
+      const key = id === null ? Symbol('no id') : String(id).trim();
+      const merged = { ...byId.get(key) };
+      for (const [field, value] of Object.entries(record)) {
+        if (value !== null && value !== undefined) {
+          merged[field] = value;
+        }
+      }
+      byId.set(key, merged);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Downloaded files by URL, as paths relative to the site's attachments directory
+ * @returns {Map<string, string>}
+ */
+function downloadedFiles(site, outDir) {
+  const files = new Map();
+  const root = path.join(outDir, 'attachments');
+  for (const dir of SOURCES[site].attachments) {
+    const manifest = new Manifest(path.join(outDir, dir));
+    const prefix = path.relative(root, manifest.dir).split(path.sep).join('/');
+    for (const [key, entry] of Object.entries(manifest.entries)) {
+      if (entry.status === 'done' && entry.url && !files.has(entry.url)) {
+        files.set(entry.url, prefix ? `${prefix}/${key}` : key);
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Canonical documents of one site
+ * @returns {{documents: Array<Object>, invalid: Array<{id: string, errors: string[]}>}}
+ */
+function normalizeSite(site, options) {
+  const outDir = siteDir(site, options);
+  const files = downloadedFiles(site, outDir);
+  const documents = [];
+  const invalid = [];
+
+  for (const record of mergedRecords(site, outDir, options.format || 'json')) {
+    const document = toDocument(site, record, { files });
+    const errors = validate(SCHEMA, document);
+    if (errors.length > 0) {
+      invalid.push({ id: document.id, errors });
+    } else {
+      documents.push(document);
+    }
+  }
+  return { documents, invalid };
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.site] - Sites to merge (default: all of SOURCES)
+ * @param {string} [options.output] - Output file (default: <data root>/documents.ndjson)
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.dryRun] - Map and validate without writing
+ * @param {'json'|'ndjson'} [options.format] - Preferred format of the result files
+ * @returns {Promise<{written: number, invalid: Array<Object>}>}
+ */
+async function main(options = {}) {
+  const sites = options.site && options.site.length > 0 ? options.site : Object.keys(SOURCES);
+  const outputPath = options.output ? path.resolve(options.output) : path.join(resolveDataRoot(options), 'documents.ndjson');
+  const invalid = [];
+  let writer = null;
+  let written = 0;
+
+  if (!options.dryRun) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writer = new NdjsonWriter(outputPath);
+  }
+  // A failure leaves the previous documents.ndjson in place (see ndjson.js)
+  for (const site of sites) {
+    const result = normalizeSite(site, options);
+    if (writer) {
+      writer.writeAll(result.documents);
+    }
+    written += result.documents.length;
+    invalid.push(...result.invalid);
+    console.log(`  ${site}: ${result.documents.length} document(s)${result.invalid.length > 0 ? `, ${result.invalid.length} invalid` : ''}`);
+  }
+  if (writer) {
+    writer.close();
+  }
+
+  for (const entry of invalid.slice(0, 20)) {
+    console.log(`  ⚠ ${entry.id}: ${entry.errors.join('; ')}`);
+  }
+  if (invalid.length > 20) {
+    console.log(`  ... and ${invalid.length - 20} more`);
+  }
+  console.log(`\nDocuments: ${written}${options.dryRun ? ' (dry run, nothing written)' : ` written to ${outputPath}`}; invalid: ${invalid.length}`);
+  return { written, invalid };
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node normalize_documents.js [options]');
+}
+
+module.exports = { main, COMMAND_SPEC };
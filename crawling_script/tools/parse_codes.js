@@ -0,0 +1,83 @@
+/**
+ * Add the parts of every document code (số ký hiệu) to result files saved
+ * before the crawlers wrote them, and report the codes that cannot be read
+ *
+ * Each code field of the site's result files gets its `<FIELD>_PARTS` (see
+ * lib/document_codes.js). Codes that have no parts are listed in
+ * `malformed_codes.json` at the data root:
+ *   [{ site, file, id, field, value }]
+ *
+ * Usage:
+ *   node parse_codes.js                  // Every site under the data root
+ *   node parse_codes.js --site thutuc    // One site
+ *   node parse_codes.js --dry-run        // Only report
+ *
+ * Also available as `songgio tools codes`.
+ */
+
+const { runCommand } = require('../lib/cli_args');
+const { parseDocumentCode } = require('../lib/document_codes');
+const { backfillResults } = require('../lib/derived_fields');
+
+/**
+ * Result files and code fields of each site
+ *   results  result file names in the site folder
+ *   fields   code fields of a record
+ *   lists    code fields of the entries of a list field
+ *   id       identifier of a record in the report
+ */
+const SOURCES = {
+  vanban: {
+    results: ['raw_result', 'detailed_result'],
+    // DETAIL_CODE: details saved by older versions of fetch_details.js
+    fields: ['CODE', 'DETAIL_CODE'],
+    id: record => record.DOC_ID
+  },
+  thutuc: {
+    results: ['raw_result', 'detailed_result'],
+    fields: ['CODE'],
+    id: record => record.ID
+  },
+  dvc: {
+    results: ['congdan_detailed_result', 'doanhnghiep_detailed_result'],
+    fields: ['DECISION_NUMBER'],
+    lists: { LEGAL_BASIS: ['CODE'] },
+    id: record => record.TTHC_MA
+  },
+  moh: {
+    results: ['document_raw_result'],
+    fields: ['CODE'],
+    id: record => record.DOC_ID
+  },
+  mod: {
+    results: ['raw_result', 'detailed_result'],
+    fields: ['SO_KY_HIEU', 'CODE'],
+    id: record => record.UUID || record.SO_KY_HIEU
+  }
+};
+
+// Flags accepted by main() (shared with `songgio tools codes`)
+const COMMAND_SPEC = {
+  flags: ['data-root', 'dry-run', 'format'],
+  extra: {
+    site: { type: 'string', value: 'SITE', multiple: true, choices: Object.keys(SOURCES), description: 'Only this site (repeatable; default: all)' }
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.site] - Sites to process (default: all of SOURCES)
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.dryRun] - Report without rewriting the result files
+ * @param {'json'|'ndjson'} [options.format] - Preferred format of the result files
+ * @returns {Promise<Array<Object>>} Report entries
+ */
+async function main(options = {}) {
+  return backfillResults(options, { sources: SOURCES, suffix: 'PARTS', derive: parseDocumentCode, report: 'malformed_codes.json', problem: 'malformed codes' });
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node parse_codes.js [options]');
+}
+
+module.exports = { main, COMMAND_SPEC };
@@ -0,0 +1,184 @@
+/**
+ * Check downloaded attachments against their manifest.json (see lib/manifest.js)
+ *
+ * Every file recorded as done is re-hashed; files that are missing, whose
+ * size or SHA-256 changed, or whose last download failed are reported and
+ * queued, so the crawler's next --download run fetches them again. With
+ * --repair they are downloaded again right away from the recorded URL.
+ *
+ * Usage:
+ *   node verify_attachments.js                          // Every manifest under the data root
+ *   node verify_attachments.js result/www.mod.gov.vn    // Only manifests under these folders
+ *   node verify_attachments.js --repair                 // ...and download the problem files now
+ *
+ * Exits with 1 while any file is still missing or corrupt. Also available as
+ * `songgio tools verify`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('../lib/cli_args');
+const { resolveDataRoot } = require('../lib/config');
+const { createClient } = require('../lib/http_client');
+const { MANIFEST_FILE, Manifest } = require('../lib/manifest');
+const { DownloadQueue } = require('../lib/download_queue');
+const { SITE_PROFILES } = require('../lib/site_profiles');
+
+// Flags accepted by main() (shared with `songgio tools verify`)
+const COMMAND_SPEC = {
+  flags: ['data-root', 'concurrency', 'dry-run'],
+  positionals: true,
+  extra: {
+    repair: { type: 'boolean', description: 'Download missing and corrupt files again now' }
+  }
+};
+
+/**
+ * Every manifest.json below a folder
+ * @returns {string[]} Paths of the manifests' directories
+ */
+function findManifestDirs(root) {
+  const dirs = [];
+  if (!fs.existsSync(root)) {
+    return dirs;
+  }
+
+  const pending = [root];
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.some(entry => entry.isFile() && entry.name === MANIFEST_FILE)) {
+      // An attachments directory holds no further manifests
+      dirs.push(dir);
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        pending.push(path.join(dir, entry.name));
+      }
+    }
+  }
+  return dirs.sort();
+}
+
+/**
+ * Client for the site serving a URL (the default profile for unknown hosts)
+ */
+function clientFor(url, clients) {
+  const host = new URL(url).host;
+  if (!clients.has(host)) {
+    clients.set(host, createClient(SITE_PROFILES[host] ? host : undefined));
+  }
+  return clients.get(host);
+}
+
+/**
+ * Verify one attachments directory and queue its problem files
+ * @param {Manifest} manifest - Manifest of the directory
+ * @param {boolean} dryRun - Only report
+ * @returns {Promise<Array<{key: string, path: string, entry: Object, problem: string}>>}
+ */
+async function verifyDir(manifest, dryRun) {
+  const problems = await manifest.verify();
+
+  for (const { key, path: filePath, entry, problem } of problems) {
+    const reason = entry.status !== 'done' && entry.error ? ` (${entry.error})` : '';
+    console.log(`  ✗ ${key}: ${problem}${reason}`);
+    if (dryRun || problem === 'queued') {
+      continue;
+    }
+
+    // Start a corrupt file over rather than resuming onto it
+    if (problem === 'corrupt') {
+      fs.rmSync(filePath, { force: true });
+      fs.rmSync(`${filePath}.part`, { force: true });
+    }
+    manifest.queue(filePath, problem === 'failed' ? entry.error : `${problem} on verify`);
+  }
+  manifest.flush();
+
+  return problems;
+}
+
+/**
+ * Download the problem files of one directory again, one queue per site
+ * @returns {Promise<number>} Files still failing
+ */
+async function repairDir(dir, problems, concurrency, clients) {
+  const byHost = new Map();
+  for (const problem of problems) {
+    const host = new URL(problem.entry.url).host;
+    if (!byHost.has(host)) {
+      byHost.set(host, []);
+    }
+    byHost.get(host).push(problem);
+  }
+
+  let failed = 0;
+  for (const hostProblems of byHost.values()) {
+    // Each queue re-reads manifest.json, so the queues run one after another
+    const queue = new DownloadQueue(clientFor(hostProblems[0].entry.url, clients), { dir, concurrency });
+    for (const problem of hostProblems) {
+      queue.add(problem.entry.url, problem.path);
+    }
+    failed += (await queue.run()).failed;
+  }
+  return failed;
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} [options.positionals] - Folders to search for manifests (default: the data root)
+ * @param {string} [options.dataRoot] - Value of --data-root
+ * @param {boolean} [options.repair] - Download the problem files again now
+ * @param {number} [options.concurrency] - Downloads running at once with --repair
+ * @param {boolean} [options.dryRun] - Only report, without touching the manifests or files
+ */
+async function main(options = {}) {
+  const { repair = false, concurrency = 4, dryRun = false } = options;
+  const roots = options.positionals && options.positionals.length > 0
+    ? options.positionals.map(root => path.resolve(root))
+    : [resolveDataRoot(options)];
+
+  const dirs = roots.flatMap(findManifestDirs);
+  if (dirs.length === 0) {
+    console.log(`No ${MANIFEST_FILE} found under ${roots.join(', ')}`);
+    return;
+  }
+
+  const clients = new Map();
+  let checked = 0;
+  let problemCount = 0;
+  let remaining = 0;
+
+  for (const dir of dirs) {
+    console.log(`Verifying ${dir}`);
+    const manifest = new Manifest(dir);
+    checked += Object.keys(manifest.entries).length;
+
+    const problems = await verifyDir(manifest, dryRun);
+    problemCount += problems.length;
+    if (problems.length === 0) {
+      console.log('  ✓ All files match the manifest');
+      continue;
+    }
+
+    if (repair && !dryRun) {
+      remaining += await repairDir(dir, problems, concurrency, clients);
+    } else {
+      remaining += problems.length;
+    }
+  }
+
+  console.log(`\nChecked ${checked} file(s) in ${dirs.length} manifest(s): ${problemCount} missing, corrupt or not downloaded`);
+  if (remaining > 0) {
+    const hint = repair ? '' : dryRun ? ' (dry run, nothing queued)' : '; queued for the next --download run or `songgio tools verify --repair`';
+    throw new Error(`${remaining} file(s) still need downloading${hint}`);
+  }
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node verify_attachments.js [options] [folder...]');
+}
+
+module.exports = { main, COMMAND_SPEC, findManifestDirs };
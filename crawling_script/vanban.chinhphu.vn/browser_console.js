@@ -10,6 +10,9 @@
  * 6. The script will automatically persist across page loads
  * 7. Manually navigate pages OR type vanbanCrawler.autoCrawlPages(10) to auto-crawl
  * 8. Download JSON when done with vanbanCrawler.downloadJSON()
+ *
+ * For unattended runs use list_documents.js (`songgio vanban list`), which
+ * performs the same crawl from Node and writes raw_result.json directly.
  */
 
 (function() {
@@ -0,0 +1,372 @@
+/**
+ * Crawl the document list from vanban.chinhphu.vn without a browser
+ *
+ * Headless port of browser_console.js: the list is an ASP.NET GridView, so
+ * each page is fetched by replaying the WebForms postback the pager links
+ * trigger (__EVENTTARGET = the grid, __EVENTARGUMENT = Page$N) together with
+ * the hidden __VIEWSTATE/__EVENTVALIDATION fields of the previous page.
+ * Rows are mapped to the same fields as parseCurrentPage() and written to
+ * raw_result.json once the crawl ends (or appended to raw_result.ndjson after
+ * every page with --format ndjson), and/or upserted into the --db database
+ * after every page, ready for fetch_details.js.
+ *
+ * Usage:
+ *   node list_documents.js                 // Crawl every page
+ *   node list_documents.js --pages 10      // Stop after 10 pages
+ *   node list_documents.js --limit 200     // Stop after 200 documents
+ *
+ * Also available as `songgio vanban list`.
+ */
+
+const { createClient } = require('../lib/http_client');
+const { runCommand } = require('../lib/cli_args');
+const { siteDir } = require('../lib/config');
+const { openStore } = require('../lib/sqlite_store');
+const { ResultWriter, resultPath } = require('../lib/result_file');
+const { decodeEntities, stripTags } = require('../lib/html');
+const { withIsoDates } = require('../lib/dates');
+const { withParsedCodes } = require('../lib/document_codes');
+
+// Configuration
+const BASE_URL = 'https://vanban.chinhphu.vn';
+const LIST_URL = `${BASE_URL}/`;
+
+// Flags accepted by this script (shared with `songgio vanban list`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'out', 'data-root', 'dry-run', 'format', 'db', 'db-only'],
+  extra: {
+    pages: { type: 'string', value: 'N', integer: true, description: 'Crawl at most N list pages' }
+  }
+};
+
+const client = createClient('vanban.chinhphu.vn');
+
+/**
+ * Inner HTML of the first element carrying a CSS class, or null
+ */
+function findByClass(html, className) {
+  const regex = new RegExp(`<(\\w+)[^>]*class="(?:[^"]*\\s)?${className}(?:\\s[^"]*)?"[^>]*>([\\s\\S]*?)</\\1>`);
+  const match = html.match(regex);
+  return match ? match[2] : null;
+}
+
+/**
+ * Parse one list page into documents (same fields as browser_console.js)
+ * @param {string} html - List page HTML
+ * @param {number} pageNumber - Page the HTML came from (CRAWLED_FROM_PAGE)
+ * @returns {{ documents: Object[], totalDocuments: number }}
+ */
+function parseListPage(html, pageNumber) {
+  const documents = [];
+  let totalDocuments = 0;
+
+  // Extract total count from "1 - 50 | 95775"
+  const pageInfoMatch = html.match(/id="document_page_info"[^>]*>([\s\S]*?)<\/div>/);
+  if (pageInfoMatch) {
+    const match = stripTags(pageInfoMatch[1]).match(/(\d+)\s*-\s*(\d+)\s*\|\s*(\d+)/);
+    if (match) {
+      totalDocuments = parseInt(match[3]);
+    }
+  }
+
+  // Limit the row scan to the result grid
+  const tableStart = html.search(/<table[^>]*class="[^"]*search-result[^"]*"/);
+  if (tableStart === -1) {
+    return { documents, totalDocuments };
+  }
+  const pagerStart = html.indexOf('grid-pager', tableStart);
+  const tableHtml = html.substring(tableStart, pagerStart === -1 ? undefined : pagerStart);
+
+  const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/g;
+  let rowMatch;
+  while ((rowMatch = rowRegex.exec(tableHtml)) !== null) {
+    // Skip header row
+    if (/<th[\s>]/.test(rowMatch[1])) continue;
+
+    const cells = [];
+    const cellRegex = /<td[^>]*>([\s\S]*?)<\/td>/g;
+    let cellMatch;
+    while ((cellMatch = cellRegex.exec(rowMatch[1])) !== null) {
+      cells.push(cellMatch[1]);
+    }
+    if (cells.length < 3) continue;
+
+    // Extract link with pageid and docid
+    const linkMatch = cells[0].match(/href=['"][^'"]*pageid=(\d+)&(?:amp;)?docid=(\d+)/);
+    if (!linkMatch) continue;
+
+    const pageId = linkMatch[1];
+    const docId = linkMatch[2];
+
+    const codeHtml = findByClass(cells[0], 'code');
+    const issueDateHtml = findByClass(cells[0], 'issue-v2');
+    const issuedDateHtml = findByClass(cells[1], 'issued-date');
+    const summaryHtml = findByClass(cells[2], 'substract');
+
+    const issueDate = issueDateHtml !== null ? stripTags(issueDateHtml) : '';
+    const issuedDate = issuedDateHtml !== null ? stripTags(issuedDateHtml) : issueDate;
+
+    // Extract attachments (.bl-doc-file a[download])
+    const attachments = [];
+    const attachmentRegex = /<div[^>]*class="bl-doc-file"[^>]*>\s*<a([^>]*)>([\s\S]*?)<\/a>/g;
+    let attachMatch;
+    while ((attachMatch = attachmentRegex.exec(cells[2])) !== null) {
+      const attributes = attachMatch[1];
+      const hrefMatch = attributes.match(/href=['"]([^'"]*)['"]/);
+      if (!hrefMatch || !/\sdownload\b/.test(attributes)) continue;
+
+      const url = decodeEntities(hrefMatch[1].trim());
+      attachments.push({
+        url,
+        label: stripTags(attachMatch[2]),
+        filename: url.split('/').pop()
+      });
+    }
+
+    const code = codeHtml !== null ? stripTags(codeHtml) : '';
+
+    const document = {
+      PAGE_ID: pageId,
+      DOC_ID: docId,
+      CODE: code,
+      ISSUE_DATE: issueDate,
+      ISSUED_DATE: issuedDate,
+      SUMMARY: summaryHtml !== null ? stripTags(summaryHtml) : '',
+      DETAIL_URL: `${BASE_URL}/?pageid=${pageId}&docid=${docId}`,
+      ATTACHMENTS: attachments,
+      CRAWLED_FROM_PAGE: pageNumber
+    };
+    documents.push(withParsedCodes(withIsoDates(document, ['ISSUE_DATE', 'ISSUED_DATE']), ['CODE']));
+  }
+
+  return { documents, totalDocuments };
+}
+
+/**
+ * Collect the fields a browser would submit with the WebForms form:
+ * hidden and text inputs plus the selected option of each select
+ * (submit buttons are left out so the postback is not taken for a search)
+ * @param {string} html - Page HTML
+ * @returns {Object} Field name/value pairs
+ */
+function extractFormFields(html) {
+  const fields = {};
+
+  const inputRegex = /<input\b([^>]*)>/gi;
+  let inputMatch;
+  while ((inputMatch = inputRegex.exec(html)) !== null) {
+    const attributes = inputMatch[1];
+    const name = attributes.match(/\bname="([^"]*)"/);
+    const type = attributes.match(/\btype="([^"]*)"/);
+    const value = attributes.match(/\bvalue="([^"]*)"/);
+
+    if (!name || (type && !/^(hidden|text)$/i.test(type[1]))) continue;
+    fields[decodeEntities(name[1])] = value ? decodeEntities(value[1]) : '';
+  }
+
+  const selectRegex = /<select\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/select>/gi;
+  let selectMatch;
+  while ((selectMatch = selectRegex.exec(html)) !== null) {
+    const selected = selectMatch[2].match(/<option[^>]*selected="selected"[^>]*value="([^"]*)"/) ||
+                     selectMatch[2].match(/<option[^>]*value="([^"]*)"/);
+    if (selected) {
+      fields[decodeEntities(selectMatch[1])] = decodeEntities(selected[1]);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Find the pager postback for a page number
+ * @returns {{ target: string, argument: string }|null}
+ */
+function findPagerPostback(html, pageNumber) {
+  const regex = /__doPostBack\((?:&#39;|')([^'&]+)(?:&#39;|'),(?:&#39;|')Page\$(\d+)(?:&#39;|')\)/g;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    if (parseInt(match[2]) === pageNumber) {
+      return { target: match[1], argument: `Page$${pageNumber}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Holds the WebForms state (hidden fields and session cookies) between pages
+ */
+class ListSession {
+  constructor() {
+    this.cookies = new Map();
+    this.html = null;
+  }
+
+  /**
+   * Remember cookies set by a response
+   */
+  storeCookies(headers) {
+    for (const cookie of [].concat(headers['set-cookie'] || [])) {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        this.cookies.set(pair.substring(0, index).trim(), pair.substring(index + 1).trim());
+      }
+    }
+  }
+
+  cookieHeader() {
+    return [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  /**
+   * Load the first list page
+   */
+  async open() {
+    const res = await client.request(LIST_URL);
+    this.storeCookies(res.headers);
+    this.html = res.body.toString('utf8');
+    return this.html;
+  }
+
+  /**
+   * Post back to the grid pager, as clicking the "Page$N" link does
+   * @param {number} pageNumber - Page to load
+   * @returns {Promise<string|null>} Page HTML, or null when the pager has no such link
+   */
+  async goToPage(pageNumber) {
+    const postback = findPagerPostback(this.html, pageNumber);
+    if (!postback) {
+      return null;
+    }
+
+    const form = {
+      ...extractFormFields(this.html),
+      __EVENTTARGET: postback.target,
+      __EVENTARGUMENT: postback.argument
+    };
+
+    const res = await client.request(LIST_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Origin': BASE_URL,
+        'Referer': LIST_URL,
+        ...(this.cookies.size > 0 ? { 'Cookie': this.cookieHeader() } : {})
+      },
+      body: new URLSearchParams(form).toString()
+    });
+
+    this.storeCookies(res.headers);
+    this.html = res.body.toString('utf8');
+    return this.html;
+  }
+}
+
+/**
+ * Main function
+ * @param {Object} options
+ * @param {number} [options.pages] - Crawl at most N list pages
+ * @param {number} [options.limit] - Stop after N documents
+ * @param {string} [options.outDir] - Directory receiving raw_result.json
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of raw_result
+ * @param {string} [options.db] - SQLite database also receiving the documents
+ * @param {boolean} [options.dbOnly] - Write only to the database, not raw_result.json
+ */
+async function main(options = {}) {
+  const { pages: maxPages = null, limit = null, dryRun = false, format = 'json', dbOnly = false } = options;
+  const outDir = siteDir('vanban', options);
+  const rawResultPath = resultPath(outDir, 'raw_result', format);
+
+  if (dryRun) {
+    console.log(`[dry-run] Would crawl ${maxPages ? `${maxPages} page(s)` : 'every page'} of ${LIST_URL} into ${rawResultPath}`);
+    return;
+  }
+
+  const store = openStore(options);
+  const writer = dbOnly ? null : new ResultWriter(outDir, 'raw_result', format);
+  const session = new ListSession();
+  const allDocuments = [];
+  const seen = new Set();
+  let totalDocuments = 0;
+  let pageNumber = 1;
+  let html;
+  let finished = false;
+
+  // The pages fetched are saved even when a later one fails; a run failing
+  // before its first page leaves the file of the run before alone
+  try {
+    html = await session.open();
+
+    while (html) {
+      const page = parseListPage(html, pageNumber);
+      totalDocuments = page.totalDocuments || totalDocuments;
+
+      // Skip documents already collected (the list can shift while crawling)
+      const newDocuments = page.documents
+        .filter(doc => !seen.has(`${doc.PAGE_ID}/${doc.DOC_ID}`))
+        .slice(0, limit ? limit - allDocuments.length : undefined);
+      newDocuments.forEach(doc => seen.add(`${doc.PAGE_ID}/${doc.DOC_ID}`));
+      allDocuments.push(...newDocuments);
+
+      // Save progress after each page
+      if (store) {
+        store.saveDocuments('vanban', newDocuments);
+      }
+      if (writer) {
+        writer.add(newDocuments);
+      }
+      console.log(`✓ Page ${pageNumber}: ${newDocuments.length} new documents (Total: ${allDocuments.length}/${totalDocuments})`);
+
+      if (page.documents.length === 0) {
+        console.log('Empty page, stopping');
+        break;
+      }
+      if (limit && allDocuments.length >= limit) {
+        console.log(`Reached limit of ${limit} documents`);
+        break;
+      }
+      if (maxPages && pageNumber >= maxPages) {
+        console.log(`Reached max pages: ${maxPages}`);
+        break;
+      }
+
+      html = await session.goToPage(pageNumber + 1);
+      if (!html) {
+        console.log('No more pages. Crawl completed!');
+        break;
+      }
+      pageNumber++;
+    }
+    finished = true;
+  } finally {
+    if (writer && (finished || writer.count > 0)) {
+      writer.close();
+    }
+    if (store) {
+      store.close();
+    }
+  }
+
+  const docsWithAttachments = allDocuments.filter(doc => doc.ATTACHMENTS.length > 0).length;
+
+  console.log('\n========== SUMMARY ==========');
+  console.log(`Pages crawled: ${pageNumber}`);
+  console.log(`Total documents crawled: ${allDocuments.length}`);
+  console.log(`Total documents on website: ${totalDocuments}`);
+  console.log(`Documents with attachments: ${docsWithAttachments}`);
+  console.log(`Output: ${dbOnly ? options.db : rawResultPath}`);
+  console.log('=============================\n');
+}
+
+// Run if executed directly
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node list_documents.js [options]');
+}
+
+module.exports = {
+  COMMAND_SPEC,
+  extractFormFields,
+  main,
+  parseListPage
+};
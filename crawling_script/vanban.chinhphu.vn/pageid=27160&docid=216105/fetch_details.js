@@ -1,85 +1,42 @@
 /**
  * Fetch detailed document information from vanban.chinhphu.vn
  * Reads from raw_result.json and creates detailed_result.json
+ * (with --db-only, both live in the --db database instead)
  * 
  * Usage:
  *   node fetch_details.js                    // Fetch details only
  *   node fetch_details.js --download         // Fetch details and download attachments
  *   node fetch_details.js --limit 10         // Process only first 10 documents
  *   node fetch_details.js --download --limit 10
+ *   node fetch_details.js --out /data/vanban    // Read and write in another directory
+ *   node fetch_details.js --data-root /data     // Use /data/vanban.chinhphu.vn
+ *
+ * Downloads are recorded in attachments/manifest.json (see lib/manifest.js).
+ *
+ * Also available as `songgio vanban details`.
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { createClient } = require('../../lib/http_client');
+const { runCommand } = require('../../lib/cli_args');
+const { siteDir } = require('../../lib/config');
+const { openStore } = require('../../lib/sqlite_store');
+const { readResult, resultPath, writeResult } = require('../../lib/result_file');
+const { Manifest } = require('../../lib/manifest');
+const { downloadTracked } = require('../../lib/download_queue');
+const { AttachmentNamer, urlFilename } = require('../../lib/filenames');
+const { withIsoDates } = require('../../lib/dates');
+const { withParsedCodes } = require('../../lib/document_codes');
 
-// Configuration
-const RAW_RESULT_PATH = path.join(__dirname, '../../../result/vanban.chinhphu.vn/raw_result.json');
-const DETAILED_RESULT_PATH = path.join(__dirname, '../../../result/vanban.chinhphu.vn/detailed_result.json');
-const DOWNLOAD_BASE_DIR = path.join(__dirname, '../../../result/vanban.chinhphu.vn/attachments');
-const DELAY_MS = 100; // Delay between requests to avoid overwhelming the server
+// Flags accepted by this script (shared with `songgio vanban details`)
+const COMMAND_SPEC = {
+  flags: ['limit', 'download', 'out', 'data-root', 'dry-run', 'format', 'db', 'db-only']
+};
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const shouldDownload = args.includes('--download');
-const limitIndex = args.indexOf('--limit');
-const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) : null;
-
-/**
- * Fetch HTML content from URL
- */
-async function fetchHTML(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${url}`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
-  });
-}
-
-/**
- * Download file from URL to destination
- */
-async function downloadFile(url, destPath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(destPath);
-    
-    https.get(url, (response) => {
-      if (response.statusCode === 200) {
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve();
-        });
-      } else {
-        fs.unlink(destPath, () => {}); // Delete the file if download failed
-        reject(new Error(`HTTP ${response.statusCode}: ${url}`));
-      }
-    }).on('error', (err) => {
-      fs.unlink(destPath, () => {}); // Delete the file on error
-      reject(err);
-    });
-    
-    file.on('error', (err) => {
-      file.close();
-      fs.unlink(destPath, () => {}); // Delete the file on error
-      reject(err);
-    });
-  });
-}
+// Shared HTTP client (timeouts, redirects, gzip, streaming downloads).
+// Retries and request pacing are handled by the client's rate limiter.
+const client = createClient('vanban.chinhphu.vn');
 
 /**
  * Parse detailed information from HTML
@@ -89,9 +46,9 @@ async function downloadFile(url, destPath) {
  * - Attachments in: div.rp-file with links
  * 
  * Fields extracted (without DETAIL_ prefix):
- * - Số ký hiệu (CODE)
- * - Ngày ban hành (ISSUE_DATE)
- * - Ngày có hiệu lực (EFFECTIVE_DATE)
+ * - Số ký hiệu (CODE, with its parts in CODE_PARTS)
+ * - Ngày ban hành (ISSUE_DATE, with ISSUE_DATE_ISO)
+ * - Ngày có hiệu lực (EFFECTIVE_DATE, with EFFECTIVE_DATE_ISO)
  * - Loại văn bản (DOCUMENT_TYPE)
  * - Cơ quan ban hành (ISSUING_AGENCY)
  * - Người ký (SIGNER)
@@ -163,7 +120,7 @@ function parseDetailHTML(html, pageId, docId) {
   while ((attachMatch = attachmentRegex.exec(html)) !== null) {
     const url = attachMatch[1].trim();
     const label = attachMatch[2].replace(/<[^>]*>/g, '').trim();
-    const filename = url.split('/').pop() || label;
+    const filename = urlFilename(url) || label;
     
     attachments.push({
       url: url.startsWith('http') ? url : `https://datafiles.chinhphu.vn${url}`,
@@ -173,37 +130,60 @@ function parseDetailHTML(html, pageId, docId) {
   }
   detail.ATTACHMENTS = attachments;
 
-  return detail;
-}
-
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return withParsedCodes(withIsoDates(detail, ['ISSUE_DATE', 'EFFECTIVE_DATE']), ['CODE']);
 }
 
 /**
  * Main function
+ * @param {Object} options
+ * @param {number} [options.limit] - Process only the first N documents
+ * @param {boolean} [options.download] - Download attachments after saving details
+ * @param {string} [options.outDir] - Directory holding raw_result.json and the outputs
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of detailed_result (raw_result is read in either)
+ * @param {string} [options.db] - SQLite database also receiving the details
+ * @param {boolean} [options.dbOnly] - Read the list from and write the details to the database only
  */
-async function main() {
-  console.log('Reading raw_result.json...');
-  
+async function main(options = {}) {
+  const { limit = null, download: shouldDownload = false, dryRun = false, format = 'json', dbOnly = false } = options;
+  const outDir = siteDir('vanban', options);
+  const detailedResultPath = resultPath(outDir, 'detailed_result', format);
+  const downloadBaseDir = path.join(outDir, 'attachments');
+
+  const store = openStore(options);
+
   // Read raw results
   let rawResults;
-  try {
-    const rawData = fs.readFileSync(RAW_RESULT_PATH, 'utf8');
-    rawResults = JSON.parse(rawData);
-  } catch (err) {
-    console.error(`Error reading ${RAW_RESULT_PATH}:`, err.message);
-    process.exit(1);
+  if (dbOnly) {
+    console.log(`Reading documents from ${options.db}...`);
+    rawResults = store.loadRecords('documents', { source: 'vanban' });
+  } else {
+    console.log('Reading raw_result...');
+    try {
+      rawResults = readResult(outDir, 'raw_result', format);
+    } catch (err) {
+      throw new Error(`Error reading raw_result in ${outDir}: ${err.message}`);
+    }
+    if (!rawResults) {
+      throw new Error(`No raw_result.json or raw_result.ndjson in ${outDir}. Run list_documents.js first.`);
+    }
   }
 
-  console.log(`Found ${rawResults.length} documents in raw_result.json`);
+  console.log(`Found ${rawResults.length} documents`);
   
   // Apply limit if specified
   const documentsToProcess = limit ? rawResults.slice(0, limit) : rawResults;
   console.log(`Processing ${documentsToProcess.length} documents...`);
+
+  if (dryRun) {
+    console.log(`[dry-run] Would fetch ${documentsToProcess.length} detail pages`);
+    console.log(`[dry-run] Output: ${dbOnly ? options.db : detailedResultPath}`);
+    if (shouldDownload) {
+      console.log(`[dry-run] Attachments: ${downloadBaseDir}`);
+    }
+    return;
+  }
+
   if (shouldDownload) {
     console.log('Download mode: ON - attachments will be downloaded');
   } else {
@@ -226,7 +206,7 @@ async function main() {
     
     try {
       // Fetch HTML
-      const html = await fetchHTML(url);
+      const html = await client.getText(url);
       
       // Parse details - now returns complete object with PAGE_ID, DOC_ID, DETAIL_URL
       const detailData = parseDetailHTML(html, PAGE_ID, DOC_ID);
@@ -238,11 +218,6 @@ async function main() {
       
       successCount++;
       
-      // Delay between requests
-      if (i < documentsToProcess.length - 1) {
-        await sleep(DELAY_MS);
-      }
-      
     } catch (err) {
       console.log(`  ✗ Failed: ${err.message}`);
       failCount++;
@@ -259,17 +234,19 @@ async function main() {
 
   // Save detailed results
   console.log(`\n\n=== Saving Results ===`);
-  console.log(`Saving detailed results to ${DETAILED_RESULT_PATH}...`);
-  try {
-    const resultDir = path.dirname(DETAILED_RESULT_PATH);
-    if (!fs.existsSync(resultDir)) {
-      fs.mkdirSync(resultDir, { recursive: true });
+  if (store) {
+    store.saveDocuments('vanban', detailedResults);
+    store.close();
+    console.log(`✓ Detailed results saved to ${options.db}`);
+  }
+  if (!dbOnly) {
+    console.log(`Saving detailed results to ${detailedResultPath}...`);
+    try {
+      writeResult(outDir, 'detailed_result', detailedResults, format);
+      console.log('✓ Detailed results saved successfully!');
+    } catch (err) {
+      throw new Error(`✗ Error saving detailed results: ${err.message}`);
     }
-    fs.writeFileSync(DETAILED_RESULT_PATH, JSON.stringify(detailedResults, null, 2), 'utf8');
-    console.log('✓ Detailed results saved successfully!');
-  } catch (err) {
-    console.error('✗ Error saving detailed results:', err.message);
-    process.exit(1);
   }
 
   // Phase 2: Download attachments (only if enabled and after JSON is saved)
@@ -278,7 +255,9 @@ async function main() {
     
     let totalAttachments = 0;
     let downloadedCount = 0;
+    let skippedCount = 0;
     let failedCount = 0;
+    const manifest = new Manifest(downloadBaseDir);
 
     for (let i = 0; i < detailedResults.length; i++) {
       const doc = detailedResults[i];
@@ -293,7 +272,7 @@ async function main() {
       console.log(`\n[${i + 1}/${detailedResults.length}] Document: pageid=${PAGE_ID}&docid=${DOC_ID}`);
       console.log(`  Attachments: ${ATTACHMENTS.length}`);
       
-      const docDir = path.join(DOWNLOAD_BASE_DIR, `pageid=${PAGE_ID}&docid=${DOC_ID}`);
+      const docDir = path.join(downloadBaseDir, `pageid=${PAGE_ID}&docid=${DOC_ID}`);
       
       // Create directory if it doesn't exist
       if (!fs.existsSync(docDir)) {
@@ -301,29 +280,32 @@ async function main() {
       }
       
       // Download each attachment
+      const namer = new AttachmentNamer(manifest, docDir);
       for (const attachment of ATTACHMENTS) {
-        const destPath = path.join(docDir, attachment.filename);
+        const destPath = namer.path(attachment.filename, attachment.url);
         
-        try {
-          console.log(`    Downloading: ${attachment.filename}...`);
-          await downloadFile(attachment.url, destPath);
-          console.log(`    ✓ Saved: ${destPath}`);
+        console.log(`    Downloading: ${attachment.filename}...`);
+        const { status, detail, path: savedPath } = await downloadTracked(client, manifest, attachment.url, destPath, { originalName: attachment.filename });
+        if (status === 'downloaded') {
+          console.log(`    ✓ Saved: ${savedPath} ${detail}`);
           downloadedCount++;
-        } catch (err) {
-          console.log(`    ✗ Failed: ${err.message}`);
+        } else if (status === 'skipped') {
+          console.log(`    ↷ Skipped: ${savedPath} ${detail}`);
+          skippedCount++;
+        } else {
+          console.log(`    ✗ Failed: ${detail}`);
           failedCount++;
         }
-        
-        // Small delay between downloads
-        await sleep(100);
       }
     }
+    manifest.flush();
 
     console.log(`\n=== Download Summary ===`);
     console.log(`Total attachments: ${totalAttachments}`);
     console.log(`Downloaded: ${downloadedCount}`);
+    console.log(`Skipped: ${skippedCount}`);
     console.log(`Failed: ${failedCount}`);
-    console.log(`Download directory: ${DOWNLOAD_BASE_DIR}`);
+    console.log(`Download directory: ${downloadBaseDir}`);
   }
 
   // Summary
@@ -331,15 +313,20 @@ async function main() {
   console.log(`Total processed: ${documentsToProcess.length}`);
   console.log(`Success: ${successCount}`);
   console.log(`Failed: ${failCount}`);
-  console.log(`Output: ${DETAILED_RESULT_PATH}`);
+  console.log(`Output: ${dbOnly ? options.db : detailedResultPath}`);
   if (shouldDownload) {
-    console.log(`Attachments: ${DOWNLOAD_BASE_DIR}`);
+    console.log(`Attachments: ${downloadBaseDir}`);
   }
   console.log('===================================\n');
 }
 
-// Run main function
-main().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+// Run if executed directly
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node fetch_details.js [options]');
+}
+
+module.exports = {
+  COMMAND_SPEC,
+  main,
+  parseDetailHTML
+};
@@ -1,14 +1,69 @@
+/**
+ * Scrape the legal document lists of www.mod.gov.vn
+ *
+ * Starts from www.mod.gov.vn/home/cdcs and follows every category of the
+ * legal document tree (wcm path .../sa-qlcddh-vbpl-htvb/<category>/...) found
+ * in the rows and links of the pages it crawls. Each row is tagged with the
+ * category path of its document; raw_result.json holds every row and
+ * categories/<path>/raw_result.json the rows of one category.
+ *
+ * Usage:
+ *   node vanban_huongdan.js              // Save raw_result.json, categories.json and pages.json
+ *   node vanban_huongdan.js --category sa-qlcddh-csqn   // Only this category and its sub-categories
+ *   node vanban_huongdan.js --max-pages 200             // Crawl up to 200 pages per listing (default 50)
+ *   node vanban_huongdan.js --profile server            // Headless, no images/fonts/CSS, no scrolling, short pauses
+ *   node vanban_huongdan.js --headless --delay 0        // Default profile without a display and without pauses
+ *   node vanban_huongdan.js --out DIR    // Write into another directory
+ *   node vanban_huongdan.js --db mod.sqlite --db-only   // Upsert into SQLite instead of raw_result.json
+ *   node vanban_huongdan.js --format ndjson              // Append to raw_result.ndjson page by page
+ *
+ * Also available as `songgio mod list`.
+ */
+
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { runCommand, UsageError } = require('../../../lib/cli_args');
+const { rewriteUrl, siteDir } = require('../../../lib/config');
+const { decodeEntities, stripTags } = require('../../../lib/html');
+const { withIsoDates } = require('../../../lib/dates');
+const { withParsedCodes } = require('../../../lib/document_codes');
+const { openStore } = require('../../../lib/sqlite_store');
+const { ResultWriter, resultPath } = require('../../../lib/result_file');
 
+const SITE_URL = 'https://www.mod.gov.vn';
 const BASE_URL = 'https://www.mod.gov.vn/home/cdcs';
-const OUTPUT_DIR = path.join(__dirname, '../../../../result/www.mod.gov.vn/home/cdcs');
 
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+// WCM folder of the legal documents; its sub-folders are the categories
+const LEGAL_ROOT = 'Mod/sa-mod-site/sa-qlcddh/sa-qlcddh-vbpl/sa-qlcddh-vbpl-htvb';
+
+const DEFAULT_MAX_PAGES = 50;
+
+/**
+ * How the browser behaves. `delay` is the pause (ms, random in [min, max])
+ * before moving to the next page; the shorter waits around it scale with it.
+ */
+const PROFILES = {
+    // Visible browser that scrolls and pauses like a person reading
+    human: { headless: false, blockResources: false, scroll: true, delay: [1500, 4000] },
+    // For servers without a display: headless, page assets blocked, short pauses
+    server: { headless: true, blockResources: true, scroll: false, delay: [300, 800] }
+};
+
+// Resource types not needed to read the document table
+const BLOCKED_RESOURCES = new Set(['image', 'font', 'stylesheet', 'media']);
+
+// Flags accepted by scrapeAllPages() (shared with `songgio mod list`)
+const COMMAND_SPEC = {
+    flags: ['out', 'data-root', 'dry-run', 'format', 'db', 'db-only'],
+    extra: {
+        'max-pages': { type: 'string', value: 'N', integer: true, description: `Crawl at most N pages of each listing (default ${DEFAULT_MAX_PAGES})` },
+        category: { type: 'string', value: 'PATH', multiple: true, description: 'Only crawl this category and its sub-categories, e.g. sa-qlcddh-csqn (repeatable)' },
+        profile: { type: 'string', value: 'NAME', choices: Object.keys(PROFILES), description: 'Browser profile: human (visible, scrolling, default) or server (headless, no images/fonts/CSS)' },
+        headless: { type: 'boolean', description: 'Run the browser headless whatever the profile' },
+        delay: { type: 'string', value: 'MS[-MS]', description: 'Pause before each next page, fixed or a random range (overrides the profile)' }
+    }
+};
 
 async function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -18,6 +73,49 @@ function randomDelay(min = 2000, max = 5000) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Run profile from the options: --profile, then the --headless and --delay overrides
+ * @returns {{ name: string, headless: boolean, blockResources: boolean, scroll: boolean, delay: number[] }}
+ */
+function resolveProfile(options = {}) {
+    const name = options.profile || 'human';
+    const profile = { name, ...PROFILES[name] };
+
+    if (options.headless) {
+        profile.headless = true;
+    }
+    if (options.delay !== undefined) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(options.delay);
+        if (!match || (match[2] !== undefined && parseInt(match[2]) < parseInt(match[1]))) {
+            throw new UsageError(`--delay expects MS or MIN-MAX milliseconds, got "${options.delay}"`);
+        }
+        profile.delay = [parseInt(match[1]), parseInt(match[2] === undefined ? match[1] : match[2])];
+    }
+    return profile;
+}
+
+/**
+ * One-line summary of a profile for the logs
+ */
+function describeProfile(profile) {
+    return [
+        profile.name,
+        profile.headless ? 'headless' : 'visible browser',
+        profile.blockResources ? 'no images/fonts/CSS' : 'all resources',
+        profile.scroll ? 'scrolling' : 'no scrolling',
+        `${profile.delay[0]}-${profile.delay[1]}ms between pages`
+    ].join(', ');
+}
+
+/**
+ * Wait a random share of the profile delay
+ * @param {number} [scale] - Fraction of the delay range, 1 for the full pause between pages
+ */
+async function pause(profile, scale = 1) {
+    const [min, max] = profile.delay;
+    await sleep(randomDelay(Math.round(min * scale), Math.round(max * scale)));
+}
+
 async function humanLikeScroll(page) {
     // Scroll down in chunks to simulate human reading
     await page.evaluate(async () => {
@@ -50,36 +148,130 @@ async function humanLikeScroll(page) {
     await sleep(randomDelay(300, 800));
 }
 
+/**
+ * Parse the document table (table.table-bordered tr.bgTable) from page HTML
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} One row per document
+ */
+function parseTableData(html) {
+    const rows = [];
+
+    const tableMatch = html.match(/<table[^>]*class="[^"]*\btable-bordered\b[^"]*"[^>]*>([\s\S]*?)<\/table>/);
+    if (!tableMatch) {
+        return rows;
+    }
+
+    const rowRegex = /<tr[^>]*class="[^"]*\bbgTable\b[^"]*"[^>]*>([\s\S]*?)<\/tr>/g;
+    let rowMatch;
+    while ((rowMatch = rowRegex.exec(tableMatch[1])) !== null) {
+        const cells = [];
+        const cellRegex = /<td[^>]*>([\s\S]*?)<\/td>/g;
+        let cellMatch;
+        while ((cellMatch = cellRegex.exec(rowMatch[1])) !== null) {
+            cells.push(cellMatch[1]);
+        }
+
+        if (cells.length >= 4) {
+            const stt = stripTags(cells[0], { collapse: true });
+            const soKyHieu = stripTags(cells[1], { collapse: true });
+            const ngayBanHanh = stripTags(cells[2], { collapse: true });
+            const trichYeu = stripTags(cells[3], { collapse: true });
+
+            // Extract URL from the link
+            const linkMatch = cells[1].match(/<a[^>]*\bhref="([^"]*)"/);
+            const detailUrl = linkMatch ? decodeEntities(linkMatch[1]) : '';
+
+            const row = {
+                STT: stt,
+                SO_KY_HIEU: soKyHieu,
+                NGAY_BAN_HANH: ngayBanHanh,
+                TRICH_YEU: trichYeu,
+                DETAIL_URL: detailUrl,
+                FULL_URL: detailUrl ? (detailUrl.startsWith('http') ? detailUrl : `https://www.mod.gov.vn${detailUrl}`) : ''
+            };
+            rows.push(withParsedCodes(withIsoDates(row, ['NGAY_BAN_HANH']), ['SO_KY_HIEU']));
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Scrape the document table of the page currently loaded in the browser
+ * @param {Object} page - Puppeteer page (anything with an async content())
+ */
 async function scrapeTableData(page) {
-    return await page.evaluate(() => {
-        const rows = [];
-        const tableRows = document.querySelectorAll('table.table-bordered tr.bgTable');
-        
-        tableRows.forEach((row) => {
-            const cells = row.querySelectorAll('td');
-            if (cells.length >= 4) {
-                const stt = cells[0].innerText.trim();
-                const soKyHieu = cells[1].innerText.trim();
-                const ngayBanHanh = cells[2].innerText.trim();
-                const trichYeu = cells[3].innerText.trim();
-                
-                // Extract URL from the link
-                const linkElement = cells[1].querySelector('a');
-                const detailUrl = linkElement ? linkElement.getAttribute('href') : '';
-                
-                rows.push({
-                    STT: stt,
-                    SO_KY_HIEU: soKyHieu,
-                    NGAY_BAN_HANH: ngayBanHanh,
-                    TRICH_YEU: trichYeu,
-                    DETAIL_URL: detailUrl,
-                    FULL_URL: detailUrl ? (detailUrl.startsWith('http') ? detailUrl : `https://www.mod.gov.vn${detailUrl}`) : ''
-                });
+    return parseTableData(await page.content());
+}
+
+/**
+ * Category path of a link into the legal document tree, i.e. the wcm folders
+ * below LEGAL_ROOT: 'sa-qlcddh-csqn/sa-qlcddh-csqn-ncc' for a document of that
+ * folder (the trailing document UUID is dropped)
+ * @param {string} url - Listing or detail URL, encoded or not
+ * @returns {string|null} null for links outside the tree
+ */
+function categoryPath(url) {
+    let decoded = url || '';
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch (err) {
+        // Keep the raw URL when it is not valid percent-encoding
+    }
+
+    const match = /sa-qlcddh-vbpl-htvb\/([^?&#"'\s]+)/i.exec(decoded);
+    if (!match) {
+        return null;
+    }
+
+    const segments = match[1].toLowerCase().split('/').filter(Boolean);
+    if (segments.length > 0 && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(segments[segments.length - 1])) {
+        segments.pop();
+    }
+    return segments.length > 0 ? segments.join('/') : null;
+}
+
+/**
+ * Listing page of a category
+ */
+function categoryUrl(folder) {
+    return `${SITE_URL}/home/searchhome?1dmy&current=true&urile=wcm%3apath%3a${LEGAL_ROOT}/${folder}`;
+}
+
+/**
+ * Find the categories linked from a page: listing links (breadcrumbs, menus)
+ * and the document rows, whose paths also reveal every parent category.
+ * Only listing links give a name; the others are named null.
+ * @param {string} html - Page HTML
+ * @returns {Array<{path: string, name: string|null}>} Sorted by path
+ */
+function discoverCategories(html) {
+    const categories = new Map();
+
+    const linkRegex = /<a[^>]*\bhref=(['"])([\s\S]*?)\1[^>]*>([\s\S]*?)<\/a>/g;
+    let linkMatch;
+    while ((linkMatch = linkRegex.exec(html)) !== null) {
+        const href = decodeEntities(linkMatch[2]);
+        const found = categoryPath(href);
+        if (!found) {
+            continue;
+        }
+
+        const segments = found.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            const prefix = segments.slice(0, i).join('/');
+            if (!categories.has(prefix)) {
+                categories.set(prefix, { path: prefix, name: null });
             }
-        });
-        
-        return rows;
-    });
+        }
+
+        const category = categories.get(found);
+        if (!category.name && /\/home\/searchhome\b/.test(href)) {
+            category.name = stripTags(linkMatch[3], { collapse: true }) || null;
+        }
+    }
+
+    return [...categories.values()].sort((a, b) => a.path.localeCompare(b.path));
 }
 
 async function getPageLinks(page) {
@@ -105,6 +297,19 @@ async function getPageLinks(page) {
     });
 }
 
+/**
+ * URL of the next page when its pagination link is a plain URL (not a
+ * javascript: or # handler), resolved against the current page
+ * @returns {Promise<string|null>}
+ */
+async function nextPageUrl(page, currentPageNum) {
+    const next = (await getPageLinks(page)).find(link => link.page === currentPageNum + 1);
+    if (!next || /^(javascript:|#)/i.test(next.url)) {
+        return null;
+    }
+    return new URL(next.url, page.url()).href;
+}
+
 async function getCurrentPage(page) {
     return await page.evaluate(() => {
         const paginationDiv = document.querySelector('.page');
@@ -170,27 +375,311 @@ async function clickNextPage(page) {
     });
 }
 
-async function saveProgress(allResults, currentPageNum) {
-    const outputFile = path.join(OUTPUT_DIR, 'raw_result.json');
-    fs.writeFileSync(outputFile, JSON.stringify(allResults, null, 2), 'utf-8');
-    
-    const summaryFile = path.join(OUTPUT_DIR, 'pages.json');
+/**
+ * Save the rows scraped since the last save: added to raw_result and to the
+ * raw_result of their category, and upserted into the database
+ * @param {Object} crawl - State of scrapeAllPages (rows, categories, listings)
+ * @param {Object} output - { outDir, store (SqliteStore or null), writer (ResultWriter or null),
+ *   categoryWriters (ResultWriter of each category path) }
+ */
+async function saveProgress(crawl, output) {
+    const { outDir, store, writer, categoryWriters } = output;
+    const rows = crawl.allResults.slice(crawl.saved);
+    crawl.saved = crawl.allResults.length;
+
+    if (store && rows.length > 0) {
+        store.saveDocuments('mod', rows);
+    }
+    if (writer) {
+        writer.add(rows);
+        for (const row of rows.filter(row => row.CATEGORY_PATH)) {
+            if (!categoryWriters.has(row.CATEGORY_PATH)) {
+                const dir = path.join(outDir, 'categories', ...row.CATEGORY_PATH.split('/'));
+                categoryWriters.set(row.CATEGORY_PATH, new ResultWriter(dir, 'raw_result', writer.format));
+            }
+            categoryWriters.get(row.CATEGORY_PATH).add([row]);
+        }
+    }
+
+    const listing = crawl.listings[crawl.listings.length - 1];
+    console.log(`Progress saved: ${crawl.allResults.length} rows (${listing ? `${listing.path || listing.url} page ${listing.pages}` : 'no listing yet'})`);
+}
+
+/**
+ * Write categories.json (with the rows of each category) and pages.json
+ */
+function saveSummaries(crawl, outDir) {
+    const rowsOf = new Map();
+    for (const row of crawl.allResults) {
+        rowsOf.set(row.CATEGORY_PATH, (rowsOf.get(row.CATEGORY_PATH) || 0) + 1);
+    }
+    const categories = [...crawl.categories.values()]
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .map(category => ({ ...category, rows: rowsOf.get(category.path) || 0 }));
+    fs.writeFileSync(path.join(outDir, 'categories.json'), JSON.stringify(categories, null, 2), 'utf-8');
+
     const summary = {
-        total_pages: currentPageNum,
-        total_rows: allResults.length,
+        total_pages: crawl.listings.reduce((total, listing) => total + listing.pages, 0),
+        total_rows: crawl.allResults.length,
         scraped_at: new Date().toISOString(),
         base_url: BASE_URL,
-        last_page_scraped: currentPageNum
+        max_pages: crawl.maxPages,
+        listings: crawl.listings
     };
-    fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2), 'utf-8');
-    console.log(`Progress saved: ${allResults.length} rows (page ${currentPageNum})`);
+    fs.writeFileSync(path.join(outDir, 'pages.json'), JSON.stringify(summary, null, 2), 'utf-8');
 }
 
-async function scrapeAllPages() {
-    console.log('Starting scraper for www.mod.gov.vn/home/cdcs');
-    
+/**
+ * Open a listing page, retrying failed navigations
+ */
+async function openListing(page, url, profile) {
+    let retries = 0;
+    const maxRetries = 3;
+
+    while (retries < maxRetries) {
+        try {
+            await page.goto(rewriteUrl(url), { waitUntil: 'networkidle2', timeout: 60000 });
+            break;
+        } catch (error) {
+            retries++;
+            console.error(`Navigation attempt ${retries} failed:`, error.message);
+            if (retries >= maxRetries) {
+                throw new Error(`Failed to load page after ${maxRetries} attempts`);
+            }
+            console.log(`Retrying in 5 seconds...`);
+            await sleep(5000);
+        }
+    }
+
+    // Wait for the table to load
+    await page.waitForSelector('table.table-bordered', { timeout: 10000 });
+    await pause(profile, 0.5);
+}
+
+/**
+ * Record the categories found on a page, queueing the new ones in scope
+ */
+function addCategories(crawl, found) {
+    for (const { path: folder, name } of found) {
+        const known = crawl.categories.get(folder);
+        if (known) {
+            known.name = known.name || name;
+            continue;
+        }
+
+        crawl.categories.set(folder, {
+            path: folder,
+            name,
+            url: categoryUrl(folder),
+            parent: folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/')) : null
+        });
+        if (crawl.inScope(folder)) {
+            crawl.queue.push({ path: folder, url: categoryUrl(folder) });
+        }
+    }
+}
+
+/**
+ * Scrape every page of one listing (up to crawl.maxPages), adding the rows
+ * not seen in an earlier listing
+ * @param {Object} listing - { path (category path, null for BASE_URL), url, pages, rows }
+ */
+async function scrapeListing(page, listing, crawl, output) {
+    const { allResults, seen, maxPages, profile } = crawl;
+
+    console.log(`\n=== Listing ${listing.path || listing.url} ===`);
+    await openListing(page, listing.url, profile);
+
+    let currentPageNum = 1;
+    let totalPages = await getTotalPages(page);
+
+    console.log(`Total pages detected: ${totalPages}`);
+
+    while (true) {
+        console.log(`Scraping page ${currentPageNum}...`);
+
+        try {
+            // Wait for table to be ready
+            await page.waitForSelector('table.table-bordered tr.bgTable', { timeout: 10000 });
+            await pause(profile, 0.4);
+
+            // Simulate human-like scrolling
+            if (profile.scroll) {
+                console.log('Scrolling through page...');
+                await humanLikeScroll(page);
+            }
+
+            // Scrape current page
+            const html = await page.content();
+            const pageData = parseTableData(html);
+            addCategories(crawl, discoverCategories(html));
+
+            // Tag each row with its category and where it was found; parent
+            // listings repeat the rows of their sub-categories
+            let newRows = 0;
+            for (const row of pageData) {
+                const key = row.FULL_URL || `${row.SO_KY_HIEU}|${row.TRICH_YEU}`;
+                if (seen.has(key)) {
+                    continue;
+                }
+                seen.add(key);
+                allResults.push({
+                    ...row,
+                    CATEGORY_PATH: categoryPath(row.DETAIL_URL),
+                    LISTING_URL: listing.url,
+                    CRAWLED_FROM_PAGE: currentPageNum
+                });
+                newRows++;
+            }
+            console.log(`Found ${pageData.length} rows on page ${currentPageNum} (${newRows} new)`);
+
+            listing.pages = currentPageNum;
+            listing.rows += newRows;
+
+            // Save progress after each page
+            await saveProgress(crawl, output);
+
+        } catch (error) {
+            console.error(`Error scraping page ${currentPageNum}:`, error.message);
+            console.log('Saving progress before potential retry...');
+            await saveProgress(crawl, output);
+
+            // If we got data from previous pages, continue to next
+            if (listing.pages > 0) {
+                console.log('Attempting to continue to next page...');
+            } else {
+                throw error;
+            }
+        }
+
+        // Check if we've reached the last page
+        const detectedCurrentPage = await getCurrentPage(page);
+        console.log(`Current page number: ${detectedCurrentPage}, Total pages: ${totalPages}`);
+
+        if (detectedCurrentPage >= totalPages) {
+            console.log('Reached last page');
+            break;
+        }
+
+        if (currentPageNum >= maxPages) {
+            console.log(`Page limit reached (${maxPages} pages), stopping this listing`);
+            break;
+        }
+
+        // Random delay before moving to the next page
+        console.log('Waiting before navigating to next page...');
+        await pause(profile);
+
+        // Go straight to the next page when its link is a plain URL, else click it
+        const nextUrl = await nextPageUrl(page, detectedCurrentPage);
+        if (nextUrl) {
+            console.log(`Navigating to page ${detectedCurrentPage + 1}: ${nextUrl}`);
+            try {
+                await page.goto(rewriteUrl(nextUrl), { waitUntil: 'networkidle2', timeout: 60000 });
+            } catch (error) {
+                // The table wait below decides whether the page arrived
+                console.warn('Navigation to next page failed:', error.message);
+            }
+        } else {
+            console.log('Attempting to click the next page link...');
+            const clicked = await clickNextPage(page);
+
+            if (!clicked) {
+                console.log('Could not find next page link, stopping');
+                break;
+            }
+
+            // Give the postback time to replace the page
+            await pause(profile);
+        }
+
+        // Wait for new content to load with retry logic
+        let navigationSuccess = false;
+        let navRetries = 0;
+        const maxNavRetries = 3;
+
+        while (!navigationSuccess && navRetries < maxNavRetries) {
+            try {
+                await page.waitForSelector('table.table-bordered tr.bgTable', { timeout: 15000 });
+                await pause(profile, 0.3);
+                navigationSuccess = true;
+            } catch (error) {
+                navRetries++;
+                console.warn(`Navigation wait failed (attempt ${navRetries}/${maxNavRetries}):`, error.message);
+
+                if (navRetries >= maxNavRetries) {
+                    console.error('Failed to load next page, saving progress and stopping');
+                    await saveProgress(crawl, output);
+                    break;
+                }
+
+                console.log('Waiting 5 seconds before retry...');
+                await sleep(5000);
+            }
+        }
+
+        if (!navigationSuccess) {
+            break;
+        }
+
+        currentPageNum++;
+    }
+}
+
+async function scrapeAllPages(options = {}) {
+    const { dryRun = false, format = 'json', dbOnly = false, maxPages = DEFAULT_MAX_PAGES, category: only = [] } = options;
+    const outDir = siteDir('mod', options);
+    const profile = resolveProfile(options);
+    const scope = only.map(folder => folder.replace(/^\/+|\/+$/g, '').toLowerCase());
+
+    // Start from /home/cdcs, or from the requested categories
+    const seeds = scope.length > 0
+        ? scope.map(folder => ({ path: folder, url: categoryUrl(folder) }))
+        : [{ path: null, url: BASE_URL }];
+
+    if (dryRun) {
+        for (const seed of seeds) {
+            console.log(`[dry-run] Would scrape ${seed.url} (up to ${maxPages} pages)`);
+        }
+        console.log(`[dry-run] Profile: ${describeProfile(profile)}`);
+        console.log(`[dry-run] ...then every category found below ${scope.length > 0 ? scope.join(', ') : LEGAL_ROOT}`);
+        console.log(`[dry-run] Output: ${dbOnly ? options.db : `${resultPath(outDir, 'raw_result', format)} and ${path.join(outDir, 'categories')}`}`);
+        return;
+    }
+
+    console.log(`Starting scraper for www.mod.gov.vn (${scope.length > 0 ? scope.join(', ') : 'all categories'})`);
+    console.log(`Profile: ${describeProfile(profile)}`);
+    fs.mkdirSync(outDir, { recursive: true });
+    const output = {
+        outDir,
+        store: openStore(options),
+        writer: dbOnly ? null : new ResultWriter(outDir, 'raw_result', format),
+        categoryWriters: new Map()
+    };
+
+    const crawl = {
+        allResults: [],
+        saved: 0,
+        seen: new Set(),
+        categories: new Map(),
+        listings: [],
+        queue: [...seeds],
+        maxPages,
+        profile,
+        inScope: folder => scope.length === 0 ||
+            scope.some(prefix => folder === prefix || folder.startsWith(`${prefix}/`))
+    };
+    for (const seed of seeds.filter(seed => seed.path)) {
+        crawl.categories.set(seed.path, {
+            path: seed.path,
+            name: null,
+            url: seed.url,
+            parent: seed.path.includes('/') ? seed.path.slice(0, seed.path.lastIndexOf('/')) : null
+        });
+    }
+
     const browser = await puppeteer.launch({
-        headless: false,
+        headless: profile.headless,
         args: ['--no-sandbox', '--disable-setuid-sandbox']
     });
     
@@ -199,6 +688,18 @@ async function scrapeAllPages() {
     
     // Set a reasonable timeout
     page.setDefaultTimeout(30000);
+
+    // Skip the page assets; the table and the pagination only need HTML and scripts
+    if (profile.blockResources) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (BLOCKED_RESOURCES.has(request.resourceType())) {
+                request.abort();
+            } else {
+                request.continue();
+            }
+        });
+    }
     
     // Handle service unavailable errors
     page.on('response', response => {
@@ -208,152 +709,69 @@ async function scrapeAllPages() {
     });
     
     try {
-        console.log(`Navigating to ${BASE_URL}`);
-        
-        let retries = 0;
-        const maxRetries = 3;
-        
-        while (retries < maxRetries) {
-            try {
-                await page.goto(BASE_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-                break;
-            } catch (error) {
-                retries++;
-                console.error(`Navigation attempt ${retries} failed:`, error.message);
-                if (retries >= maxRetries) {
-                    throw new Error(`Failed to load page after ${maxRetries} attempts`);
-                }
-                console.log(`Retrying in 5 seconds...`);
-                await sleep(5000);
-            }
-        }
-        
-        // Wait for the table to load
-        await page.waitForSelector('table.table-bordered', { timeout: 10000 });
-        await sleep(2000);
-        
-        const allResults = [];
-        let currentPageNum = 1;
-        let totalPages = await getTotalPages(page);
-        
-        console.log(`Total pages detected: ${totalPages}`);
-        
-        while (true) {
-            console.log(`Scraping page ${currentPageNum}...`);
-            
+        while (crawl.queue.length > 0) {
+            const listing = { ...crawl.queue.shift(), pages: 0, rows: 0 };
+            crawl.listings.push(listing);
+
             try {
-                // Wait for table to be ready
-                await page.waitForSelector('table.table-bordered tr.bgTable', { timeout: 10000 });
-                await sleep(randomDelay(800, 1500));
-                
-                // Simulate human-like scrolling
-                console.log('Scrolling through page...');
-                await humanLikeScroll(page);
-                
-                // Scrape current page
-                const pageData = await scrapeTableData(page);
-                console.log(`Found ${pageData.length} rows on page ${currentPageNum}`);
-                
-                // Add page number to each row
-                pageData.forEach(row => {
-                    row.CRAWLED_FROM_PAGE = currentPageNum;
-                });
-                
-                allResults.push(...pageData);
-                
-                // Save progress after each page
-                await saveProgress(allResults, currentPageNum);
-                
+                await scrapeListing(page, listing, crawl, output);
             } catch (error) {
-                console.error(`Error scraping page ${currentPageNum}:`, error.message);
-                console.log('Saving progress before potential retry...');
-                await saveProgress(allResults, currentPageNum);
-                
-                // If we got data from previous pages, continue to next
-                if (allResults.length > 0) {
-                    console.log('Attempting to continue to next page...');
-                } else {
+                // An empty or broken category should not end the whole crawl;
+                // without /home/cdcs there is nothing to discover categories from
+                console.error(`Error scraping ${listing.url}:`, error.message);
+                listing.error = error.message;
+                if (!listing.path) {
                     throw error;
                 }
             }
-            
-            // Check if we've reached the last page
-            const detectedCurrentPage = await getCurrentPage(page);
-            console.log(`Current page number: ${detectedCurrentPage}, Total pages: ${totalPages}`);
-            
-            if (detectedCurrentPage >= totalPages) {
-                console.log('Reached last page');
-                break;
-            }
-            
-            // Random delay before clicking next page
-            const beforeClickDelay = randomDelay(1500, 4000);
-            console.log(`Waiting ${Math.round(beforeClickDelay / 1000)}s before navigating to next page...`);
-            await sleep(beforeClickDelay);
-            
-            // Try to click next page
-            console.log('Attempting to navigate to next page...');
-            const clicked = await clickNextPage(page);
-            
-            if (!clicked) {
-                console.log('Could not find next page link, stopping');
-                break;
-            }
-            
-            // Wait for navigation and new content to load with retry logic
-            let navigationSuccess = false;
-            let navRetries = 0;
-            const maxNavRetries = 3;
-            
-            while (!navigationSuccess && navRetries < maxNavRetries) {
-                try {
-                    await sleep(randomDelay(2000, 4000));
-                    await page.waitForSelector('table.table-bordered tr.bgTable', { timeout: 15000 });
-                    await sleep(randomDelay(500, 1200));
-                    navigationSuccess = true;
-                } catch (error) {
-                    navRetries++;
-                    console.warn(`Navigation wait failed (attempt ${navRetries}/${maxNavRetries}):`, error.message);
-                    
-                    if (navRetries >= maxNavRetries) {
-                        console.error('Failed to load next page, saving progress and stopping');
-                        await saveProgress(allResults, currentPageNum);
-                        break;
-                    }
-                    
-                    console.log('Waiting 5 seconds before retry...');
-                    await sleep(5000);
-                }
-            }
-            
-            if (!navigationSuccess) {
-                break;
-            }
-            
-            currentPageNum++;
-            
-            // Safety check to prevent infinite loop
-            if (currentPageNum > 50) {
-                console.log('Safety limit reached (50 pages), stopping');
-                break;
-            }
         }
         
         // Final save
-        await saveProgress(allResults, currentPageNum);
+        await saveProgress(crawl, output);
         
         console.log(`\n✅ Scraping completed!`);
-        console.log(`Total rows scraped: ${allResults.length}`);
-        console.log(`Total pages scraped: ${currentPageNum}`);
-        console.log(`Saved to: ${path.join(OUTPUT_DIR, 'raw_result.json')}`);
+        console.log(`Total rows scraped: ${crawl.allResults.length}`);
+        console.log(`Listings scraped: ${crawl.listings.length} (${crawl.listings.filter(listing => listing.error).length} failed)`);
+        console.log(`Categories found: ${crawl.categories.size}`);
+        console.log(`Saved to: ${dbOnly ? options.db : resultPath(outDir, 'raw_result', format)}`);
         
     } catch (error) {
         console.error('Error during scraping:', error);
         throw error;
     } finally {
         await browser.close();
+        saveSummaries(crawl, outDir);
+        if (output.writer) {
+            output.writer.close();
+            for (const writer of output.categoryWriters.values()) {
+                writer.close();
+            }
+        }
+        if (output.store) {
+            output.store.close();
+        }
+    }
+
+    // The rows of the other listings are saved; still report the run as failed
+    const failed = crawl.listings.filter(listing => listing.error);
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} listing(s) failed: ${failed.map(listing => listing.path || listing.url).join(', ')}`);
     }
 }
 
 // Run the scraper
-scrapeAllPages().catch(console.error);
+if (require.main === module) {
+    runCommand(scrapeAllPages, COMMAND_SPEC, 'node vanban_huongdan.js [options]');
+}
+
+module.exports = {
+    COMMAND_SPEC,
+    main: scrapeAllPages,
+    PROFILES,
+    categoryPath,
+    categoryUrl,
+    discoverCategories,
+    parseTableData,
+    resolveProfile,
+    scrapeTableData
+};
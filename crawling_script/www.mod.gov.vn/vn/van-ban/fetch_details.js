@@ -0,0 +1,294 @@
+/**
+ * Fetch the detail page of each www.mod.gov.vn document
+ * Reads raw_result.json (from vanban_huongdan.js) and creates detailed_result.json
+ * (with --db-only, both live in the --db database instead)
+ *
+ * Unlike the list, the detail pages are plain server-rendered HTML, so they
+ * are fetched with the shared HTTP client rather than a browser.
+ *
+ * Usage:
+ *   node fetch_details.js                    // Fetch details only
+ *   node fetch_details.js --download         // ...and download the PDFs into attachments/<uuid>/
+ *   node fetch_details.js --limit 10         // Process only the first 10 documents
+ *   node fetch_details.js --out /data/mod    // Read and write in another directory
+ *
+ * Also available as `songgio mod details`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('../../../lib/http_client');
+const { runCommand } = require('../../../lib/cli_args');
+const { siteDir } = require('../../../lib/config');
+const { decodeEntities, stripTags } = require('../../../lib/html');
+const { openStore } = require('../../../lib/sqlite_store');
+const { Manifest } = require('../../../lib/manifest');
+const { downloadTracked } = require('../../../lib/download_queue');
+const { AttachmentNamer, sanitizeFilename, urlFilename } = require('../../../lib/filenames');
+const { readResult, resultPath, writeResult } = require('../../../lib/result_file');
+const { withIsoDates } = require('../../../lib/dates');
+const { withParsedCodes } = require('../../../lib/document_codes');
+
+const SITE_URL = 'https://www.mod.gov.vn';
+
+// Flags accepted by this script (shared with `songgio mod details`)
+const COMMAND_SPEC = {
+    flags: ['limit', 'download', 'out', 'data-root', 'dry-run', 'format', 'db', 'db-only']
+};
+
+const client = createClient('www.mod.gov.vn');
+
+// Rows of the "Thuộc tính văn bản" tab, by label
+const PROPERTY_FIELDS = {
+    'trích yếu': 'SUMMARY',
+    'số/ký hiệu': 'CODE',
+    'ngày ban hành': 'ISSUE_DATE',
+    'ngày có hiệu lực': 'EFFECTIVE_DATE',
+    'ngày hết hiệu lực': 'EXPIRY_DATE',
+    'cơ quan ban hành': 'ISSUING_AGENCY',
+    'loại văn bản': 'DOCUMENT_TYPE',
+    'người ký': 'SIGNER',
+    'thay thế văn bản/văn bản liên quan': 'RELATED_DOCUMENTS'
+};
+
+// Date properties, each followed by its *_ISO date (see lib/dates.js)
+const DATE_FIELDS = ['ISSUE_DATE', 'EFFECTIVE_DATE', 'EXPIRY_DATE'];
+
+/**
+ * Document UUID in a detail URL (the last segment of its wcm path)
+ * @returns {string|null}
+ */
+function documentUuid(url) {
+    const match = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i.exec(url || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Parse a document detail page
+ *  - Title in: span.titleLg of the "Nội dung văn bản" tab
+ *  - Properties in: the table of the "Thuộc tính văn bản" tab (#tabother2),
+ *    label cell then value cell
+ *  - Attachments in: div.file-list links
+ * Empty properties are null.
+ * @param {string} html - Detail page HTML
+ * @returns {Object} TITLE, the PROPERTY_FIELDS values (dates with their *_ISO, CODE with
+ *   its CODE_PARTS) and ATTACHMENTS
+ */
+function parseDetailHTML(html) {
+    const detail = { TITLE: null };
+    for (const key of Object.values(PROPERTY_FIELDS)) {
+        detail[key] = null;
+    }
+
+    const titleMatch = html.match(/<span[^>]*class="titleLg"[^>]*>([\s\S]*?)<\/span>/);
+    if (titleMatch) {
+        detail.TITLE = stripTags(titleMatch[1], { collapse: true }) || null;
+    }
+
+    const propertiesMatch = html.match(/id="tabother2"[\s\S]*?<table[^>]*>([\s\S]*?)<\/table>/);
+    if (propertiesMatch) {
+        const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/g;
+        let rowMatch;
+        while ((rowMatch = rowRegex.exec(propertiesMatch[1])) !== null) {
+            const cells = [...rowMatch[1].matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/g)].map(([, cell]) => cell);
+            if (cells.length < 2) {
+                continue;
+            }
+
+            const key = PROPERTY_FIELDS[stripTags(cells[0], { collapse: true }).toLowerCase()];
+            if (key) {
+                detail[key] = stripTags(cells[1], { collapse: true }) || null;
+            }
+        }
+    }
+
+    const attachments = [];
+    const fileListMatch = html.match(/<div[^>]*class=['"]file-list['"][^>]*>([\s\S]*?)<\/ul>/);
+    if (fileListMatch) {
+        const linkRegex = /<a[^>]*\bhref=(['"])([\s\S]*?)\1[^>]*>([\s\S]*?)<\/a>/g;
+        let linkMatch;
+        while ((linkMatch = linkRegex.exec(fileListMatch[1])) !== null) {
+            const href = decodeEntities(linkMatch[2]).trim();
+            if (!href) {
+                continue;
+            }
+            const label = stripTags(linkMatch[3], { collapse: true });
+
+            // As published; made safe when downloaded (see filenames.js)
+            attachments.push({
+                url: href.startsWith('http') ? href : `${SITE_URL}${href.startsWith('/') ? '' : '/'}${href}`,
+                label,
+                filename: label || urlFilename(href)
+            });
+        }
+    }
+    detail.ATTACHMENTS = attachments;
+
+    return withParsedCodes(withIsoDates(detail, DATE_FIELDS), ['CODE']);
+}
+
+/**
+ * Main function
+ * @param {Object} options
+ * @param {number} [options.limit] - Process only the first N documents
+ * @param {boolean} [options.download] - Download attachments after saving details
+ * @param {string} [options.outDir] - Directory holding raw_result.json and the outputs
+ * @param {boolean} [options.dryRun] - Report the plan without fetching anything
+ * @param {'json'|'ndjson'} [options.format] - Format of detailed_result (raw_result is read in either)
+ * @param {string} [options.db] - SQLite database also receiving the details
+ * @param {boolean} [options.dbOnly] - Read the list from and write the details to the database only
+ */
+async function main(options = {}) {
+    const { limit = null, download: shouldDownload = false, dryRun = false, format = 'json', dbOnly = false } = options;
+    const outDir = siteDir('mod', options);
+    const detailedResultPath = resultPath(outDir, 'detailed_result', format);
+    const downloadBaseDir = path.join(outDir, 'attachments');
+
+    const store = openStore(options);
+
+    // Read the list rows
+    let rows;
+    if (dbOnly) {
+        console.log(`Reading documents from ${options.db}...`);
+        rows = store.loadRecords('documents', { source: 'mod' });
+    } else {
+        rows = readResult(outDir, 'raw_result', format);
+        if (!rows) {
+            throw new Error(`No raw_result.json or raw_result.ndjson in ${outDir}. Run vanban_huongdan.js first.`);
+        }
+    }
+
+    const documentsToProcess = limit ? rows.slice(0, limit) : rows;
+    console.log(`Found ${rows.length} documents, processing ${documentsToProcess.length}`);
+
+    if (dryRun) {
+        console.log(`[dry-run] Would fetch ${documentsToProcess.length} detail pages`);
+        console.log(`[dry-run] Output: ${dbOnly ? options.db : detailedResultPath}`);
+        if (shouldDownload) {
+            console.log(`[dry-run] Attachments: ${downloadBaseDir}`);
+        }
+        return;
+    }
+
+    const detailedResults = [];
+    let successCount = 0;
+    let failCount = 0;
+
+    // Phase 1: Fetch all details (without downloading)
+    console.log('\n=== Phase 1: Fetching Document Details ===\n');
+
+    for (let i = 0; i < documentsToProcess.length; i++) {
+        const row = documentsToProcess[i];
+        const uuid = documentUuid(row.FULL_URL);
+
+        console.log(`[${i + 1}/${documentsToProcess.length}] ${row.SO_KY_HIEU} - ${row.FULL_URL}`);
+
+        if (!row.FULL_URL) {
+            console.log('  ✗ No detail URL');
+            failCount++;
+            detailedResults.push({ ...row, UUID: uuid, ERROR: 'No detail URL' });
+            continue;
+        }
+
+        try {
+            const html = await client.getText(row.FULL_URL);
+            const detail = parseDetailHTML(html);
+            detailedResults.push({ ...row, UUID: uuid, ...detail });
+
+            console.log(`  ✓ ${detail.DOCUMENT_TYPE || 'N/A'}, signed by ${detail.SIGNER || 'N/A'}, ${detail.ATTACHMENTS.length} attachment(s)`);
+            successCount++;
+        } catch (err) {
+            console.log(`  ✗ Failed: ${err.message}`);
+            failCount++;
+            detailedResults.push({ ...row, UUID: uuid, ERROR: err.message });
+        }
+    }
+
+    // Save detailed results
+    console.log('\n=== Saving Results ===');
+    if (store) {
+        store.saveDocuments('mod', detailedResults);
+        store.close();
+        console.log(`✓ Detailed results saved to ${options.db}`);
+    }
+    if (!dbOnly) {
+        writeResult(outDir, 'detailed_result', detailedResults, format);
+        console.log(`✓ Detailed results saved to ${detailedResultPath}`);
+    }
+
+    // Phase 2: Download attachments (only if enabled and after the results are saved)
+    let failedDownloads = 0;
+    if (shouldDownload) {
+        console.log('\n=== Phase 2: Downloading Attachments ===\n');
+
+        const manifest = new Manifest(downloadBaseDir);
+        let downloadedCount = 0;
+        let skippedCount = 0;
+        let failedCount = 0;
+
+        for (const doc of detailedResults) {
+            if (!doc.ATTACHMENTS || doc.ATTACHMENTS.length === 0) {
+                continue;
+            }
+
+            const docDir = path.join(downloadBaseDir, doc.UUID || sanitizeFilename(doc.SO_KY_HIEU));
+            fs.mkdirSync(docDir, { recursive: true });
+
+            const namer = new AttachmentNamer(manifest, docDir);
+            for (const attachment of doc.ATTACHMENTS) {
+                const destPath = namer.path(attachment.filename, attachment.url);
+                const { status, detail, path: savedPath } = await downloadTracked(client, manifest, attachment.url, destPath, {
+                    originalName: attachment.filename
+                });
+                if (status === 'downloaded') {
+                    console.log(`  ✓ Saved: ${savedPath} ${detail}`);
+                    downloadedCount++;
+                } else if (status === 'skipped') {
+                    console.log(`  ↷ Skipped: ${savedPath} ${detail}`);
+                    skippedCount++;
+                } else {
+                    console.log(`  ✗ Failed ${attachment.filename}: ${detail}`);
+                    failedCount++;
+                }
+            }
+        }
+        manifest.flush();
+
+        console.log(`\nDownloaded: ${downloadedCount}, skipped: ${skippedCount}, failed: ${failedCount}`);
+        failedDownloads = failedCount;
+    }
+
+    // Summary
+    console.log('\n========== FINAL SUMMARY ==========');
+    console.log(`Total processed: ${documentsToProcess.length}`);
+    console.log(`Success: ${successCount}`);
+    console.log(`Failed: ${failCount}`);
+    console.log(`Output: ${dbOnly ? options.db : detailedResultPath}`);
+    if (shouldDownload) {
+        console.log(`Attachments: ${downloadBaseDir}`);
+    }
+    console.log('===================================\n');
+
+    // The results are saved, ERROR rows included; still fail the run
+    const problems = [];
+    if (failCount > 0) {
+        problems.push(`${failCount} document(s) failed (saved with ERROR)`);
+    }
+    if (failedDownloads > 0) {
+        problems.push(`${failedDownloads} attachment(s) failed to download`);
+    }
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+}
+
+// Run if executed directly
+if (require.main === module) {
+    runCommand(main, COMMAND_SPEC, 'node fetch_details.js [options]');
+}
+
+module.exports = {
+    COMMAND_SPEC,
+    main,
+    parseDetailHTML
+};
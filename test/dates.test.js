@@ -0,0 +1,41 @@
+/**
+ * Date normalization: the shapes each site uses and the ISO fields
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { toIsoDate, unparseableDates, withIsoDates } = require('../crawling_script/lib/dates');
+
+test('the date shapes of every site become ISO dates', () => {
+  const cases = {
+    '09-12-2025': '2025-12-09', // thutuc PUBLISHING_DATE
+    '24/11/2025': '2025-11-24', // mod NGAY_BAN_HANH
+    ' 5/3/2024 ': '2024-03-05',
+    '9.12.2025': '2025-12-09',
+    'Ngày 5 tháng 3 năm 2024': '2024-03-05',
+    'Hà Nội, ngày 05 tháng 03 năm 2024': '2024-03-05',
+    '2025-12-09': '2025-12-09',
+    '2025-12-09 00:00:00.0': '2025-12-09',
+    '2025-12-08T17:00:00.000+0000': '2025-12-09', // midnight in Vietnam
+    '2025-12-08T10:00:00Z': '2025-12-08',
+    '1765213200000': '2025-12-09',
+    'Tue Dec 09 00:00:00 ICT 2025': '2025-12-09'
+  };
+  for (const [value, expected] of Object.entries(cases)) {
+    assert.strictEqual(toIsoDate(value), expected, value);
+  }
+  assert.strictEqual(toIsoDate(1765213200000), '2025-12-09');
+
+  for (const value of [null, undefined, '', '  ', 'Đang cập nhật', '31/02/2025', '00/00/0000', '12/2025']) {
+    assert.strictEqual(toIsoDate(value), null, String(value));
+  }
+});
+
+test('ISO fields go right after their originals and unreadable ones are listed', () => {
+  const record = withIsoDates({ CODE: '1/QĐ', ISSUE_DATE: '01/02/2025', EFFECTIVE_DATE: 'Đang cập nhật', EXPIRY_DATE: null, ISSUE_DATE_ISO: 'stale' }, ['ISSUE_DATE', 'EFFECTIVE_DATE', 'EXPIRY_DATE']);
+
+  assert.deepStrictEqual(Object.keys(record), ['CODE', 'ISSUE_DATE', 'ISSUE_DATE_ISO', 'EFFECTIVE_DATE', 'EFFECTIVE_DATE_ISO', 'EXPIRY_DATE', 'EXPIRY_DATE_ISO']);
+  assert.strictEqual(record.ISSUE_DATE_ISO, '2025-02-01');
+  assert.deepStrictEqual(unparseableDates(record), [{ field: 'EFFECTIVE_DATE', value: 'Đang cập nhật' }]);
+});
@@ -0,0 +1,61 @@
+/**
+ * Backfill of derived fields: `tools dates` and `tools codes` on saved results
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const datesCommand = require('../crawling_script/tools/normalize_dates');
+const codesCommand = require('../crawling_script/tools/parse_codes');
+
+test('tools dates and tools codes backfill the saved results and write their reports', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-backfill-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const thutucDir = path.join(root, 'thutuc.dichvucong.gov.vn', 'p', 'home', 'dvc-tthc-quyet-dinh-cong-bo');
+  const dvcDir = path.join(root, 'dichvucong.gov.vn', 'p', 'home', 'dvc-dich-vu-cong-truc-tuyen-ds');
+  fs.mkdirSync(thutucDir, { recursive: true });
+  fs.mkdirSync(dvcDir, { recursive: true });
+  fs.writeFileSync(path.join(thutucDir, 'raw_result.ndjson'), [
+    '{"ID":"115187","CODE":"2193/QĐ-UBND.","PUBLISHING_DATE":"09-12-2025"}',
+    '{"ID":"2","CODE":"Không số","PUBLISHING_DATE":"sắp công bố"}'
+  ].join('\n') + '\n');
+  fs.writeFileSync(path.join(dvcDir, 'congdan_detailed_result.json'), JSON.stringify([{
+    TTHC_MA: '3.000001',
+    DECISION_NUMBER: '4221/EVN-KDMBD',
+    LEGAL_BASIS: [{ CODE: '61/2024/QH15', ISSUED_DATE: '30-11-2024' }, { CODE: 'Luật Điện lực', ISSUED_DATE: '30-13-2024' }]
+  }]));
+
+  const options = { dataRoot: root, site: ['thutuc', 'dvc'] };
+  await datesCommand.main(options);
+  await codesCommand.main(options);
+
+  // Both commands write back in the format that was read, each adding its own fields
+  const decisions = fs.readFileSync(path.join(thutucDir, 'raw_result.ndjson'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(Object.keys(decisions[0]), ['ID', 'CODE', 'CODE_PARTS', 'PUBLISHING_DATE', 'PUBLISHING_DATE_ISO']);
+  assert.deepStrictEqual(decisions.map(decision => decision.PUBLISHING_DATE_ISO), ['2025-12-09', null]);
+  assert.deepStrictEqual(decisions.map(decision => decision.CODE_PARTS && decision.CODE_PARTS.TYPE), ['QĐ', null]);
+  const [procedure] = JSON.parse(fs.readFileSync(path.join(dvcDir, 'congdan_detailed_result.json'), 'utf-8'));
+  assert.strictEqual(procedure.DECISION_NUMBER_PARTS.ISSUER, 'EVN-KDMBD');
+  assert.strictEqual(procedure.LEGAL_BASIS[0].ISSUED_DATE_ISO, '2024-11-30');
+  assert.strictEqual(procedure.LEGAL_BASIS[0].CODE_PARTS.TYPE_NAME, 'Luật');
+
+  const report = name => JSON.parse(fs.readFileSync(path.join(root, name), 'utf-8')).map(({ site, id, field, value }) => [site, id, field, value]);
+  assert.deepStrictEqual(report('unparseable_dates.json'), [
+    ['thutuc', '2', 'PUBLISHING_DATE', 'sắp công bố'],
+    ['dvc', '3.000001', 'LEGAL_BASIS[1].ISSUED_DATE', '30-13-2024']
+  ]);
+  assert.deepStrictEqual(report('malformed_codes.json'), [
+    ['thutuc', '2', 'CODE', 'Không số'],
+    ['dvc', '3.000001', 'LEGAL_BASIS[1].CODE', 'Luật Điện lực']
+  ]);
+
+  // A dry run reports without rewriting
+  const before = fs.readFileSync(path.join(thutucDir, 'raw_result.ndjson'), 'utf-8');
+  assert.strictEqual((await codesCommand.main({ ...options, dryRun: true })).length, 2);
+  assert.strictEqual(fs.readFileSync(path.join(thutucDir, 'raw_result.ndjson'), 'utf-8'), before);
+});
@@ -0,0 +1,46 @@
+/**
+ * Document codes (số ký hiệu): the parser and the parts fields
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { findDocumentCodes, malformedCodes, parseDocumentCode, withParsedCodes } = require('../crawling_script/lib/document_codes');
+
+const parts = (NUMBER, YEAR, TYPE, TYPE_NAME, ISSUER) => ({ NUMBER, YEAR, TYPE, TYPE_NAME, ISSUER });
+
+test('the codes of every site split into number, year, type and issuer', () => {
+  const cases = {
+    '2193/QĐ-UBND.': parts('2193', null, 'QĐ', 'Quyết định', 'UBND'), // thutuc, trailing dot
+    '92/VBHN-BQP': parts('92', null, 'VBHN', 'Văn bản hợp nhất', 'BQP'),
+    '5132/QĐ-BQP': parts('5132', null, 'QĐ', 'Quyết định', 'BQP'),
+    '66.9-nq': parts('66.9', null, 'NQ', 'Nghị quyết', null),
+    '66.9/2025/NQ-CP': parts('66.9', 2025, 'NQ', 'Nghị quyết', 'CP'),
+    '37/2025/TT-BKHCN': parts('37', 2025, 'TT', 'Thông tư', 'BKHCN'),
+    'Số: 12/2024/TTLT-BTC-BYT': parts('12', 2024, 'TTLT', 'Thông tư liên tịch', 'BTC-BYT'),
+    '123 / QD - TTg': parts('123', null, 'QĐ', 'Quyết định', 'TTg'),
+    '45/HD-BYT': parts('45', null, 'HD', 'Hướng dẫn', 'BYT'),
+    '12043/VPCP-KGVX': parts('12043', null, null, null, 'VPCP-KGVX'), // công văn
+    '11554/VPCP-V.I': parts('11554', null, null, null, 'VPCP-V.I'),
+    '153/QĐ-BCĐNO&TTBĐS': parts('153', null, 'QĐ', 'Quyết định', 'BCĐNO&TTBĐS'),
+    '61/2024/QH15': parts('61', 2024, null, 'Luật', 'QH15')
+  };
+  for (const [code, expected] of Object.entries(cases)) {
+    assert.deepStrictEqual(parseDocumentCode(code), expected, code);
+  }
+
+  for (const code of [null, undefined, '', 'Đang cập nhật', '3.000001', '12/2025', '1/1800/QĐ-BQP', 'QĐ-BQP']) {
+    assert.strictEqual(parseDocumentCode(code), null, String(code));
+  }
+});
+
+test('codes are found in free text and listed when malformed', () => {
+  assert.deepStrictEqual(
+    findDocumentCodes('Thay thế Quyết định số 5132/QĐ-BQP ngày 13/10/2025; căn cứ Luật 61/2024/QH15.'),
+    ['5132/QĐ-BQP', '61/2024/QH15']
+  );
+
+  const record = withParsedCodes({ ID: 1, CODE: 'Không số', CODE_PARTS: 'stale', NAME: 'x' }, ['CODE']);
+  assert.deepStrictEqual(Object.keys(record), ['ID', 'CODE', 'CODE_PARTS', 'NAME']);
+  assert.deepStrictEqual(malformedCodes(record), [{ field: 'CODE', value: 'Không số' }]);
+});
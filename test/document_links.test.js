@@ -0,0 +1,119 @@
+/**
+ * Cross-site linking: pair scores, clusters and `tools link`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { UsageError } = require('../crawling_script/lib/cli_args');
+const { linkDocuments, scorePair } = require('../crawling_script/lib/document_links');
+const { toDocument } = require('../crawling_script/lib/document_mappers');
+const linkCommand = require('../crawling_script/tools/link_documents');
+
+// The same decree as each site lists it
+const vanban = toDocument('vanban', {
+  DOC_ID: '216100', CODE: '312/2025/NĐ-CP', ISSUE_DATE: '05/12/2025', ISSUING_AGENCY: 'Chính phủ',
+  SUMMARY: 'Quy định chi tiết một số điều của Luật Dược', DETAIL_URL: 'https://vanban.chinhphu.vn/?pageid=27160&docid=216100',
+  ATTACHMENTS: [{ url: 'https://datafiles.chinhphu.vn/cpp/files/vbpq/2025/12/312-nd.pdf', filename: '312-nd.pdf' }]
+});
+const moh = toDocument('moh', {
+  DOC_ID: 9001, CODE: '312/2025/NĐ-CP', ISSUE_DATE: '2025-12-05', ISSUING_AGENCY: 'Chính phủ',
+  SUMMARY: 'Nghị định quy định chi tiết một số điều của Luật Dược',
+  ATTACHMENTS: [{ url: 'https://emohbackup.moh.gov.vn/publish/attach/getfile/44', filename: '312-ND-CP.pdf' }]
+});
+const mod = toDocument('mod', {
+  UUID: '11111111-2222-3333-4444-555555555555', SO_KY_HIEU: '312/NĐ-CP', NGAY_BAN_HANH: '06/12/2025', TRICH_YEU: 'Quy định chi tiết một số điều của Luật Dược'
+});
+const decision = (id, agency, date) => toDocument('thutuc', {
+  ID: id, CODE: '2193/QĐ-UBND.', NAME: 'Công bố Danh mục thủ tục hành chính', PUBLISHING_DATE: date, AGENCY_NAME: agency
+});
+
+test('pairs are scored on code, date, agency and summary', () => {
+  const same = scorePair(vanban, moh);
+  assert.ok(same.confidence >= 0.9, JSON.stringify(same));
+  assert.deepStrictEqual({ ...same.evidence, summary: undefined }, { code: 'same', days_apart: 0, agency: 1, summary: undefined });
+
+  // No year in the mod.gov.vn code, a day later
+  const partial = scorePair(vanban, mod);
+  assert.strictEqual(partial.evidence.code, 'partial');
+  assert.ok(partial.confidence >= 0.6 && partial.confidence < same.confidence, JSON.stringify(partial));
+
+  // Codes that cannot be the same document
+  assert.strictEqual(scorePair(vanban, { ...moh, code_parts: { ...moh.code_parts, year: 2024 } }), null);
+  assert.strictEqual(scorePair(vanban, { ...moh, issue_date: '2025-02-05' }), null);
+  // "QĐ-UBND" of two provinces on the same day; the same province spelled out
+  assert.strictEqual(scorePair(decision('1', 'UBND tỉnh Thái Nguyên', '09-12-2025'), decision('2', 'UBND tỉnh Thanh Hóa', '09-12-2025')), null);
+  assert.ok(scorePair(decision('1', 'UBND tỉnh Thái Nguyên', '09-12-2025'), decision('3', 'Ủy ban nhân dân tỉnh Thái Nguyên', '09-12-2025')).confidence >= 0.9);
+});
+
+test('linked documents share a cluster whose ID does not depend on the order', () => {
+  const procedure = toDocument('dvc', { TTHC_MA: '3.000001', PROCEDURE_CODE: '3.000001', DECISION_NUMBER: '312/2025/NĐ-CP' });
+  const other = decision('115187', 'UBND tỉnh Thái Nguyên', '09-12-2025');
+
+  const { clusters, links } = linkDocuments([mod, other, vanban, procedure, moh]);
+  assert.strictEqual(clusters.length, 2);
+  const [decree] = clusters.filter(cluster => cluster.members.length > 1);
+  assert.deepStrictEqual(decree.members.map(member => member.id), ['vanban:216100', 'moh:9001', `mod:${mod.source_id}`]);
+  assert.deepStrictEqual(decree.sources, ['vanban', 'moh', 'mod']);
+  assert.strictEqual(decree.code, '312/2025/NĐ-CP');
+  assert.strictEqual(decree.issue_date, '2025-12-05');
+  assert.deepStrictEqual(decree.members[1].attachments, [{ url: 'https://emohbackup.moh.gov.vn/publish/attach/getfile/44', name: '312-ND-CP.pdf', file: null }]);
+  // moh and mod fall short of each other (no year, no agency, other wording) but both link to vanban
+  assert.deepStrictEqual(links.map(link => [link.left, link.right]), [[`mod:${mod.source_id}`, 'vanban:216100'], ['vanban:216100', 'moh:9001']]);
+  assert.ok(links.every(link => link.cluster_id === decree.cluster_id));
+
+  const again = linkDocuments([moh, vanban]).clusters;
+  assert.deepStrictEqual(again.map(cluster => cluster.cluster_id), [decree.cluster_id]);
+  assert.notStrictEqual(clusters.find(cluster => cluster.members.length === 1).cluster_id, decree.cluster_id);
+
+  assert.strictEqual(linkDocuments([vanban, mod], { minConfidence: 0.95 }).clusters.length, 2);
+});
+
+test('cluster IDs stay the same when a later run links more documents', () => {
+  const order = toDocument('mod', { UUID: 'aaaa', SO_KY_HIEU: '5132/QĐ-BQP', NGAY_BAN_HANH: '13/10/2025', TRICH_YEU: 'Ban hành Quy chế quản lý văn bản' });
+  const first = decision('115187', 'UBND tỉnh Thái Nguyên', '09-12-2025');
+  const before = new Map(linkDocuments([order, first]).clusters.map(cluster => [cluster.members[0].id, cluster.cluster_id]));
+
+  const documents = [
+    order,
+    first,
+    // The same order with its year, joining the mod.gov.vn one
+    toDocument('vanban', { DOC_ID: '5132', CODE: '5132/2025/QĐ-BQP', ISSUE_DATE: '13/10/2025', ISSUING_AGENCY: 'Bộ Quốc phòng', SUMMARY: 'Ban hành Quy chế quản lý văn bản' }),
+    // Another order of the same number a year before
+    toDocument('vanban', { DOC_ID: '4000', CODE: '5132/2024/QĐ-BQP', ISSUE_DATE: '10/10/2024', ISSUING_AGENCY: 'Bộ Quốc phòng', SUMMARY: 'Quy định khác' }),
+    // The same code and province months before, and the province spelled out a day later
+    decision('114000', 'UBND tỉnh Thái Nguyên', '15-03-2025'),
+    decision('115188', 'Ủy ban nhân dân tỉnh Thái Nguyên', '10-12-2025')
+  ];
+  const { clusters } = linkDocuments(documents);
+  const clusterOf = id => clusters.find(cluster => cluster.members.some(member => member.id === id));
+
+  assert.deepStrictEqual(clusterOf(order.id).members.map(member => member.id), ['vanban:5132', order.id]);
+  assert.strictEqual(clusterOf(order.id).cluster_id, before.get(order.id));
+  assert.strictEqual(clusterOf(first.id).members.length, 2);
+  assert.strictEqual(clusterOf(first.id).cluster_id, before.get(first.id));
+  assert.strictEqual(clusters.length, 4);
+  assert.strictEqual(new Set(clusters.map(cluster => cluster.cluster_id)).size, 4);
+  assert.deepStrictEqual(linkDocuments([...documents].reverse()).clusters.map(cluster => cluster.cluster_id).sort(), clusters.map(cluster => cluster.cluster_id).sort());
+});
+
+test('tools link writes the clusters and the link table next to documents.ndjson', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-links-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  await assert.rejects(linkCommand.main({ dataRoot: root }), /tools normalize/);
+  await assert.rejects(linkCommand.main({ dataRoot: root, minConfidence: '2' }), UsageError);
+
+  fs.writeFileSync(path.join(root, 'documents.ndjson'), [vanban, moh, mod].map(document => JSON.stringify(document)).join('\n') + '\n');
+  const { clusters } = await linkCommand.main({ dataRoot: root });
+
+  const read = name => fs.readFileSync(path.join(root, name), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(read('document_clusters.ndjson'), clusters);
+  const links = read('document_links.ndjson');
+  assert.deepStrictEqual(links.map(link => [link.left, link.right]), [['vanban:216100', 'moh:9001'], ['vanban:216100', `mod:${mod.source_id}`]]);
+  assert.ok(links.every(link => link.confidence >= 0.6 && link.confidence <= 1));
+});
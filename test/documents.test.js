@@ -0,0 +1,103 @@
+/**
+ * Canonical documents: the mapper of each site, the schema and `tools normalize`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { toDocument } = require('../crawling_script/lib/document_mappers');
+const { validate } = require('../crawling_script/lib/json_schema');
+const normalizeCommand = require('../crawling_script/tools/normalize_documents');
+
+const SCHEMA = require('../crawling_script/schema/document.schema.json');
+const expected = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'expected', `${name}.json`), 'utf-8'));
+
+test('the records of every site map to valid documents', () => {
+  const documents = {
+    vanban: toDocument('vanban', expected('vanban_detail')),
+    mod: toDocument('mod', { ...expected('mod_table')[0], UUID: '63437496-8bdb-4d6b-af1e-45c4a39cb851', ...expected('mod_detail') }),
+    thutuc: toDocument('thutuc', {
+      ID: '115187', CODE: '2193/QĐ-UBND.', NAME: 'Về việc công bố Danh mục thủ tục hành chính', PUBLISHING_DATE: '09-12-2025',
+      AGENCY_NAME: 'UBND tỉnh Thái Nguyên', FIELDS: [{ ID: '1', NAME: 'Du lịch', FIELD_FULL_NAME: 'Du lịch' }], ATTACHMENTS: expected('thutuc_attachments')
+    }),
+    dvc: toDocument('dvc', { ...expected('dvc_detail'), ...expected('dvc_detail_full') }),
+    moh: toDocument('moh', {
+      DOC_ID: 5000, CODE: '1/QĐ-BYT', TITLE: 'Quyết định 1', SUMMARY: 'Quyết định 1', ISSUE_DATE: '2025-01-02', PUBLISH_DATE: null,
+      ATTACHMENTS: [{ url: 'https://emohbackup.moh.gov.vn/publish/attach/getfile/7', label: '1-QĐ-BYT.pdf', filename: '1-QĐ-BYT.pdf', attachId: 7 }],
+      ATTACHMENT_TEXT: [{ file: 'documentId=5000/1-QD-BYT.pdf', url: 'https://emohbackup.moh.gov.vn/publish/attach/getfile/7', pages: 2, scanned: false, text: 'Điều 1.' }]
+    })
+  };
+
+  for (const [source, document] of Object.entries(documents)) {
+    assert.deepStrictEqual(validate(SCHEMA, document), [], source);
+    assert.strictEqual(document.source, source);
+    assert.strictEqual(document.id, `${source}:${document.source_id}`);
+  }
+
+  assert.strictEqual(documents.vanban.source_site, 'vanban.chinhphu.vn');
+  assert.strictEqual(documents.vanban.code, '37/2025/TT-BKHCN');
+  assert.match(documents.vanban.title, /^Thông tư số 37\/2025\/TT-BKHCN của Bộ/);
+  assert.strictEqual(documents.vanban.issue_date, '2025-11-28');
+  assert.deepStrictEqual(documents.vanban.dates_text, { issue_date: '28-11-2025', effective_date: '28-11-2025' });
+
+  assert.strictEqual(documents.mod.source_id, '63437496-8bdb-4d6b-af1e-45c4a39cb851');
+  assert.strictEqual(documents.mod.code, '92/VBHN-BQP');
+  assert.strictEqual(documents.mod.signer, 'Thượng tướng Võ Minh Lương, Thứ trưởng Bộ Quốc phòng');
+
+  assert.strictEqual(documents.thutuc.kind, 'decision');
+  assert.strictEqual(documents.thutuc.publish_date, '2025-12-09');
+  assert.deepStrictEqual(documents.thutuc.code_parts, { number: '2193', year: null, type: 'QĐ', type_name: 'Quyết định', issuer: 'UBND' });
+  assert.deepStrictEqual(documents.thutuc.fields, ['Du lịch']);
+  assert.strictEqual(documents.thutuc.attachments[0].url, 'https://csdl.dichvucong.gov.vn/web/jsp/download_file.jsp?ma=3fd9456cb33031aa');
+
+  assert.strictEqual(documents.dvc.source_site, 'dichvucong.gov.vn');
+  assert.deepStrictEqual(documents.dvc.references[0], { code: '4221/EVN-KDMBD', relation: 'published_by' });
+
+  assert.strictEqual(documents.moh.source_id, '5000');
+  assert.deepStrictEqual(documents.moh.attachments, [{
+    url: 'https://emohbackup.moh.gov.vn/publish/attach/getfile/7', name: '1-QĐ-BYT.pdf', file: 'documentId=5000/1-QD-BYT.pdf', pages: 2, scanned: false, text: 'Điều 1.'
+  }]);
+});
+
+test('the schema rejects documents that do not follow it', () => {
+  const document = toDocument('vanban', expected('vanban_detail'));
+
+  assert.deepStrictEqual(validate(SCHEMA, { ...document, issue_date: '28-11-2025' }), ['$.issue_date: "28-11-2025" does not match ^\\d{4}-\\d{2}-\\d{2}$']);
+  assert.deepStrictEqual(validate(SCHEMA, { ...document, source: 'other', extra: 1 }), ['$.source: "other" is not one of vanban, moh, mod, thutuc, dvc', '$: unexpected extra']);
+  const { source_id: _sourceId, ...withoutId } = document;
+  assert.deepStrictEqual(validate(SCHEMA, withoutId), ['$: missing source_id']);
+});
+
+test('tools normalize merges every site into one documents.ndjson', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-documents-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const vanbanDir = path.join(root, 'vanban.chinhphu.vn');
+  const dvcDir = path.join(root, 'dichvucong.gov.vn', 'p', 'home', 'dvc-dich-vu-cong-truc-tuyen-ds');
+  fs.mkdirSync(path.join(vanbanDir, 'attachments'), { recursive: true });
+  fs.mkdirSync(dvcDir, { recursive: true });
+  fs.writeFileSync(path.join(vanbanDir, 'raw_result.json'), JSON.stringify(expected('vanban_list')));
+  fs.writeFileSync(path.join(vanbanDir, 'detailed_result.json'), JSON.stringify([{ ...expected('vanban_list')[0], SIGNER: 'Phạm Mạnh Cường' }]));
+  fs.writeFileSync(path.join(vanbanDir, 'attachments', 'manifest.json'), JSON.stringify({
+    'pageid=27160&docid=216138/678-tb.signed.pdf': { url: 'https://datafiles.chinhphu.vn/cpp/files/vbpq/2025/12/678-tb.signed.pdf', status: 'done' }
+  }));
+  // The same procedure in both lists, and one without its code
+  fs.writeFileSync(path.join(dvcDir, 'congdan_raw_result.json'), JSON.stringify([{ TTHC_MA: '3.000001', NAME: 'Cấp điện' }, { NAME: 'Không mã' }]));
+  fs.writeFileSync(path.join(dvcDir, 'doanhnghiep_raw_result.json'), JSON.stringify([{ TTHC_MA: '3.000001', NAME: 'Cấp điện' }]));
+
+  const { written, invalid } = await normalizeCommand.main({ dataRoot: root });
+
+  const lines = fs.readFileSync(path.join(root, 'documents.ndjson'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(written, expected('vanban_list').length + 1);
+  assert.deepStrictEqual(lines.map(line => line.id), [...expected('vanban_list').map(row => `vanban:${row.DOC_ID}`), 'dvc:3.000001']);
+  assert.strictEqual(lines[0].signer, 'Phạm Mạnh Cường');
+  assert.strictEqual(lines[0].attachments[0].file, 'pageid=27160&docid=216138/678-tb.signed.pdf');
+  assert.deepStrictEqual(lines.map(line => line.source_site), [...expected('vanban_list').map(() => 'vanban.chinhphu.vn'), 'dichvucong.gov.vn']);
+
+  assert.strictEqual(invalid.length, 1);
+  assert.deepStrictEqual(invalid[0].errors, ['$.source_id: expected string, got null']);
+});
@@ -0,0 +1,273 @@
+/**
+ * End-to-end crawler runs against the local mock server (test/mock_server.js)
+ *
+ * Each crawler's main() is pointed at the mock with setBaseUrl() and writes
+ * into a temporary data root, so nothing here touches the real sites or
+ * result/.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { setBaseUrl } = require('../crawling_script/lib/config');
+const { createMockServer, parseFailure } = require('./mock_server');
+const vanbanList = require('../crawling_script/vanban.chinhphu.vn/list_documents');
+const vanbanDetails = require('../crawling_script/vanban.chinhphu.vn/pageid=27160&docid=216105/fetch_details');
+const dvcList = require('../crawling_script/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/list_tthc');
+const dvcDetails = require('../crawling_script/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/fetch_tthc_details');
+const thutucDecisions = require('../crawling_script/thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet/list_all_decisions');
+const thutucDetails = require('../crawling_script/thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet/ma_quyet_dinh=115010/decision_details');
+const mohCrawler = require('../crawling_script/emohbackup.moh.gov.vn/publish/home/crawler');
+const modDetails = require('../crawling_script/www.mod.gov.vn/vn/van-ban/fetch_details');
+const { parseTableData } = require('../crawling_script/www.mod.gov.vn/home/cdcs/vanban_huongdan');
+const verifyAttachments = require('../crawling_script/tools/verify_attachments');
+
+// node:sqlite (Node.js 22.13+) backs the --db sink
+const HAS_SQLITE = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+let server;
+let dataRoot;
+
+function readJSON(...segments) {
+  return JSON.parse(fs.readFileSync(path.join(...segments), 'utf-8'));
+}
+
+function requestsTo(pathPrefix) {
+  return server.requests.filter(request => request.path.startsWith(pathPrefix));
+}
+
+test.before(async () => {
+  server = createMockServer({ vanbanPages: 2, mohDocuments: 6 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  setBaseUrl(`http://127.0.0.1:${server.address().port}`);
+  dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-e2e-'));
+});
+
+test.after(() => {
+  setBaseUrl(null);
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataRoot, { recursive: true, force: true });
+});
+
+test.beforeEach((t) => {
+  server.failures = [];
+  server.requests = [];
+  // The crawlers report progress on the console
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('vanban list follows the pager postbacks, details download attachments', async () => {
+  await vanbanList.main({ dataRoot });
+  const documents = readJSON(dataRoot, 'vanban.chinhphu.vn', 'raw_result.json');
+  assert.strictEqual(documents.length, 50 * 2);
+  assert.strictEqual(requestsTo('/').filter(request => request.method === 'POST').length, 1);
+
+  await vanbanDetails.main({ dataRoot, limit: 1, download: true });
+  const [detail] = readJSON(dataRoot, 'vanban.chinhphu.vn', 'detailed_result.json');
+  assert.strictEqual(detail.CODE, '37/2025/TT-BKHCN');
+  assert.strictEqual(requestsTo('/cpp/files/').length, 1);
+});
+
+test('dvc list pages through rest.jsp and retries injected 503s', async () => {
+  server.failures = [parseFailure('503,route=get_ds_tthc_da_cong_bo_dvc_service,times=2')];
+
+  await dvcList.main({ dataRoot, limit: 3 });
+  const procedures = readJSON(dataRoot, 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds', 'congdan_raw_result.json');
+  assert.ok(procedures.length >= 3);
+  assert.deepStrictEqual(requestsTo('/jsp/rest.jsp').map(request => request.failure), ['status', 'status', null]);
+});
+
+test('dvc details survive a truncated Word export', async () => {
+  server.failures = [parseFailure('truncate,route=/jsp/tthc/export/,times=1')];
+
+  await dvcDetails.main({ dataRoot, limit: 1, download: true });
+  const [detail] = readJSON(dataRoot, 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds', 'congdan_detailed_result.json');
+  assert.ok(detail.ID_TTHC);
+  assert.strictEqual(detail.IMPLEMENTING_AGENCY, 'Tập đoàn Điện lực Việt Nam');
+  // From the mock's made-up impl_orders rows: the field itself is unverified
+  assert.strictEqual(detail.EXECUTION_STEPS.length, 2);
+
+  const exportDir = path.join(dataRoot, 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds', 'attachments', 'congdan', detail.TTHC_MA);
+  const files = fs.readdirSync(exportDir);
+  assert.deepStrictEqual(files, [`${detail.TTHC_MA}_chi_tiet.doc`]);
+  assert.strictEqual(requestsTo('/jsp/tthc/export/').length, 2);
+});
+
+test('thutuc decisions and decision details', async () => {
+  await thutucDecisions.main({ dataRoot });
+  const decisions = readJSON(dataRoot, 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo', 'raw_result.json');
+  assert.strictEqual(decisions.length, 50);
+
+  await thutucDetails.main({ dataRoot, limit: 2, concurrency: 1, format: 'ndjson' });
+  const services = new Set(requestsTo('/jsp/rest.jsp').map(request => request.service));
+  assert.ok(services.has('get_modified_procedures_by_dp_id_service_v2'));
+  const details = fs.readFileSync(path.join(dataRoot, 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo', 'detailed_result.ndjson'), 'utf-8')
+    .trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(details.map(detail => detail.ID), decisions.slice(0, 2).map(decision => decision.ID));
+
+  // A decision page that fails is an ERROR for --resume to fetch again
+  server.failures = [parseFailure('404,route=/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet.html,times=1')];
+  await assert.rejects(thutucDetails.main({ dataRoot, limit: 2, concurrency: 1 }), /1 decision\(s\) failed/);
+  const failed = readJSON(dataRoot, 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo', 'detailed_result.json');
+  assert.deepStrictEqual(failed.map(detail => Boolean(detail.ERROR)), [true, false]);
+
+  await thutucDetails.main({ dataRoot, limit: 2, concurrency: 1, resume: true });
+  const resumed = readJSON(dataRoot, 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo', 'detailed_result.json');
+  assert.deepStrictEqual(resumed, details);
+});
+
+test('moh crawl reads the search API once and resumes an interrupted attachment', async () => {
+  server.failures = [parseFailure('truncate,route=/publish/attach/getfile,times=1')];
+
+  await mohCrawler.main({ dataRoot, download: true });
+  const documents = readJSON(dataRoot, 'emohbackup.moh.gov.vn/publish/home', 'document_raw_result.json');
+  assert.strictEqual(documents.length, 6);
+  assert.strictEqual(documents[1].CODE, '2/QĐ-BYT');
+  // Derived fields sit right after their source, as `tools dates`/`tools codes` put them
+  assert.deepStrictEqual(Object.keys(documents[1]).slice(1, 3), ['CODE', 'CODE_PARTS']);
+  assert.strictEqual(documents[1].CODE_PARTS.TYPE, 'QĐ');
+  assert.strictEqual(documents[1].RAW.documentId, documents[1].DOC_ID);
+
+  const attachmentDir = path.join(dataRoot, 'emohbackup.moh.gov.vn/publish/home', 'attachments', `documentId=${documents[0].DOC_ID}`);
+  assert.deepStrictEqual(fs.readdirSync(attachmentDir), [documents[0].ATTACHMENTS[0].filename]);
+
+  // No second pass over the search API; the truncated file was resumed, not restarted
+  assert.strictEqual(requestsTo('/publish/doc/search').length, 1);
+  const downloads = requestsTo('/publish/attach/getfile');
+  assert.strictEqual(downloads.length, 7);
+  assert.ok(downloads.some(request => /^bytes=\d+-$/.test(request.range || '')));
+
+  const attachmentsDir = path.join(dataRoot, 'emohbackup.moh.gov.vn/publish/home', 'attachments');
+  const manifest = readJSON(attachmentsDir, 'manifest.json');
+  assert.strictEqual(Object.keys(manifest).length, 6);
+  for (const [key, entry] of Object.entries(manifest)) {
+    const content = fs.readFileSync(path.join(attachmentsDir, key));
+    assert.strictEqual(entry.status, 'done');
+    assert.strictEqual(entry.size, content.length);
+    assert.strictEqual(entry.sha256, crypto.createHash('sha256').update(content).digest('hex'));
+  }
+
+  // A second run finds everything in the manifest
+  server.requests = [];
+  await mohCrawler.main({ dataRoot, attachmentsOnly: true });
+  assert.strictEqual(requestsTo('/publish/').length, 0);
+});
+
+test('moh crawl fails, writing nothing, when the search fails and exits non-zero on failed downloads', async () => {
+  const outDir = path.join(dataRoot, 'moh-failures');
+  server.failures = [parseFailure('404,route=/publish/doc/search,times=1')];
+  await assert.rejects(mohCrawler.main({ outDir }), /404/);
+  assert.ok(!fs.existsSync(path.join(outDir, 'document_raw_result.json')));
+
+  server.failures = [parseFailure('404,route=/publish/attach/getfile,times=1')];
+  await assert.rejects(mohCrawler.main({ outDir, download: true }), /1 attachment\(s\) failed to download/);
+  assert.strictEqual(readJSON(outDir, 'document_raw_result.json').length, 6);
+
+  // The retry downloads only the missing file
+  server.requests = [];
+  await mohCrawler.main({ outDir, attachmentsOnly: true });
+  assert.strictEqual(requestsTo('/publish/attach/getfile').length, 1);
+
+  // Results saved by the old crawler hold the raw search entries
+  const legacyDir = path.join(dataRoot, 'moh-legacy');
+  fs.mkdirSync(legacyDir, { recursive: true });
+  fs.writeFileSync(path.join(legacyDir, 'document_raw_result.json'), JSON.stringify([
+    { documentId: 7001, attachments: [{ attachId: '700101', fileName: '1-QD-BYT.pdf' }] }
+  ]));
+  server.requests = [];
+  await mohCrawler.main({ outDir: legacyDir, attachmentsOnly: true });
+  assert.deepStrictEqual(requestsTo('/publish/attach/getfile').map(request => request.path), ['/publish/attach/getfile/700101']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(legacyDir, 'attachments', 'documentId=7001')), ['1-QD-BYT.pdf']);
+
+  fs.writeFileSync(path.join(legacyDir, 'document_raw_result.json'), JSON.stringify([{ attachments: [] }]));
+  await assert.rejects(mohCrawler.main({ outDir: legacyDir, attachmentsOnly: true }), /neither DOC_ID nor documentId/);
+});
+
+test('moh crawl passes the year and term filters to the search', async () => {
+  const outDir = path.join(dataRoot, 'moh-filtered');
+  await mohCrawler.main({ outDir, year: 2024, term: 'số 2' });
+
+  assert.deepStrictEqual(readJSON(outDir, 'document_raw_result.json').map(doc => doc.CODE), ['2/QĐ-BYT']);
+  const [search] = requestsTo('/publish/doc/search');
+  assert.ok(search.path.includes('year=2024&'));
+  assert.ok(search.path.includes('typeId=0&deptId=0&'));
+});
+
+test('mod details parse each FULL_URL and download PDFs by document UUID', async () => {
+  // The list stage needs a browser; seed its output from the saved list page
+  const outDir = path.join(dataRoot, 'mod');
+  const listHtml = fs.readFileSync(path.join(__dirname, '..', 'example/www.mod.gov.vn/home/cdcs/vanban_huongdan.html'), 'utf-8');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'raw_result.json'), JSON.stringify(parseTableData(listHtml)));
+
+  await modDetails.main({ outDir, limit: 2, download: true });
+  const details = readJSON(outDir, 'detailed_result.json');
+  assert.strictEqual(details.length, 2);
+  assert.ok(details.every(detail => detail.SIGNER && !detail.ERROR));
+  assert.strictEqual(requestsTo('/home/vbpl/detaillg').length, 2);
+
+  const files = fs.readdirSync(path.join(outDir, 'attachments', details[1].UUID));
+  assert.deepStrictEqual(files, ['VBHN92BQP.pdf']);
+
+  // A document that fails is saved with ERROR and the run fails
+  const failedDir = path.join(dataRoot, 'mod-failed');
+  fs.mkdirSync(failedDir, { recursive: true });
+  fs.copyFileSync(path.join(outDir, 'raw_result.json'), path.join(failedDir, 'raw_result.json'));
+  server.failures = [parseFailure('404,route=/home/vbpl/detaillg,times=1')];
+  await assert.rejects(modDetails.main({ outDir: failedDir, limit: 2 }), /1 document\(s\) failed/);
+  assert.deepStrictEqual(readJSON(failedDir, 'detailed_result.json').map(detail => Boolean(detail.ERROR)), [true, false]);
+});
+
+test('tools verify queues corrupt attachments and --repair downloads them again', async () => {
+  const attachmentsDir = path.join(dataRoot, 'mod', 'attachments');
+  const manifest = readJSON(attachmentsDir, 'manifest.json');
+  const [key] = Object.keys(manifest).filter(name => name.endsWith('VBHN92BQP.pdf'));
+  const filePath = path.join(attachmentsDir, key);
+  const original = fs.readFileSync(filePath);
+  assert.strictEqual(manifest[key].content_type, 'application/pdf');
+
+  await verifyAttachments.main({ positionals: [dataRoot] });
+  fs.writeFileSync(filePath, Buffer.alloc(original.length));
+
+  await assert.rejects(verifyAttachments.main({ positionals: [attachmentsDir] }), /1 file\(s\) still need downloading/);
+  assert.strictEqual(readJSON(attachmentsDir, 'manifest.json')[key].status, 'queued');
+  assert.ok(!fs.existsSync(filePath));
+  assert.strictEqual(server.requests.length, 0);
+
+  await verifyAttachments.main({ positionals: [attachmentsDir], repair: true });
+  assert.deepStrictEqual(fs.readFileSync(filePath), original);
+  assert.strictEqual(readJSON(attachmentsDir, 'manifest.json')[key].status, 'done');
+  assert.strictEqual(server.requests.length, 1);
+});
+
+test('--db-only keeps the dvc pipeline in SQLite', { skip: !HAS_SQLITE && 'needs node:sqlite' }, async () => {
+  const { DatabaseSync } = require('node:sqlite');
+  const outDir = path.join(dataRoot, 'dvc-db');
+  const db = path.join(dataRoot, 'songgio.sqlite');
+
+  await dvcList.main({ outDir, db, dbOnly: true, limit: 2 });
+  await dvcDetails.main({ outDir, db, dbOnly: true, limit: 2 });
+  assert.ok(!fs.existsSync(path.join(outDir, 'congdan_raw_result.json')));
+
+  const reader = new DatabaseSync(db);
+  const rows = reader.prepare('SELECT tthc_ma, name, id_tthc, raw FROM tthc ORDER BY rowid').all();
+  reader.close();
+  assert.strictEqual(rows.length, 2);
+  assert.ok(rows.every(row => row.name && row.id_tthc));
+  // The list record and the fetched details are merged into one row
+  assert.ok(JSON.parse(rows[0].raw).TOTAL_RECORDS);
+});
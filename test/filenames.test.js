@@ -0,0 +1,83 @@
+/**
+ * Attachment naming policy: safe names, collisions and inferred extensions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AttachmentNamer, MAX_NAME_BYTES, responseExtension, sanitizeFilename } = require('../crawling_script/lib/filenames');
+const { Manifest } = require('../crawling_script/lib/manifest');
+const { downloadTracked } = require('../crawling_script/lib/download_queue');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-filenames-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('names are NFC, free of reserved characters and bounded in bytes', () => {
+  assert.strictEqual(sanitizeFilename('Quyết định 12/QĐ-BYT.pdf'), 'Quyết định 12_QĐ-BYT.pdf');
+  assert.strictEqual(sanitizeFilename(' ..a:b*c?"d"<e>|f\u0000.doc. '), 'a_b_c__d__e__f_.doc');
+  assert.strictEqual(sanitizeFilename('CON.pdf'), '_CON.pdf');
+  assert.strictEqual(sanitizeFilename('../'), '_');
+  assert.strictEqual(sanitizeFilename(''), 'attachment');
+
+  const long = sanitizeFilename(`${'Thông tư hướng dẫn '.repeat(20)}.signed.pdf`);
+  assert.ok(Buffer.byteLength(long) <= MAX_NAME_BYTES);
+  assert.ok(long.endsWith('.pdf') && !long.includes('�'));
+});
+
+test('extensions come from Content-Disposition, then Content-Type', () => {
+  assert.strictEqual(responseExtension('application/octet-stream', 'attachment; filename="QD 12.DOCX"'), '.docx');
+  assert.strictEqual(responseExtension('', "attachment; filename*=UTF-8''Quy%E1%BA%BFt%20%C4%91%E1%BB%8Bnh.pdf"), '.pdf');
+  assert.strictEqual(responseExtension('application/msword; charset=utf-8', ''), '.doc');
+  assert.strictEqual(responseExtension('application/octet-stream', ''), '');
+});
+
+test('the namer numbers duplicates and keeps names recorded for other URLs', () => {
+  const manifest = new Manifest(dir);
+  manifest.set(path.join(dir, 'doc', 'a.pdf'), { url: 'https://x/old', status: 'done' });
+
+  const namer = new AttachmentNamer(manifest, path.join(dir, 'doc'));
+  assert.strictEqual(namer.path('a.pdf', 'https://x/old'), path.join(dir, 'doc', 'a.pdf'));
+  assert.strictEqual(namer.path('a.pdf', 'https://x/1'), path.join(dir, 'doc', 'a_2.pdf'));
+  assert.strictEqual(namer.path('a/pdf', 'https://x/2'), path.join(dir, 'doc', 'a_pdf'));
+  assert.strictEqual(namer.path('a.pdf', 'https://x/1'), path.join(dir, 'doc', 'a_2.pdf'));
+  assert.strictEqual(namer.path('', 'https://x/files/b%20c.doc?v=1'), path.join(dir, 'doc', 'b c.doc'));
+
+  // Names differing only in case are one file on Windows and macOS
+  assert.strictEqual(namer.path('QD.pdf', 'https://x/3'), path.join(dir, 'doc', 'QD.pdf'));
+  assert.strictEqual(namer.path('qd.pdf', 'https://x/4'), path.join(dir, 'doc', 'qd_2.pdf'));
+  assert.strictEqual(new AttachmentNamer(manifest, path.join(dir, 'doc')).path('A.PDF', 'https://x/5'), path.join(dir, 'doc', 'A_2.PDF'));
+});
+
+test('a name without extension is saved with the announced one and found again', async () => {
+  const client = {
+    calls: 0,
+    async download(url, destPath) {
+      this.calls++;
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      fs.writeFileSync(destPath, '%PDF-1.4');
+      return { path: destPath, bytes: 8, contentType: 'application/pdf', contentDisposition: '', resumedFrom: 0 };
+    }
+  };
+  const manifest = new Manifest(dir);
+  const destPath = path.join(dir, '115010', 'Quyết định công bố');
+
+  const first = await downloadTracked(client, manifest, 'https://x/download?ma=1', destPath, { originalName: 'Quyết định công bố' });
+  assert.strictEqual(first.path, `${destPath}.pdf`);
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(destPath)), ['Quyết định công bố.pdf']);
+  assert.strictEqual(manifest.get(first.path).original_name, 'Quyết định công bố');
+
+  const second = await downloadTracked(client, manifest, 'https://x/download?ma=1', destPath);
+  assert.strictEqual(second.status, 'skipped');
+  assert.strictEqual(second.path, first.path);
+  assert.strictEqual(client.calls, 1);
+});
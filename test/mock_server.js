@@ -0,0 +1,422 @@
+/**
+ * Local stand-in for the government sites, serving the example/ fixtures
+ *
+ * Every site is served from the same origin on its real paths, so a crawler
+ * only needs --base-url (or SONGGIO_BASE_URL) to run end to end against it:
+ *   POST /jsp/rest.jsp                  rest.jsp services, by `service` in the `params` form field
+ *   GET  /, POST /                      vanban.chinhphu.vn list page and pager postbacks
+ *   GET  /?pageid=&docid=               vanban.chinhphu.vn detail page
+ *   GET  /p/home/*.html                 dichvucong / thutuc detail pages
+ *   GET  /publish/doc/search            emohbackup.moh.gov.vn search API (generated documents)
+ *   GET  /home/cdcs, /home/searchhome,
+ *        /home/vbpl/detaillg, /vn/van-ban/*
+ *                                      www.mod.gov.vn list, category list and detail pages
+ *   GET  /cpp/files/*, /web/jsp/download_file.jsp, /publish/attach/getfile/*,
+ *        /jsp/tthc/export/export_word_detail_tthc.jsp, /wcm/connect/*
+ *                                      attachments (generated bytes)
+ *
+ * Failures are injected with rules, KIND[,route=R][,times=N][,rate=P]:
+ *   503 (any status)  respond with that status and Retry-After: 0
+ *   slow:MS           wait MS before responding
+ *   truncate          announce the full Content-Length, send half, drop the connection
+ *                     (attachments accept `Range: bytes=N-` to resume)
+ *   malformed         send half of the body as if complete (broken JSON / HTML)
+ * `route` matches a path prefix or a rest.jsp service name; `times` limits how
+ * often the rule fires and `rate` makes it fire at random.
+ *
+ * Usage:
+ *   npm run mock-server -- --port 8080 --fail 503,route=/jsp/rest.jsp,times=2
+ *   songgio dvc list --limit 20 --base-url http://127.0.0.1:8080
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { UsageError, runCommand } = require('../crawling_script/lib/cli_args');
+
+const EXAMPLE_DIR = path.join(__dirname, '..', 'example');
+
+// Fixture files relative to example/
+const FIXTURES = {
+  decisions: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo/decision_publishment_advanced_search_service_v2.json',
+  agencies: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo/get_list_agency_service_v2.json',
+  fields: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo/procedure_get_list_field_service_v2.json',
+  decisionDir: 'thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo/ma_quyet_dinh=115010',
+  tthcList: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/get_ds_tthc_da_cong_bo_dvc_service.json',
+  tthcDetail: 'dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/ma_thu_tuc=3.000001/details.html',
+  tthcDetailFull: 'dichvucong.gov.vn/p/home/dvc-tthc-thu-tuc-hanh-chinh-chi-tiet/details.html',
+  vanbanList: 'vanban.chinhphu.vn/list.html',
+  vanbanDetail: 'vanban.chinhphu.vn/pageid=27160&docid=216105/details.html',
+  modList: 'www.mod.gov.vn/home/cdcs/vanban_huongdan.html',
+  modDetail: 'www.mod.gov.vn/vn/van-ban/sa-qlcddh-vbpl-htvb/sa-qlcddh-csqn/sa-qlcddh-csqn-ncc/63437496-8bdb-4d6b-af1e-45c4a39cb851/vanban.html'
+};
+
+// Per-decision services answered from the ma_quyet_dinh=115010 fixtures, whatever the id
+const DECISION_SERVICES = [
+  'get_fields_by_dp_id_services_v2',
+  'get_procedures_by_dp_id_service_v2',
+  'get_modified_procedures_by_dp_id_service_v2',
+  'get_rescinded_procedures_by_dp_id_service_v2'
+];
+
+const ATTACHMENT_ROUTES = [
+  '/cpp/files/',
+  '/web/jsp/download_file.jsp',
+  '/publish/attach/getfile/',
+  '/jsp/tthc/export/export_word_detail_tthc.jsp',
+  '/wcm/connect/'
+];
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+/**
+ * Parse a failure rule, e.g. "503,route=/jsp/rest.jsp,times=2" or "slow:2000,rate=0.1"
+ * @param {string} spec
+ * @returns {{ kind: string, status?: number, delay?: number, route: string|null, times: number, rate: number }}
+ */
+function parseFailure(spec) {
+  const [head, ...settings] = spec.split(',');
+  const [kind, value] = head.split(':');
+  const rule = { kind, route: null, times: Infinity, rate: 1 };
+
+  if (/^\d{3}$/.test(kind)) {
+    rule.kind = 'status';
+    rule.status = parseInt(kind);
+  } else if (kind === 'slow') {
+    rule.delay = parseInt(value) || 5000;
+  } else if (kind !== 'truncate' && kind !== 'malformed') {
+    throw new UsageError(`Unknown failure kind "${kind}" (expected a status code, slow:MS, truncate or malformed)`);
+  }
+
+  for (const setting of settings) {
+    const [key, settingValue] = setting.split('=');
+    if (key === 'route') {
+      rule.route = settingValue;
+    } else if (key === 'times') {
+      rule.times = parseInt(settingValue);
+    } else if (key === 'rate') {
+      rule.rate = parseFloat(settingValue);
+    } else {
+      throw new UsageError(`Unknown failure setting "${key}" in "${spec}"`);
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Create the mock server (not yet listening)
+ * @param {Object} options
+ * @param {Array<string|Object>} [options.failures] - Failure rules (specs or parsed rules)
+ * @param {number} [options.vanbanPages] - Number of vanban list pages reachable through the pager
+ * @param {number} [options.mohDocuments] - Number of generated MOH documents
+ * @returns {http.Server} Server with `failures` (live rule list) and `requests` (request log)
+ */
+function createMockServer(options = {}) {
+  const { vanbanPages = 3, mohDocuments = 120 } = options;
+  const fixtures = new Map();
+
+  /**
+   * Read a fixture once
+   */
+  function fixture(name, file = FIXTURES[name]) {
+    if (!fixtures.has(file)) {
+      fixtures.set(file, fs.readFileSync(path.join(EXAMPLE_DIR, file), 'utf-8'));
+    }
+    return fixtures.get(file);
+  }
+
+  function json(data, status = 200) {
+    return { status, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify(data) };
+  }
+
+  function html(body) {
+    return { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8' }, body };
+  }
+
+  /**
+   * rest.jsp: dispatch on the service named in the `params` form field
+   */
+  function restService(params) {
+    const { service } = params;
+
+    if (service === 'decision_publishment_advanced_search_service_v2') {
+      const rows = JSON.parse(fixture('decisions'));
+      const page = slice(rows, params.recordPerPage, params.pageIndex);
+      return json(page.map(row => ({ ...row, AMOUNT: String(rows.length) })));
+    }
+    if (service === 'get_list_agency_service_v2') {
+      return json(JSON.parse(fixture('agencies')));
+    }
+    if (service === 'procedure_get_list_field_service_v2') {
+      return json(JSON.parse(fixture('fields')));
+    }
+    if (DECISION_SERVICES.includes(service)) {
+      const rows = JSON.parse(fixture(null, `${FIXTURES.decisionDir}/${service}.json`));
+      return json(slice(rows, params.recordPerPage, params.pageIndex));
+    }
+    if (service === 'get_ds_tthc_da_cong_bo_dvc_service') {
+      const rows = JSON.parse(fixture('tthcList'));
+      const page = slice(rows, params.p_Page_Size, params.p_Page_Index);
+      return json(page.map(row => ({ ...row, TOTAL_RECORDS: String(rows.length) })));
+    }
+
+    // Loaded by the full procedure page. There is no capture of these in
+    // example/: the rows are made up with the keys the page scripts read, so
+    // the e2e run only shows they are requested and merged (see fetchFullDetail)
+    if (service === 'procedure_get_impl_orders_by_proc_id_service_v2') {
+      return json([
+        { SCENARIO: null, CONTENT: `Bước 1: Nộp hồ sơ (thủ tục ${params.id})` },
+        { SCENARIO: null, CONTENT: 'Bước 2: Nhận kết quả' }
+      ]);
+    }
+    if (service === 'procedure_get_requires_by_procedure_id_service_v2') {
+      return json([]);
+    }
+
+    return json({ error: `Unknown service: ${service}` }, 404);
+  }
+
+  /**
+   * vanban.chinhphu.vn list: page 1 on GET, page N on a pager postback.
+   * Doc IDs are shifted per page so every page yields distinct documents,
+   * and the pager stops advertising pages beyond `vanbanPages`.
+   */
+  function vanbanList(method, form) {
+    let pageNumber = 1;
+    if (method === 'POST') {
+      const match = /^Page\$(\d+)$/.exec(form.get('__EVENTARGUMENT') || '');
+      if (!form.get('__VIEWSTATE') || !match) {
+        return { status: 400, headers: { 'Content-Type': 'text/plain' }, body: 'Invalid postback' };
+      }
+      pageNumber = parseInt(match[1]);
+    }
+
+    const offset = (pageNumber - 1) * 1000000;
+    const body = fixture('vanbanList')
+      .replace(/docid=(\d+)/g, (_, docId) => `docid=${parseInt(docId) + offset}`)
+      .replace(/Page\$(\d+)/g, (_, target) => `Page$${parseInt(target) + pageNumber - 1}`)
+      .replace(/__doPostBack\([^)]*Page\$(\d+)[^)]*\)/g, (call, target) => (parseInt(target) > vanbanPages ? 'void(0)' : call));
+
+    const response = html(body);
+    response.headers['Set-Cookie'] = 'ASP.NET_SessionId=mock-session; path=/; HttpOnly';
+    return response;
+  }
+
+  /**
+   * emohbackup.moh.gov.vn search API over generated documents; the year and
+   * term filters apply, the others are ignored
+   */
+  function mohSearch(query) {
+    const page = parseInt(query.get('page')) || 0;
+    const size = parseInt(query.get('size')) || 10;
+
+    const documents = [];
+    for (let i = 0; i < mohDocuments; i++) {
+      const documentId = 5000 + i;
+      documents.push({
+        documentId,
+        docCode: `${i + 1}/QĐ-BYT`,
+        title: `Quyết định mẫu số ${i + 1}`,
+        publishDate: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().substring(0, 10),
+        attachments: [{ attachId: `${documentId}01`, fileName: `${i + 1}-QD-BYT.pdf` }]
+      });
+    }
+
+    const filtered = documents.filter(doc =>
+      (!parseInt(query.get('year')) || doc.publishDate.startsWith(query.get('year'))) &&
+      (!query.get('term') || doc.title.includes(query.get('term')))
+    );
+
+    return json({ data: { lstResult: filtered.slice(page * size, (page + 1) * size), nTotal: filtered.length } });
+  }
+
+  /**
+   * Deterministic attachment bytes for a download URL
+   */
+  function attachment(url) {
+    const extension = url.pathname.endsWith('.jsp') ? '.doc' : path.extname(url.pathname).toLowerCase();
+    const body = Buffer.from(`Mock attachment ${url.pathname}${url.search}\n`.repeat(64));
+    return {
+      status: 200,
+      headers: { 'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream', 'Accept-Ranges': 'bytes' },
+      body
+    };
+  }
+
+  /**
+   * Route a request to its response
+   */
+  function route(method, url, form) {
+    const { pathname } = url;
+
+    if (pathname === '/jsp/rest.jsp' && method === 'POST') {
+      return restService(JSON.parse(form.get('params') || '{}'));
+    }
+    if (pathname === '/' && url.searchParams.has('docid')) {
+      return html(fixture('vanbanDetail'));
+    }
+    if (pathname === '/') {
+      return vanbanList(method, form);
+    }
+    if (pathname === '/p/home/dvc-chi-tiet-thu-tuc-hanh-chinh.html') {
+      return html(fixture('tthcDetail'));
+    }
+    if (pathname === '/p/home/dvc-tthc-thu-tuc-hanh-chinh-chi-tiet.html') {
+      return html(fixture('tthcDetailFull'));
+    }
+    if (pathname === '/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet.html') {
+      return html(fixture(null, `${FIXTURES.decisionDir}/details.html`));
+    }
+    if (pathname === '/publish/doc/search') {
+      return mohSearch(url.searchParams);
+    }
+    if (pathname === '/home/cdcs' || pathname.startsWith('/home/cdcs/') || pathname === '/home/searchhome') {
+      return html(fixture('modList'));
+    }
+    if (pathname === '/home/vbpl/detaillg' || pathname.startsWith('/vn/van-ban/')) {
+      return html(fixture('modDetail'));
+    }
+    if (ATTACHMENT_ROUTES.some(prefix => pathname.startsWith(prefix))) {
+      return attachment(url);
+    }
+
+    return { status: 404, headers: { 'Content-Type': 'text/plain' }, body: `Not found: ${pathname}` };
+  }
+
+  /**
+   * First active failure rule matching the request, consuming one use of it
+   */
+  function pickFailure(pathname, service) {
+    for (const rule of server.failures) {
+      const matches = !rule.route || pathname.startsWith(rule.route) || rule.route === service;
+      if (matches && rule.times > 0 && Math.random() < rule.rate) {
+        rule.times--;
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    let form = new URLSearchParams();
+    try {
+      if (req.method === 'POST') {
+        form = new URLSearchParams(await readRequestBody(req));
+      }
+
+      const service = url.pathname === '/jsp/rest.jsp' ? JSON.parse(form.get('params') || '{}').service : undefined;
+      const failure = pickFailure(url.pathname, service);
+      server.requests.push({ method: req.method, path: url.pathname + url.search, service, range: req.headers.range, failure: failure && failure.kind });
+
+      if (failure && failure.kind === 'status') {
+        res.writeHead(failure.status, { 'Content-Type': 'text/plain', 'Retry-After': '0' });
+        res.end(`Injected ${failure.status}`);
+        return;
+      }
+      if (failure && failure.kind === 'slow') {
+        await new Promise(resolve => setTimeout(resolve, failure.delay));
+      }
+
+      const response = route(req.method, url, form);
+      let body = Buffer.from(response.body);
+
+      // Attachments honour `Range: bytes=N-` so that resumed downloads can be tested
+      const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+      if (range && response.headers['Accept-Ranges']) {
+        const start = parseInt(range[1]);
+        if (start >= body.length) {
+          res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+          res.end();
+          return;
+        }
+        response.status = 206;
+        response.headers['Content-Range'] = `bytes ${start}-${body.length - 1}/${body.length}`;
+        body = body.subarray(start);
+      }
+
+      const half = body.subarray(0, Math.floor(body.length / 2));
+
+      if (failure && failure.kind === 'truncate') {
+        res.writeHead(response.status, { ...response.headers, 'Content-Length': body.length });
+        res.write(half);
+        // Let the partial body reach the client before dropping the connection
+        setTimeout(() => res.destroy(), 20);
+      } else if (failure && failure.kind === 'malformed') {
+        res.writeHead(response.status, { ...response.headers, 'Content-Length': half.length });
+        res.end(half);
+      } else {
+        res.writeHead(response.status, { ...response.headers, 'Content-Length': body.length });
+        res.end(body);
+      }
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Mock server error: ${err.message}`);
+    }
+  });
+
+  server.failures = (options.failures || []).map(rule => (typeof rule === 'string' ? parseFailure(rule) : rule));
+  server.requests = [];
+  return server;
+}
+
+/**
+ * Page `pageIndex` (1-based) of `perPage` rows; everything when no paging is requested
+ */
+function slice(rows, perPage, pageIndex) {
+  const size = parseInt(perPage);
+  if (!size) {
+    return rows;
+  }
+  const start = (Math.max(parseInt(pageIndex) || 1, 1) - 1) * size;
+  return rows.slice(start, start + size);
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Flags of the standalone server
+const COMMAND_SPEC = {
+  extra: {
+    port: { type: 'string', value: 'N', integer: true, description: 'Port to listen on (default 8080)' },
+    fail: { type: 'string', value: 'RULE', multiple: true, description: 'Inject failures, e.g. 503,route=/jsp/rest.jsp,times=2 (repeatable)' },
+    'vanban-pages': { type: 'string', value: 'N', integer: true, description: 'vanban list pages reachable through the pager (default 3)' },
+    'moh-documents': { type: 'string', value: 'N', integer: true, description: 'Number of generated MOH documents (default 120)' }
+  }
+};
+
+/**
+ * Start the server and keep it running until interrupted
+ */
+async function main(options = {}) {
+  const { port = 8080, fail = [], vanbanPages, mohDocuments } = options;
+  const server = createMockServer({ failures: fail.map(parseFailure), vanbanPages, mohDocuments });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  console.log(`Mock server listening on http://127.0.0.1:${port}`);
+  for (const spec of fail) {
+    console.log(`  injecting: ${spec}`);
+  }
+}
+
+if (require.main === module) {
+  runCommand(main, COMMAND_SPEC, 'node test/mock_server.js [options]');
+}
+
+module.exports = { COMMAND_SPEC, createMockServer, main, parseFailure };
@@ -0,0 +1,85 @@
+/**
+ * NDJSON result files: atomic writers, tolerant reader and the converters
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { NdjsonWriter, jsonToNdjson, ndjsonToJson, readNdjson } = require('../crawling_script/lib/ndjson');
+const { ResultWriter, readResult } = require('../crawling_script/lib/result_file');
+
+const RECORDS = [
+  { ID: 1, NAME: 'Quyết định 1', FIELDS: ['a', 'b'] },
+  { ID: 2, NAME: 'Thông tư "2"', NESTED: { empty: {}, list: [] } },
+  { ID: 3, NAME: null }
+];
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-ndjson-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the writer only creates the final file when closed', () => {
+  const filePath = path.join(dir, 'raw_result.ndjson');
+  const writer = new NdjsonWriter(filePath);
+  writer.writeAll(RECORDS);
+
+  assert.ok(!fs.existsSync(filePath));
+  assert.strictEqual(writer.close(), 3);
+  assert.deepStrictEqual(readNdjson(filePath), RECORDS);
+  assert.ok(!fs.existsSync(`${filePath}.tmp`));
+});
+
+test('a truncated last line is skipped, a bad line in the middle is an error', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const filePath = path.join(dir, 'raw_result.ndjson');
+  const lines = RECORDS.map(record => JSON.stringify(record));
+
+  fs.writeFileSync(filePath, `${lines[0]}\n${lines[1]}\n${lines[2].slice(0, 5)}`);
+  assert.deepStrictEqual(readNdjson(filePath), RECORDS.slice(0, 2));
+
+  fs.writeFileSync(filePath, `${lines[0]}\n{"ID":\n${lines[2]}\n`);
+  assert.throws(() => readNdjson(filePath), /raw_result\.ndjson:2/);
+});
+
+test('conversion round-trips and matches the historical JSON layout', async () => {
+  const jsonPath = path.join(dir, 'raw_result.json');
+  const ndjsonPath = path.join(dir, 'raw_result.ndjson');
+  const backPath = path.join(dir, 'back.json');
+  fs.writeFileSync(jsonPath, JSON.stringify(RECORDS, null, 2));
+
+  assert.strictEqual(jsonToNdjson(jsonPath, ndjsonPath), 3);
+  assert.strictEqual(await ndjsonToJson(ndjsonPath, backPath), 3);
+  assert.strictEqual(fs.readFileSync(backPath, 'utf-8'), JSON.stringify(RECORDS, null, 2));
+
+  fs.writeFileSync(ndjsonPath, '');
+  await ndjsonToJson(ndjsonPath, backPath);
+  assert.strictEqual(fs.readFileSync(backPath, 'utf-8'), '[]');
+});
+
+test('ResultWriter appends batches and readResult falls back to the other format', () => {
+  for (const format of ['json', 'ndjson']) {
+    const writer = new ResultWriter(dir, `list_${format}`, format);
+    writer.add(RECORDS.slice(0, 1));
+    writer.add(RECORDS.slice(1));
+    writer.close();
+    assert.strictEqual(writer.count, 3);
+
+    const other = format === 'json' ? 'ndjson' : 'json';
+    assert.deepStrictEqual(readResult(dir, `list_${format}`, other), RECORDS);
+  }
+  assert.strictEqual(readResult(dir, 'missing'), null);
+
+  // A run that adds nothing still replaces the file of the run before
+  const empty = new ResultWriter(dir, 'list_json', 'json');
+  empty.close();
+  assert.deepStrictEqual(readResult(dir, 'list_json'), []);
+});
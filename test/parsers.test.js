@@ -0,0 +1,181 @@
+/**
+ * Offline parser tests against the pages captured in example/
+ *
+ * Each parser's output is compared with a saved expectation in
+ * test/expected/. After an intentional parser change, review the diff and
+ * refresh the expectations with:
+ *   UPDATE_EXPECTED=1 npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseListPage, extractFormFields } = require('../crawling_script/vanban.chinhphu.vn/list_documents');
+const vanbanDetails = require('../crawling_script/vanban.chinhphu.vn/pageid=27160&docid=216105/fetch_details');
+const dvcDetails = require('../crawling_script/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/fetch_tthc_details');
+const DecisionDetailCrawler = require('../crawling_script/thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo-chi-tiet/ma_quyet_dinh=115010/decision_details');
+const { categoryPath, categoryUrl, discoverCategories, resolveProfile, scrapeTableData } = require('../crawling_script/www.mod.gov.vn/home/cdcs/vanban_huongdan');
+const modDetails = require('../crawling_script/www.mod.gov.vn/vn/van-ban/fetch_details');
+
+const EXAMPLE_DIR = path.join(__dirname, '..', 'example');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+
+function readExample(relativePath) {
+  return fs.readFileSync(path.join(EXAMPLE_DIR, relativePath), 'utf-8');
+}
+
+/**
+ * Compare with test/expected/<name>.json (or rewrite it under UPDATE_EXPECTED)
+ */
+function assertMatchesExpected(name, actual) {
+  const filePath = path.join(EXPECTED_DIR, `${name}.json`);
+
+  if (process.env.UPDATE_EXPECTED) {
+    fs.writeFileSync(filePath, JSON.stringify(actual, null, 2) + '\n', 'utf-8');
+    return;
+  }
+
+  assert.ok(fs.existsSync(filePath), `Missing ${filePath}; run with UPDATE_EXPECTED=1 to create it`);
+  assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+}
+
+test('vanban.chinhphu.vn list rows', () => {
+  const { documents, totalDocuments } = parseListPage(readExample('vanban.chinhphu.vn/list.html'), 1);
+
+  assert.strictEqual(totalDocuments, 95775);
+  assert.strictEqual(documents.length, 50);
+  assert.deepStrictEqual(documents[0].ATTACHMENTS, [{
+    url: 'https://datafiles.chinhphu.vn/cpp/files/vbpq/2025/12/678-tb.signed.pdf',
+    label: 'Tài liệu đính kèm',
+    filename: '678-tb.signed.pdf'
+  }]);
+  for (const doc of documents) {
+    assert.match(doc.DOC_ID, /^\d+$/);
+    assert.match(doc.ISSUE_DATE, /^\d{2}\/\d{2}\/\d{4}$/);
+    assert.ok(doc.CODE, `CODE missing for docid=${doc.DOC_ID}`);
+    assert.ok(doc.SUMMARY, `SUMMARY missing for docid=${doc.DOC_ID}`);
+  }
+
+  assertMatchesExpected('vanban_list', documents);
+});
+
+test('vanban.chinhphu.vn list postback fields', () => {
+  const fields = extractFormFields(readExample('vanban.chinhphu.vn/list.html'));
+
+  assert.ok(fields.__VIEWSTATE.length > 100);
+  assert.ok(fields.__EVENTVALIDATION.length > 100);
+  assert.strictEqual(fields.__VIEWSTATEGENERATOR, 'CA0B0334');
+  assert.strictEqual(fields['ctrl_191017_163$drdRecordPerPage'], '50');
+  assert.ok(!('ctrl_191017_163$btnSearch' in fields), 'submit buttons must not be posted');
+});
+
+test('vanban.chinhphu.vn parseDetailHTML', () => {
+  const html = readExample('vanban.chinhphu.vn/pageid=27160&docid=216105/details.html');
+  const detail = vanbanDetails.parseDetailHTML(html, '27160', '216105');
+
+  assert.strictEqual(detail.CODE, '37/2025/TT-BKHCN');
+  assert.strictEqual(detail.ISSUE_DATE, '28-11-2025');
+  assert.strictEqual(detail.DOCUMENT_TYPE, 'Thông tư');
+  assert.strictEqual(detail.ISSUING_AGENCY, 'Bộ Khoa học và Công nghệ');
+  assert.strictEqual(detail.SIGNER, 'Nguyễn Mạnh Hùng');
+  assert.strictEqual(detail.ATTACHMENTS.length, 1);
+
+  assertMatchesExpected('vanban_detail', detail);
+});
+
+test('dichvucong.gov.vn parseDetailHTML', () => {
+  const html = readExample('dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/ma_thu_tuc=3.000001/details.html');
+  const detail = dvcDetails.parseDetailHTML(html, '3.000001');
+
+  assert.strictEqual(detail.ID_TTHC, '7603');
+  assert.strictEqual(detail.HAS_EXPORT, true);
+
+  assertMatchesExpected('dvc_detail', detail);
+});
+
+test('dichvucong.gov.vn parseFullDetailHTML', () => {
+  const html = readExample('dichvucong.gov.vn/p/home/dvc-tthc-thu-tuc-hanh-chinh-chi-tiet/details.html');
+  const detail = dvcDetails.parseFullDetailHTML(html);
+
+  assert.strictEqual(detail.PROCEDURE_CODE, '3.000001');
+  assert.strictEqual(detail.IMPLEMENTING_AGENCY, 'Tập đoàn Điện lực Việt Nam');
+  assert.strictEqual(detail.SUBMISSION_CHANNELS[0].PROCESSING_TIME, '7 Ngày làm việc');
+  assert.strictEqual(detail.DOSSIER.length, 5);
+  assert.deepStrictEqual(detail.LEGAL_BASIS.map(basis => basis.CODE), ['61/2024/QH15', '18/2025/NĐ-CP']);
+  // Loaded by the page's scripts, not in the HTML
+  assert.strictEqual(detail.EXECUTION_STEPS, null);
+
+  assertMatchesExpected('dvc_detail_full', detail);
+});
+
+test('thutuc.dichvucong.gov.vn extractAttachments', () => {
+  const html = readExample('thutuc.dichvucong.gov.vn/p/home/dvc-tthc-quyet-dinh-cong-bo/ma_quyet_dinh=115010/details.html');
+  const attachments = new DecisionDetailCrawler().extractAttachments(html);
+
+  assert.strictEqual(attachments.length, 1);
+  assert.strictEqual(attachments[0].code, '3fd9456cb33031aa');
+
+  assertMatchesExpected('thutuc_attachments', attachments);
+});
+
+test('www.mod.gov.vn scrapeTableData', async () => {
+  const html = readExample('www.mod.gov.vn/home/cdcs/vanban_huongdan.html');
+  const rows = await scrapeTableData({ content: async () => html });
+
+  assert.strictEqual(rows.length, 20);
+  assert.deepStrictEqual(rows.map(row => row.STT), rows.map((_, index) => String(index + 1)));
+  assert.strictEqual(rows[0].SO_KY_HIEU, '92/VBHN-BQP');
+  assert.strictEqual(rows[2].TRICH_YEU, 'Quy định tặng Kỷ niệm chương “Vì sự nghiệp gìn giữ hòa bình Liên hợp quốc”');
+  for (const row of rows) {
+    assert.match(row.NGAY_BAN_HANH, /^\d{2}\/\d{2}\/\d{4}$/);
+    assert.ok(row.FULL_URL.startsWith('https://www.mod.gov.vn/'));
+  }
+
+  assertMatchesExpected('mod_table', rows);
+});
+
+test('www.mod.gov.vn category discovery', () => {
+  const listHtml = readExample('www.mod.gov.vn/home/cdcs/vanban_huongdan.html');
+  const detailHtml = readExample('www.mod.gov.vn/vn/van-ban/sa-qlcddh-vbpl-htvb/sa-qlcddh-csqn/sa-qlcddh-csqn-ncc/63437496-8bdb-4d6b-af1e-45c4a39cb851/vanban.html');
+
+  // Row links reveal the leaf folders and their parents, without names
+  assert.deepStrictEqual(discoverCategories(listHtml), [
+    { path: 'sa-qlcddh-csqn', name: null },
+    { path: 'sa-qlcddh-csqn/sa-qlcddh-csqn-ncc', name: null },
+    { path: 'sa-qlcddh-csqn/sa-qlcddh-csqn-qn', name: null }
+  ]);
+
+  // Breadcrumb listing links carry the category names
+  const fromDetail = discoverCategories(detailHtml);
+  assert.deepStrictEqual(fromDetail.find(category => category.path === 'sa-qlcddh-csqn'), { path: 'sa-qlcddh-csqn', name: 'Chế độ - chính sách' });
+
+  assert.strictEqual(categoryPath('/home/vbpl/detaillg?current=true&urile=wcm:path:/mod/sa-mod-site/sa-qlcddh/sa-qlcddh-vbpl/sa-qlcddh-vbpl-htvb/sa-qlcddh-csqn/sa-qlcddh-csqn-qn/d651c991-028a-4b9a-a42e-af496b61f398'), 'sa-qlcddh-csqn/sa-qlcddh-csqn-qn');
+  assert.strictEqual(categoryPath(categoryUrl('sa-qlcddh-nvqs')), 'sa-qlcddh-nvqs');
+  assert.strictEqual(categoryPath('https://www.mod.gov.vn/home/cdcs'), null);
+});
+
+test('www.mod.gov.vn run profiles', () => {
+  assert.deepStrictEqual(resolveProfile({}), { name: 'human', headless: false, blockResources: false, scroll: true, delay: [1500, 4000] });
+  assert.deepStrictEqual(resolveProfile({ profile: 'server', delay: '0' }).delay, [0, 0]);
+  assert.strictEqual(resolveProfile({ headless: true, delay: '200-500' }).scroll, true);
+  assert.strictEqual(resolveProfile({ headless: true }).headless, true);
+  assert.throws(() => resolveProfile({ delay: '500-200' }), { name: 'UsageError' });
+});
+
+test('www.mod.gov.vn parseDetailHTML', () => {
+  const html = readExample('www.mod.gov.vn/vn/van-ban/sa-qlcddh-vbpl-htvb/sa-qlcddh-csqn/sa-qlcddh-csqn-ncc/63437496-8bdb-4d6b-af1e-45c4a39cb851/vanban.html');
+  const detail = modDetails.parseDetailHTML(html);
+
+  assert.strictEqual(detail.CODE, '92/VBHN-BQP');
+  assert.strictEqual(detail.ISSUING_AGENCY, 'Bộ Quốc phòng');
+  assert.strictEqual(detail.DOCUMENT_TYPE, 'Văn bản hợp nhất');
+  assert.strictEqual(detail.SIGNER, 'Thượng tướng Võ Minh Lương, Thứ trưởng Bộ Quốc phòng');
+  assert.strictEqual(detail.EFFECTIVE_DATE, null);
+  assert.strictEqual(detail.ATTACHMENTS.length, 1);
+  assert.strictEqual(detail.ATTACHMENTS[0].filename, 'VBHN92BQP.pdf');
+  assert.ok(detail.ATTACHMENTS[0].url.startsWith('https://www.mod.gov.vn/wcm/connect/'));
+
+  assertMatchesExpected('mod_detail', detail);
+});
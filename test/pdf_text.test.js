@@ -0,0 +1,144 @@
+/**
+ * PDF text extraction: text layer, scanned-PDF flag and the pdf-text command
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { extractPdfText } = require('../crawling_script/lib/pdf_text');
+const { Manifest } = require('../crawling_script/lib/manifest');
+const extractCommand = require('../crawling_script/tools/extract_pdf_text');
+
+/**
+ * Minimal one-page PDF drawing `lines` in Helvetica (none: a page without text, like a scan)
+ */
+function buildPdf(lines) {
+  const content = lines.map((line, i) => `BT /F1 12 Tf 72 ${720 - i * 16} Td (${line}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const TEXT_LINES = ['THONG TU So 12/2024/TT-BYT', 'Quy dinh chi tiet thi hanh Luat Kham benh, chua benh'];
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-pdf-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the text layer is extracted and a page without one is flagged as scanned', async () => {
+  const textPdf = path.join(dir, 'text.pdf');
+  const scanPdf = path.join(dir, 'scan.pdf');
+  fs.writeFileSync(textPdf, buildPdf(TEXT_LINES));
+  fs.writeFileSync(scanPdf, buildPdf([]));
+
+  const text = await extractPdfText(textPdf);
+  assert.strictEqual(text.pages, 1);
+  assert.ok(text.text.includes('12/2024/TT-BYT'));
+  assert.ok(text.text.includes('Luat Kham benh'));
+  assert.strictEqual(text.scanned, false);
+
+  const scan = await extractPdfText(scanPdf);
+  assert.deepStrictEqual({ pages: scan.pages, chars: scan.chars, scanned: scan.scanned }, { pages: 1, chars: 0, scanned: true });
+
+  fs.writeFileSync(scanPdf, 'not a pdf');
+  await assert.rejects(extractPdfText(scanPdf));
+});
+
+test('pdf-text adds ATTACHMENT_TEXT to the owning records and reuses the .txt files', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const siteDir = path.join(dir, 'vanban.chinhphu.vn');
+  const attachmentsDir = path.join(siteDir, 'attachments');
+  const records = [
+    { PAGE_ID: '27160', DOC_ID: '1', CODE: '12/2024/TT-BYT' },
+    { PAGE_ID: '27160', DOC_ID: '2', CODE: '66.9/NQ-CP' },
+    { PAGE_ID: '27160', DOC_ID: '3', CODE: '1/CĐ-TTg' }
+  ];
+  fs.mkdirSync(siteDir, { recursive: true });
+  fs.writeFileSync(path.join(siteDir, 'detailed_result.json'), JSON.stringify(records));
+
+  const textPdf = path.join(attachmentsDir, 'pageid=27160&docid=1', '12-tt.pdf');
+  const scanPdf = path.join(attachmentsDir, 'pageid=27160&docid=2', '66.9-nq.signed.pdf');
+  fs.mkdirSync(path.dirname(textPdf), { recursive: true });
+  fs.mkdirSync(path.dirname(scanPdf), { recursive: true });
+  fs.writeFileSync(textPdf, buildPdf(TEXT_LINES));
+  fs.writeFileSync(scanPdf, buildPdf([]));
+
+  const manifest = new Manifest(attachmentsDir);
+  await manifest.recordDone(textPdf, { url: 'https://datafiles.chinhphu.vn/12-tt.pdf', originalName: '12-TT.pdf', contentType: 'application/pdf' });
+  manifest.flush();
+
+  await extractCommand.main({ dataRoot: dir, site: ['vanban'] });
+  const [first, second, third] = JSON.parse(fs.readFileSync(path.join(siteDir, 'detailed_result.json'), 'utf-8'));
+
+  assert.strictEqual(first.ATTACHMENT_TEXT.length, 1);
+  assert.strictEqual(first.ATTACHMENT_TEXT[0].file, 'pageid=27160&docid=1/12-tt.pdf');
+  assert.strictEqual(first.ATTACHMENT_TEXT[0].original_name, '12-TT.pdf');
+  assert.ok(first.ATTACHMENT_TEXT[0].text.includes('12/2024/TT-BYT'));
+  assert.strictEqual(second.ATTACHMENT_TEXT[0].scanned, true);
+  assert.strictEqual(second.ATTACHMENT_TEXT[0].url, null);
+  assert.strictEqual(third.ATTACHMENT_TEXT, undefined);
+  assert.ok(fs.existsSync(`${textPdf}.txt`));
+
+  // A second run reads the .txt files instead of the PDFs
+  fs.writeFileSync(`${textPdf}.txt`, 'cached text of 12/2024/TT-BYT');
+  await extractCommand.main({ dataRoot: dir, site: ['vanban'] });
+  const [again] = JSON.parse(fs.readFileSync(path.join(siteDir, 'detailed_result.json'), 'utf-8'));
+  assert.strictEqual(again.ATTACHMENT_TEXT[0].text, 'cached text of 12/2024/TT-BYT');
+
+  // An unreadable PDF fails the command after the results are written
+  const brokenPdf = path.join(attachmentsDir, 'pageid=27160&docid=3', '1-cd.pdf');
+  fs.mkdirSync(path.dirname(brokenPdf), { recursive: true });
+  fs.writeFileSync(brokenPdf, 'not a pdf');
+  await assert.rejects(extractCommand.main({ dataRoot: dir, site: ['vanban'] }), /1 PDF\(s\) could not be read/);
+  const [, , broken] = JSON.parse(fs.readFileSync(path.join(siteDir, 'detailed_result.json'), 'utf-8'));
+  assert.strictEqual(broken.ATTACHMENT_TEXT[0].file, 'pageid=27160&docid=3/1-cd.pdf');
+  assert.ok(broken.ATTACHMENT_TEXT[0].error);
+});
+
+test('pdf-text reads both dvc attachment folders and matches them by TTHC_MA', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const siteDir = path.join(dir, 'dichvucong.gov.vn', 'p', 'home', 'dvc-dich-vu-cong-truc-tuyen-ds');
+  fs.mkdirSync(siteDir, { recursive: true });
+  fs.writeFileSync(path.join(siteDir, 'congdan_detailed_result.json'), JSON.stringify([{ TTHC_MA: '1.001' }]));
+  fs.writeFileSync(path.join(siteDir, 'doanhnghiep_detailed_result.json'), JSON.stringify([{ TTHC_MA: '2.002' }, { TTHC_MA: '3.003' }]));
+
+  for (const file of ['congdan/1.001/mau-don.pdf', 'doanhnghiep/2.002/to-khai.pdf']) {
+    fs.mkdirSync(path.dirname(path.join(siteDir, 'attachments', file)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, 'attachments', file), buildPdf(TEXT_LINES));
+  }
+
+  await extractCommand.main({ dataRoot: dir, site: ['dvc'] });
+  const read = name => JSON.parse(fs.readFileSync(path.join(siteDir, `${name}.json`), 'utf-8'));
+  const [citizen] = read('congdan_detailed_result');
+  const [business, other] = read('doanhnghiep_detailed_result');
+
+  assert.deepStrictEqual(citizen.ATTACHMENT_TEXT.map(entry => entry.file), ['congdan/1.001/mau-don.pdf']);
+  assert.deepStrictEqual(business.ATTACHMENT_TEXT.map(entry => entry.file), ['doanhnghiep/2.002/to-khai.pdf']);
+  assert.ok(business.ATTACHMENT_TEXT[0].text.includes('12/2024/TT-BYT'));
+  assert.strictEqual(other.ATTACHMENT_TEXT, undefined);
+});
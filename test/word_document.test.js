@@ -0,0 +1,217 @@
+/**
+ * Word exports: format detection, the three readers and the dvc cross-check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { detectFormat, readWordDocument } = require('../crawling_script/lib/word_document');
+const dvcDetails = require('../crawling_script/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/fetch_tthc_details');
+const dvcExports = require('../crawling_script/dichvucong.gov.vn/p/home/dvc-dich-vu-cong-truc-tuyen-ds/parse_word_exports');
+
+const WEB_DETAIL = JSON.parse(fs.readFileSync(path.join(__dirname, 'expected', 'dvc_detail_full.json'), 'utf-8'));
+
+const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const row = cells => `<tr>${cells.map(cell => `<td><p>${cell}</p></td>`).join('')}</tr>`;
+
+/**
+ * Word HTML export of a procedure, laid out as one label/value table with
+ * the lists as nested tables
+ */
+function buildHtmlExport(detail) {
+  const labels = Object.fromEntries(Object.entries(dvcDetails.INFO_FIELDS).map(([label, key]) => [key, label]));
+  const text = value => escape(value || dvcDetails.NO_INFORMATION);
+  const rows = Object.keys(labels).map(key => [`${labels[key][0].toUpperCase()}${labels[key].slice(1)}:`, text(detail[key])]);
+
+  rows.push(['Cách thức thực hiện:', `<table>${row(['Hình thức nộp', 'Thời hạn giải quyết', 'Phí, lệ phí', 'Mô tả'])}${
+    detail.SUBMISSION_CHANNELS.map(channel => row([text(channel.CHANNEL), text(channel.PROCESSING_TIME), text(channel.FEES), text(channel.DESCRIPTION)])).join('')}</table>`]);
+  rows.push(['Thành phần hồ sơ:', detail.DOSSIER.map(dossierCase => `<p><b>${escape(dossierCase.CASE)}</b></p><table>${
+    row(['Tên giấy tờ', 'Mẫu đơn, tờ khai', 'Số lượng'])}${dossierCase.DOCUMENTS.map(doc => row([
+    escape(doc.NAME),
+    doc.FORMS.map(form => escape(form.NAME)).join('<br>'),
+    `Bản chính: ${doc.ORIGINALS}<br>Bản sao: ${doc.COPIES}`
+  ])).join('')}</table>`).join('')]);
+  rows.push(['Căn cứ pháp lý:', `<table>${row(['Số ký hiệu', 'Trích yếu', 'Ngày ban hành', 'Cơ quan ban hành'])}${
+    detail.LEGAL_BASIS.map(law => row([text(law.CODE), text(law.SUMMARY), text(law.ISSUED_DATE), text(law.ISSUING_AGENCY)])).join('')}</table>`]);
+
+  return Buffer.from('<html xmlns:o="urn:schemas-microsoft-com:office:office"><head><meta http-equiv="Content-Type" content="text/html; charset=utf-8">' +
+    '<style>p { margin: 0 }</style><!--[if gte mso 9]><xml><w:WordDocument></w:WordDocument></xml><![endif]--></head><body>' +
+    `<p>CHI TIẾT THỦ TỤC HÀNH CHÍNH</p><table>${rows.map(row).join('')}</table></body></html>`);
+}
+
+/**
+ * Word 97-2003 binary: a version 3 compound file with a WordDocument stream
+ * holding the text in two pieces (UTF-16, then compressed cp1252) and a
+ * 1Table stream holding the piece table
+ */
+function buildBinaryDoc(unicodeText, asciiText) {
+  const SECTOR = 512;
+  const STREAM_SECTORS = 8; // 4096 bytes: at the mini stream cutoff, so in regular sectors
+  const END_OF_CHAIN = 0xfffffffe;
+
+  const wordDocument = Buffer.alloc(STREAM_SECTORS * SECTOR);
+  wordDocument.writeUInt16LE(0xa5ec, 0);
+  wordDocument.writeUInt16LE(0x0200, 0x0a); // fWhichTblStm: 1Table
+  wordDocument.writeUInt16LE(14, 0x20); // csw
+  wordDocument.writeUInt16LE(22, 0x3e); // cslw
+  wordDocument.writeInt32LE(unicodeText.length + asciiText.length, 0x40 + 3 * 4); // ccpText
+  wordDocument.writeUInt16LE(93, 0x98); // cbRgFcLcb
+  const unicodeOffset = 1024;
+  const asciiOffset = unicodeOffset + unicodeText.length * 2;
+  wordDocument.write(unicodeText, unicodeOffset, 'utf16le');
+  wordDocument.write(asciiText, asciiOffset, 'latin1');
+
+  const table = Buffer.alloc(STREAM_SECTORS * SECTOR);
+  const pieces = [[0, unicodeOffset], [unicodeText.length, (asciiOffset * 2) | 0x40000000]];
+  const lcb = (pieces.length + 1) * 4 + pieces.length * 8;
+  table[0] = 0x02;
+  table.writeUInt32LE(lcb, 1);
+  pieces.forEach(([cp, fc], i) => {
+    table.writeUInt32LE(cp, 5 + i * 4);
+    table.writeUInt32LE(fc, 5 + (pieces.length + 1) * 4 + i * 8 + 2);
+  });
+  table.writeUInt32LE(unicodeText.length + asciiText.length, 5 + pieces.length * 4);
+  wordDocument.writeUInt32LE(0, 0x9a + 33 * 8); // fcClx
+  wordDocument.writeUInt32LE(5 + lcb, 0x9a + 33 * 8 + 4); // lcbClx
+
+  const header = Buffer.alloc(SECTOR, 0);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(header);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2c); // FAT sectors
+  header.writeUInt32LE(1, 0x30); // first directory sector
+  header.writeUInt32LE(4096, 0x38);
+  header.writeUInt32LE(END_OF_CHAIN, 0x3c);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  header.fill(0xff, 0x4c);
+  header.writeUInt32LE(0, 0x4c);
+
+  // Sector 0: FAT, 1: directory, 2-9: WordDocument, 10-17: 1Table
+  const fat = Buffer.alloc(SECTOR, 0xff);
+  fat.writeUInt32LE(0xfffffffd, 0);
+  fat.writeUInt32LE(END_OF_CHAIN, 4);
+  for (const start of [2, 2 + STREAM_SECTORS]) {
+    for (let sector = start; sector < start + STREAM_SECTORS; sector++) {
+      fat.writeUInt32LE(sector === start + STREAM_SECTORS - 1 ? END_OF_CHAIN : sector + 1, sector * 4);
+    }
+  }
+
+  const directory = Buffer.alloc(SECTOR, 0);
+  [['Root Entry', 5, END_OF_CHAIN, 0], ['WordDocument', 2, 2, wordDocument.length], ['1Table', 2, 2 + STREAM_SECTORS, table.length]]
+    .forEach(([name, type, start, size], i) => {
+      const offset = i * 128;
+      directory.write(name, offset, 'utf16le');
+      directory.writeUInt16LE((name.length + 1) * 2, offset + 0x40);
+      directory[offset + 0x42] = type;
+      directory.writeUInt32LE(start, offset + 0x74);
+      directory.writeUInt32LE(size, offset + 0x78);
+    });
+
+  return Buffer.concat([header, fat, directory, wordDocument, table]);
+}
+
+test('formats are told apart by content, not by the .doc extension', () => {
+  assert.strictEqual(detectFormat(buildHtmlExport(WEB_DETAIL)), 'html');
+  assert.strictEqual(detectFormat(Buffer.from('<?xml version="1.0"?><?mso-application progid="Word.Document"?><w:wordDocument/>')), 'wordml');
+  assert.strictEqual(detectFormat(buildBinaryDoc('a\r', '')), 'doc');
+  assert.strictEqual(detectFormat(Buffer.from('{\\rtf1\\ansi }')), 'rtf');
+  assert.strictEqual(detectFormat(Buffer.from('Mock attachment\n')), 'unknown');
+  assert.throws(() => readWordDocument(Buffer.from('PK\x03\x04docx')), /Unsupported document format: docx/);
+});
+
+test('an HTML export matching the web page parses into the same fields without mismatches', () => {
+  const { format, blocks } = readWordDocument(buildHtmlExport(WEB_DETAIL));
+  const exported = dvcExports.parseExport(blocks);
+
+  assert.strictEqual(format, 'html');
+  assert.strictEqual(exported.PROCEDURE_NAME, 'Cấp điện mới từ lưới điện hạ áp');
+  assert.strictEqual(exported.RECEIVING_ADDRESS, null);
+  assert.deepStrictEqual(exported.SUBMISSION_CHANNELS, WEB_DETAIL.SUBMISSION_CHANNELS);
+  assert.deepStrictEqual(exported.LEGAL_BASIS, WEB_DETAIL.LEGAL_BASIS);
+  assert.deepStrictEqual(exported.DOSSIER.map(dossierCase => dossierCase.CASE), WEB_DETAIL.DOSSIER.map(dossierCase => dossierCase.CASE));
+  assert.deepStrictEqual(exported.DOSSIER[0].DOCUMENTS[0], { ...WEB_DETAIL.DOSSIER[0].DOCUMENTS[0], FORMS: [{ NAME: 'Giay de nghi mua dien.docx', CODE: null }] });
+  assert.deepStrictEqual(exported.FORMS, ['Giay de nghi mua dien.docx', 'BẢNG KÊ CÔNG SUẤT THIẾT BỊ SỬ DỤNG ĐIỆN.docx']);
+  assert.deepStrictEqual(exported.FEES, []);
+  assert.strictEqual(exported.EXECUTION_STEPS, undefined);
+  assert.deepStrictEqual(dvcExports.compareWithWeb(exported, WEB_DETAIL), []);
+});
+
+test('disagreements with the web page are reported per field', () => {
+  const changed = JSON.parse(JSON.stringify(WEB_DETAIL));
+  changed.RESULT = 'Hợp đồng mua bán điện (bản cũ)';
+  changed.LEGAL_BASIS[1].CODE = '18/2025/NĐ-CP-sửa';
+  changed.DOSSIER[0].DOCUMENTS[0].ORIGINALS = 2;
+  changed.KEYWORDS = 'điện';
+  const exported = dvcExports.parseExport(readWordDocument(buildHtmlExport(changed)).blocks);
+
+  const mismatches = dvcExports.compareWithWeb(exported, WEB_DETAIL);
+  assert.deepStrictEqual(mismatches.map(m => [m.field, m.kind]), [
+    ['RESULT', 'differs'],
+    ['KEYWORDS', 'missing_on_web'],
+    ['DOSSIER', 'differs'],
+    ['LEGAL_BASIS', 'differs']
+  ]);
+  const legal = mismatches.find(m => m.field === 'LEGAL_BASIS');
+  assert.deepStrictEqual([legal.only_web, legal.only_export], [['18/2025/nđ-cp'], ['18/2025/nđ-cp-sửa']]);
+
+  // Fields the web record does not have (--skip-full) are not compared
+  assert.deepStrictEqual(dvcExports.compareWithWeb(exported, { TTHC_MA: '3.000001' }), []);
+});
+
+test('Word 2003 XML and binary documents give paragraphs and tables', () => {
+  const wordml = Buffer.from('<?xml version="1.0" encoding="UTF-8"?><?mso-application progid="Word.Document"?>' +
+    '<w:wordDocument xmlns:w="http://schemas.microsoft.com/office/word/2003/wordml"><w:body>' +
+    '<w:p><w:r><w:t>Trình tự thực hiện:</w:t></w:r></w:p><w:p><w:r><w:t>Bước 1</w:t><w:br/><w:t>Bước 2 &amp; 3</w:t></w:r></w:p>' +
+    '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Số ký hiệu</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Trích yếu</w:t></w:r></w:p></w:tc></w:tr>' +
+    '<w:tr><w:tc><w:p><w:r><w:t>61/2024/QH15</w:t></w:r></w:p></w:tc><w:tc><w:p/></w:tc></w:tr></w:tbl></w:body></w:wordDocument>');
+  const expected = [
+    { type: 'p', text: 'Trình tự thực hiện:' },
+    { type: 'p', text: 'Bước 1\nBước 2 & 3' },
+    { type: 'table', rows: [[[{ type: 'p', text: 'Số ký hiệu' }], [{ type: 'p', text: 'Trích yếu' }]], [[{ type: 'p', text: '61/2024/QH15' }], []]] }
+  ];
+  assert.deepStrictEqual(readWordDocument(wordml), { format: 'wordml', blocks: expected });
+
+  const doc = buildBinaryDoc(
+    'Trình tự thực hiện:\rBước 1\x0bBước 2 & 3\rSố ký hiệu\x07Trích yếu\x07\x07',
+    '61/2024/QH15\x07\x07\x07\x13 HYPERLINK "http://x" \x14Xem\x15 them\r'
+  );
+  assert.deepStrictEqual(readWordDocument(doc), {
+    format: 'doc',
+    blocks: [...expected, { type: 'p', text: 'Xem them' }]
+  });
+});
+
+test('dvc exports writes the parsed exports with their mismatches', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'songgio-exports-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const records = [
+    { TTHC_MA: '3.000001', ...WEB_DETAIL },
+    { TTHC_MA: '3.000002', ...WEB_DETAIL, PROCEDURE_NAME: 'Tên khác' },
+    { TTHC_MA: '3.000003' },
+    { TTHC_MA: '3.000004' }
+  ];
+  fs.writeFileSync(path.join(dir, 'congdan_detailed_result.json'), JSON.stringify(records));
+  const attachments = path.join(dir, 'attachments', 'congdan');
+  for (const tthcMa of ['3.000001', '3.000002', '3.000003']) {
+    const filePath = dvcDetails.wordExportPath(attachments, tthcMa);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, tthcMa === '3.000003' ? 'Mock attachment\n' : buildHtmlExport(WEB_DETAIL));
+  }
+
+  await dvcExports.main({ outDir: dir });
+  const results = JSON.parse(fs.readFileSync(path.join(dir, 'congdan_export_result.json'), 'utf-8'));
+
+  assert.deepStrictEqual(results.map(result => result.TTHC_MA), ['3.000001', '3.000002', '3.000003']);
+  assert.strictEqual(results[0].FORMAT, 'html');
+  assert.deepStrictEqual(results[0].MISMATCHES, []);
+  assert.deepStrictEqual(results[1].MISMATCHES, [{ field: 'PROCEDURE_NAME', kind: 'differs', web: 'Tên khác', export: 'Cấp điện mới từ lưới điện hạ áp' }]);
+  assert.strictEqual(results[2].ERROR, 'Unsupported document format: unknown');
+});